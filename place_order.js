@@ -5,6 +5,7 @@
 
 import 'dotenv/config';
 import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { createConsoleLogger } from './src/sdk/logger.js';
 
 async function placeOrder() {
   console.log('🚀 开始挂单...\n');
@@ -20,9 +21,10 @@ async function placeOrder() {
     process.exit(1);
   }
 
-  if (!process.env.AUTHORIZATION_TOKEN) {
+  const login = process.env.AUTH_LOGIN === 'true';
+  if (!login && !process.env.AUTHORIZATION_TOKEN) {
     console.warn('⚠️  警告: 未配置 AUTHORIZATION_TOKEN，API可能会返回错误');
-    console.warn('    请从浏览器网络请求中获取authorization token并添加到.env文件');
+    console.warn('    请从浏览器网络请求中获取authorization token，或设置实验性的 AUTH_LOGIN=true');
   }
 
   try {
@@ -30,7 +32,10 @@ async function placeOrder() {
     const sdk = new OpinionTradeSDK({
       privateKey: process.env.PRIVATE_KEY,
       makerAddress: process.env.MAKER_ADDRESS,
-      authorizationToken: process.env.AUTHORIZATION_TOKEN
+      authorizationToken: process.env.AUTHORIZATION_TOKEN,
+      login,
+      // SDK日志默认关闭，这里输出到控制台
+      logger: createConsoleLogger()
     });
 
     console.log('✓ SDK 初始化成功');
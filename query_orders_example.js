@@ -9,7 +9,8 @@ async function main() {
   const sdk = new OpinionTradeSDK({
     privateKey: process.env.PRIVATE_KEY,
     makerAddress: process.env.MAKER_ADDRESS,
-    authorizationToken: process.env.AUTHORIZATION_TOKEN
+    authorizationToken: process.env.AUTHORIZATION_TOKEN,
+    login: process.env.AUTH_LOGIN === 'true'
   });
 
   console.log('='.repeat(60));
@@ -88,6 +89,29 @@ async function main() {
     }
     console.log();
 
+    // Example 5: Iterate over all filled BUY orders of the last 7 days (all pages)
+    console.log('📋 Example 5: Filled BUY Orders of the Last 7 Days');
+    console.log('-'.repeat(60));
+    let count = 0;
+    for await (const order of sdk.iterateOrders({
+      queryType: 2,
+      side: 'BUY',
+      status: 2,
+      since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    })) {
+      count++;
+      console.log(`  ${count}. [${order.orderId}] ${order.topicTitle} - ${order.outcome} @ ${order.price}`);
+    }
+    console.log(`Filled BUY orders: ${count}`);
+    console.log();
+
+    // Example 6: Get all open orders (follows pagination)
+    console.log('📋 Example 6: All Open Orders');
+    console.log('-'.repeat(60));
+    const allOpenOrders = await sdk.getAllOpenOrders();
+    console.log(`All open orders: ${allOpenOrders.length}`);
+    console.log();
+
     console.log('✓ All examples completed successfully!');
 
   } catch (error) {
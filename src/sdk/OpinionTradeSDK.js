@@ -1,22 +1,85 @@
 import { ethers } from 'ethers';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import {
-  CHAIN_ID,
-  COLLATERAL_TOKEN_ADDRESS,
-  API_BASE_URL,
   API_ENDPOINTS,
   Side,
   VolumeType,
   YesOrNo,
   OrderQueryType,
-  OrderStatus
+  OrderStatus,
+  TradingMethod
 } from './constants.js';
-import { buildSignedOrder } from './signer.js';
-import { buildOrderParams, buildApiPayload } from './orderBuilder.js';
+import { buildSignedOrder, verifyOrderSignature } from './signer.js';
+import {
+  buildOrderParams,
+  buildMarketOrderParams,
+  buildApiPayload,
+  assertPayloadConsistency
+} from './orderBuilder.js';
 import { TopicAPI } from './TopicAPI.js';
+import { OrderBook } from './orderBook.js';
+import { OpinionStream } from './stream.js';
+import { NonceManager } from './nonceManager.js';
+import { assertSigner, createPrivateKeySigner } from './signers.js';
+import { JsonRpcClient } from './rpc.js';
+import { validateSafeAccount, buildSafeExecTransaction } from './safe.js';
+import {
+  getConditionId,
+  buildSplitPositionTx,
+  buildMergePositionsTx,
+  buildRedeemPositionsTx
+} from './conditionalTokens.js';
+import {
+  getTokenBalance,
+  getTokenAllowance,
+  buildApproveTx,
+  reservedCollateralForOrder,
+  formatAmount
+} from './collateral.js';
+import {
+  getConditionalTokensAddress,
+  getOutcomeBalances,
+  reservedSharesForOrder,
+  isUnattributedSellOrder,
+  extractAverageCost
+} from './positions.js';
+import { HttpTransport } from './transport.js';
+import { resolveNetwork, buildEip712Domain } from './networks.js';
+import {
+  ValidationError,
+  SigningError,
+  AuthError,
+  InsufficientBalanceError,
+  isApiError,
+  isApiSuccess,
+  createApiError,
+  fromTransportError,
+  extractRequestId
+} from './errors.js';
+import { resolveRetryPolicy, withRetry, isAmbiguousError, isRetryableError } from './retry.js';
+import { RateLimiter, RateLimitBudget, RequestPriority } from './rateLimiter.js';
+import { AuthSession } from './auth.js';
+import { resolveLogger } from './logger.js';
+import { resolveOutcomeToken, listOutcomeTokens } from './outcomes.js';
+import { createOrderFilter, toUnixSeconds } from './orderFilters.js';
+import {
+  normalizeTrades,
+  tradesFromOrders,
+  buildMarkPrices,
+  computePnl,
+  exportPnlReport
+} from './accounting.js';
+import {
+  mapWithConcurrency,
+  paginate,
+  resolveExpiration,
+  getCurrentTimestamp,
+  generateSalt,
+  toWei,
+  fromWei
+} from './utils.js';
 
-const execPromise = promisify(exec);
+// Locally tracked expirations are kept this long after expiry so the sweeper can still find them
+const EXPIRATION_RETENTION_SECONDS = 24 * 60 * 60;
 
 /**
  * Opinion Trade SDK
@@ -27,43 +90,930 @@ export class OpinionTradeSDK {
    * Create an instance of OpinionTradeSDK
    *
    * @param {object} config
-   * @param {string} config.privateKey - Private key of the signer (owner of Gnosis Safe)
+   * @param {string} [config.privateKey] - Private key of the signer (owner of Gnosis Safe), required without config.signer
+   * @param {object} [config.signer] - Signer with getAddress() and signTypedData() (ethers Signer, see signers.js)
+   * @param {string} [config.signerAddress] - Signer address of an external signer, checked against
+   *   signer.getAddress() once before the first signature
    * @param {string} config.makerAddress - Maker address (Gnosis Safe address)
-   * @param {string} [config.collateralTokenAddr] - Collateral token address (default: USDT)
-   * @param {number} [config.chainId] - Chain ID (default: 56 for BSC)
-   * @param {string} [config.apiBaseUrl] - API base URL (default: opinion.trade API)
+   * @param {string|object} [config.network='mainnet'] - Network profile name ('mainnet') or a profile object
+   *   for other deployments (see networks.js)
+   * @param {string} [config.collateralTokenAddr] - Collateral token address (default: from network profile)
+   * @param {number} [config.collateralDecimals] - Collateral token decimals (default: from network profile)
+   * @param {string} [config.exchangeAddress] - Exchange address (default: from network profile)
+   * @param {number} [config.chainId] - Chain ID (default: from network profile, 56 for BSC)
+   * @param {string} [config.apiBaseUrl] - API base URL (default: from network profile)
+   * @param {string} [config.topicApiUrl] - Topic API URL (default: from network profile)
+   * @param {HttpTransport} [config.transport] - Custom HTTP transport (overrides the options below)
+   * @param {Function} [config.adapter] - HTTP adapter, e.g. for a local mock server
+   * @param {number} [config.timeout=30000] - Request timeout in ms
+   * @param {object} [config.headers] - Extra headers sent with every request
+   * @param {boolean} [config.rejectUnauthorized=true] - Verify TLS certificates
+   * @param {string} [config.wsUrl] - WebSocket URL for streaming (default: from network profile)
+   * @param {Function} [config.WebSocket] - WebSocket constructor for streaming (e.g. the "ws" package)
+   * @param {object} [config.nonceManager] - Object with async getNonce() (default: NonceManager reading the maker's
+   *   exchange nonce over rpc)
+   * @param {Function} [config.saltGenerator] - Salt generator (default: random, see createMonotonicSaltGenerator)
+   * @param {boolean} [config.verifyBeforeSubmit=false] - Check payload consistency and signature before every submit
+   * @param {string} [config.rpcUrl] - JSON-RPC endpoint for on-chain reads (default: from network profile)
+   * @param {JsonRpcClient} [config.rpc] - Custom JSON-RPC client (overrides rpcUrl)
+   * @param {boolean} [config.checkBalanceBeforeOrder=false] - Refuse BUY orders the Safe cannot fund
+   *   and SELL orders larger than the Safe's position
+   * @param {string} [config.conditionalTokensAddress] - Conditional tokens contract (default: read from the exchange)
+   * @param {string} [config.oracleAddress] - Oracle used to derive condition IDs when the API does not return one
+   * @param {object|boolean} [config.retry] - Retry policy for reads and order submission
+   *   ({ retries, minDelay, maxDelay, factor, jitter }, see retry.js), `false` to disable
+   * @param {object|RateLimiter|boolean} [config.rateLimit] - Client-side rate limits
+   *   ({ read: { capacity, refillPerSecond }, write: {...} }) or a shared RateLimiter, `false` to disable.
+   *   Topic API reads count against the read budget.
+   * @param {boolean|object} [config.login=false] - Log in by signing the site's login challenge instead of
+   *   using a pasted token; the token is refreshed before it expires. Pass an object for AuthSession options
+   *   ({ domain, uri, statement, noncePath, loginPath, refreshMargin, onToken }). Needs signer.signMessage.
+   * @param {AuthSession} [config.authSession] - Custom authentication session
+   * @param {object|Logger} [config.logger] - Log target with debug/info/warn/error(message, fields)
+   *   (see logger.js). Default: silent
+   * @param {string} [config.logLevel='info'] - Minimum level: 'debug', 'info', 'warn', 'error' or 'silent'
+   * @param {string|object} [config.topicCache='file'] - Topic cache store: 'file', 'memory' or an object
+   *   implementing get/set/delete/clear/keys (see topicCache.js)
+   * @param {object} [config.topicCacheTtl] - Topic cache TTLs in ms ({ immutable, volatile }),
+   *   default 7 days for token IDs and 30 seconds for prices, volume and status
    */
   constructor(config) {
     const {
       privateKey,
+      signer,
+      signerAddress,
       makerAddress,
       authorizationToken,
-      collateralTokenAddr = COLLATERAL_TOKEN_ADDRESS,
-      chainId = CHAIN_ID,
-      apiBaseUrl = API_BASE_URL
+      network = 'mainnet',
+      collateralTokenAddr,
+      collateralDecimals,
+      exchangeAddress,
+      chainId,
+      apiBaseUrl,
+      topicApiUrl,
+      transport,
+      adapter,
+      timeout,
+      headers,
+      rejectUnauthorized,
+      wsUrl,
+      WebSocket,
+      nonceManager,
+      saltGenerator = generateSalt,
+      verifyBeforeSubmit = false,
+      rpcUrl,
+      rpc,
+      checkBalanceBeforeOrder = false,
+      retry,
+      rateLimit,
+      login = false,
+      authSession,
+      logger,
+      logLevel,
+      topicCache,
+      topicCacheTtl,
+      conditionalTokensAddress,
+      oracleAddress
     } = config;
 
-    if (!privateKey) {
-      throw new Error('Private key is required');
+    // Silent unless a logger is configured; signatures and tokens are redacted
+    this.logger = resolveLogger(logger, logLevel);
+
+    if (!privateKey && !signer) {
+      throw new ValidationError('Private key or signer is required');
     }
 
     if (!makerAddress) {
-      throw new Error('Maker address (Gnosis Safe) is required');
+      throw new ValidationError('Maker address (Gnosis Safe) is required');
     }
 
-    // Create wallet from private key
-    this.wallet = new ethers.Wallet(privateKey);
-    this.signerAddress = this.wallet.address;
+    if (signer) {
+      // External signer (ethers Signer, remote signer, KMS callback...)
+      this.signer = assertSigner(signer);
+      this.signerAddress = signerAddress || signer.address || null;
+      // A configured address may not belong to the signer: resolveSignerAddress() checks it
+      this.signerAddressVerified = !signerAddress && Boolean(signer.address);
+    } else {
+      // Create wallet from private key
+      this.wallet = createPrivateKeySigner(privateKey);
+      this.signer = this.wallet;
+      this.signerAddress = this.wallet.address;
+      this.signerAddressVerified = true;
+    }
+    this.pendingSignerAddress = null;
+
+    // Resolve the network profile, explicit options take precedence
+    this.network = resolveNetwork(network, {
+      chainId,
+      exchangeAddress,
+      collateralTokenAddress: collateralTokenAddr,
+      collateralDecimals,
+      apiBaseUrl,
+      topicApiUrl,
+      wsUrl,
+      rpcUrl
+    });
+    this.eip712Domain = buildEip712Domain(this.network);
 
     // Store configuration
     this.makerAddress = makerAddress.toLowerCase();
-    this.collateralTokenAddr = collateralTokenAddr.toLowerCase();
-    this.chainId = chainId;
-    this.apiBaseUrl = apiBaseUrl;
-    this.authorizationToken = authorizationToken; // 可选的authorization token
+    this.collateralTokenAddr = this.network.collateralTokenAddress.toLowerCase();
+    this.collateralDecimals = this.network.collateralDecimals;
+    this.exchangeAddress = this.network.exchangeAddress;
+    this.chainId = this.network.chainId;
+    this.apiBaseUrl = this.network.apiBaseUrl;
+    this.wsUrl = this.network.wsUrl;
+    this.WebSocket = WebSocket;
+
+    this.saltGenerator = saltGenerator;
+    this.verifyBeforeSubmit = verifyBeforeSubmit;
+    this.checkBalanceBeforeOrder = checkBalanceBeforeOrder;
+    this.retryPolicy = resolveRetryPolicy(retry);
+    if (rateLimit === false) {
+      this.rateLimiter = null;
+    } else {
+      this.rateLimiter = rateLimit instanceof RateLimiter ? rateLimit : new RateLimiter(rateLimit);
+    }
+    this.conditionalTokensAddress = conditionalTokensAddress;
+    this.oracleAddress = oracleAddress;
+
+    // salt -> expiration (Unix seconds) of orders signed by this instance
+    this.orderExpirations = new Map();
+
+    // Shared HTTP transport for all API calls
+    this.transport = transport || new HttpTransport({
+      adapter,
+      timeout,
+      headers,
+      rejectUnauthorized
+    });
+
+    // JSON-RPC client for on-chain reads
+    this.rpc = rpc || new JsonRpcClient({ url: this.network.rpcUrl, transport: this.transport });
+
+    // Exchange nonce used for every signed order, read from the exchange on first use
+    this.nonceManager = nonceManager || new NonceManager({
+      exchangeAddress: this.exchangeAddress,
+      rpc: this.rpc,
+      maker: this.makerAddress
+    });
+
+    // Authentication: a static token, or wallet login with automatic refresh
+    this.authSession = authSession || new AuthSession({
+      ...(login && typeof login === 'object' ? login : {}),
+      transport: this.transport,
+      apiBaseUrl: this.apiBaseUrl,
+      chainId: this.chainId,
+      signer: login ? this.signer : undefined,
+      token: authorizationToken, // 可选的authorization token
+      logger: this.logger.child({ component: 'auth' })
+    });
 
     // Initialize TopicAPI for auto-fetching topic information
-    this.topicAPI = new TopicAPI();
+    this.topicAPI = new TopicAPI(undefined, {
+      transport: this.transport,
+      baseUrl: this.network.topicApiUrl,
+      collateralToken: this.collateralTokenAddr,
+      retry,
+      // Topic reads share the read budget with the trading API
+      rateLimiter: this.rateLimiter,
+      logger: this.logger.child({ component: 'TopicAPI' }),
+      cache: topicCache,
+      cacheTtl: topicCacheTtl,
+      cacheNamespace: this.network.name === 'mainnet' ? undefined : (this.network.name || `chain-${this.chainId}`)
+    });
+  }
+
+  /**
+   * Current authorization token (without "Bearer " prefix), null if there is none
+   */
+  get authorizationToken() {
+    return this.authSession.token;
+  }
+
+  /**
+   * Replace the authorization token, e.g. with one refreshed outside the SDK
+   */
+  set authorizationToken(token) {
+    this.authSession.setToken(token);
+  }
+
+  /**
+   * Log in with the signer and store the new token
+   * Only needed to log in eagerly; API calls log in and refresh on demand when `login` is enabled.
+   *
+   * @returns {Promise<string>} Token
+   */
+  async login() {
+    return this.authSession.login();
+  }
+
+  /**
+   * Make sure the session token is present and not about to expire
+   * Does nothing when the session cannot log in (static token).
+   */
+  async ensureAuthToken() {
+    if (this.authSession.canLogin()) {
+      await this.authSession.getToken();
+    }
+  }
+
+  /**
+   * Build the Authorization header from the current token
+   *
+   * @returns {object} Headers object (empty if no token is configured)
+   */
+  getAuthHeaders() {
+    if (!this.authorizationToken) {
+      this.logger.warn('No authorization token provided, API call may fail');
+      return {};
+    }
+
+    // 确保token包含"Bearer "前缀
+    return { Authorization: `Bearer ${this.authorizationToken}` };
+  }
+
+  /**
+   * Call an Opinion Trade API endpoint
+   * Transport failures and responses that do not report errno 0 are thrown as
+   * typed errors (see errors.isApiSuccess).
+   * GET requests are retried on transient failures according to the retry policy.
+   * Every attempt goes through the rate limiter: GET uses the read budget, other
+   * methods the write budget. With wallet login, a rejected token (401) triggers
+   * one fresh login and one retry.
+   *
+   * @param {object} request
+   * @param {string} [request.method='GET'] - HTTP method
+   * @param {string} request.path - Endpoint path (API_ENDPOINTS value)
+   * @param {object} [request.params] - Query parameters
+   * @param {object} [request.data] - JSON body
+   * @param {boolean} [request.auth=true] - Send the authorization header
+   * @param {string} [request.context] - Error message prefix
+   * @param {boolean} [request.retry] - Retry transient failures (default: true for GET only)
+   * @param {number} [request.priority=RequestPriority.NORMAL] - Rate limiter priority
+   * @returns {Promise<object>} Response body
+   */
+  async apiRequest(request) {
+    const {
+      method = 'GET',
+      path,
+      params,
+      data,
+      auth = true,
+      context,
+      priority = RequestPriority.NORMAL
+    } = request;
+    const isRead = method.toUpperCase() === 'GET';
+    const retry = request.retry !== undefined ? request.retry : isRead;
+    const payload = data !== undefined ? data : params;
+
+    const transportRequest = async () => {
+      const startedAt = Date.now();
+      try {
+        const response = await this.transport.request({
+          method,
+          url: `${this.apiBaseUrl}${path}`,
+          params,
+          data,
+          headers: auth ? this.getAuthHeaders() : {},
+          fullResponse: true
+        });
+        this.logger.debug('API request', {
+          method,
+          path,
+          status: response.status,
+          errno: response.data && response.data.errno,
+          requestId: extractRequestId(response.data, response.headers),
+          latencyMs: Date.now() - startedAt
+        });
+        return response;
+      } catch (error) {
+        this.logger.debug('API request failed', { method, path, latencyMs: Date.now() - startedAt, error });
+        throw error;
+      }
+    };
+
+    const send = async () => {
+      let response;
+      try {
+        response = this.rateLimiter
+          ? await this.rateLimiter.schedule(transportRequest, {
+            budget: isRead ? RateLimitBudget.READ : RateLimitBudget.WRITE,
+            priority
+          })
+          : await transportRequest();
+      } catch (error) {
+        throw fromTransportError(error, { payload, context });
+      }
+
+      if (isApiError(response.data)) {
+        throw createApiError({
+          data: response.data,
+          status: response.status,
+          headers: response.headers,
+          payload,
+          context
+        });
+      }
+      return response.data;
+    };
+
+    const sendAuthenticated = async () => {
+      if (auth) {
+        await this.ensureAuthToken();
+      }
+      try {
+        return await send();
+      } catch (error) {
+        const rejected = error instanceof AuthError && error.status !== 403;
+        if (!auth || !rejected || !this.authSession.canLogin()) {
+          throw error;
+        }
+        // The token was revoked or expired early: log in again and retry once
+        this.authSession.invalidate();
+        await this.authSession.login();
+        return send();
+      }
+    };
+
+    if (!retry) {
+      return sendAuthenticated();
+    }
+    return withRetry(sendAuthenticated, {
+      policy: this.retryPolicy,
+      onRetry: ({ attempt, delay, error }) => {
+        this.logger.warn('API request failed, retrying', { method, path, attempt, delayMs: delay, error });
+      }
+    });
+  }
+
+  /**
+   * Rate limiter queue depth and wait time per budget
+   *
+   * @returns {object|null} { read, write } metrics (see RateLimiter.getMetrics), or null when rate limiting is disabled
+   */
+  getRateLimitMetrics() {
+    return this.rateLimiter ? this.rateLimiter.getMetrics() : null;
+  }
+
+  /**
+   * Build and sign a limit order without submitting it
+   *
+   * @param {object} params - Same parameters as createLimitOrder
+   * @param {boolean} [params.skipBalanceCheck=false] - Skip the collateral check (the caller checks itself)
+   * @returns {Promise<object>} API payload ready for submitOrder
+   */
+  async prepareLimitOrder(params) {
+    const order = await this.buildLimitOrder(params);
+
+    if (this.checkBalanceBeforeOrder && !params.skipBalanceCheck) {
+      await this.assertOrderFunded(order.orderParams);
+    }
+
+    return this.signLimitOrder(order);
+  }
+
+  /**
+   * Build the unsigned parameters of a limit order
+   *
+   * @param {object} params - Same parameters as createLimitOrder
+   * @returns {Promise<object>} { orderParams, topicId, limitPrice, isStableCoin, safeRate }
+   */
+  async buildLimitOrder(params) {
+    const {
+      topicId,
+      tokenId,
+      limitPrice,
+      shares,
+      side,
+      volumeType = VolumeType.SHARES,
+      buyInputVal = '0',
+      isStableCoin = true,
+      safeRate = '0',
+      expiresAt,
+      ttlSeconds
+    } = params;
+
+    const expiration = resolveExpiration({ expiresAt, ttlSeconds });
+    const nonce = await this.nonceManager.getNonce();
+
+    this.logger.debug('Preparing limit order', {
+      topicId,
+      tokenId,
+      limitPrice,
+      shares,
+      side: side === Side.BUY ? 'BUY' : 'SELL',
+      volumeType,
+      expiration
+    });
+
+    // Step 1: Build order parameters
+    const orderParams = buildOrderParams({
+      maker: this.makerAddress,
+      signer: await this.resolveSignerAddress(),
+      tokenId,
+      limitPrice,
+      shares,
+      side,
+      volumeType,
+      buyInputVal,
+      isStableCoin,
+      expiration,
+      nonce,
+      salt: this.saltGenerator(),
+      decimals: this.collateralDecimals
+    });
+
+    return { orderParams, topicId, limitPrice, isStableCoin, safeRate };
+  }
+
+  /**
+   * Sign a built limit order and turn it into an API payload
+   *
+   * @param {object} order - Result of buildLimitOrder
+   * @returns {Promise<object>} API payload ready for submitOrder
+   */
+  async signLimitOrder(order) {
+    const { orderParams, topicId, limitPrice, isStableCoin, safeRate } = order;
+
+    // Step 2: Sign the order
+    const signedOrder = await buildSignedOrder(this.signer, orderParams, this.eip712Domain);
+
+    // Step 3: Build API payload
+    const apiPayload = buildApiPayload({
+      signedOrder,
+      topicId,
+      limitPrice,
+      collateralTokenAddr: this.collateralTokenAddr,
+      chainId: this.chainId,
+      isStableCoin,
+      safeRate
+    });
+
+    this.trackExpiration(signedOrder);
+
+    this.logger.debug('Limit order signed', {
+      topicId: apiPayload.topicId,
+      tokenId: apiPayload.tokenId,
+      salt: apiPayload.salt,
+      price: apiPayload.price,
+      side: apiPayload.side,
+      makerAmount: apiPayload.makerAmount,
+      takerAmount: apiPayload.takerAmount
+    });
+
+    return apiPayload;
+  }
+
+  /**
+   * Check on-chain that the maker Safe exists and the signer is one of its owners
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.checkSignature=false] - Also ask the Safe to validate a signer signature (EIP-1271)
+   * @param {boolean} [options.throwOnInvalid=false] - Throw instead of returning an invalid report
+   * @returns {Promise<object>} { valid, problems, owners, threshold, isOwner, signatureValid }
+   */
+  async validateAccount(options = {}) {
+    const { checkSignature = false, throwOnInvalid = false } = options;
+
+    const report = await validateSafeAccount({
+      rpc: this.rpc,
+      safeAddress: this.makerAddress,
+      signerAddress: await this.resolveSignerAddress(),
+      chainId: this.chainId,
+      signer: this.signer,
+      checkSignature
+    });
+
+    if (!report.valid && throwOnInvalid) {
+      throw new ValidationError(`Account validation failed: ${report.problems.join('; ')}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the collateral (USDT) balance of the maker Safe
+   *
+   * @returns {Promise<object>} { raw: wei string, formatted: decimal string }
+   */
+  async getCollateralBalance() {
+    const balance = await getTokenBalance(this.rpc, this.collateralTokenAddr, this.makerAddress);
+    return formatAmount(balance, this.collateralDecimals);
+  }
+
+  /**
+   * Get the collateral allowance the maker Safe granted to a spender
+   *
+   * @param {string} [spender] - Spender address (default: exchange)
+   * @returns {Promise<object>} { raw: wei string, formatted: decimal string }
+   */
+  async getAllowance(spender = this.exchangeAddress) {
+    const allowance = await getTokenAllowance(this.rpc, this.collateralTokenAddr, this.makerAddress, spender);
+    return formatAmount(allowance, this.collateralDecimals);
+  }
+
+  /**
+   * Build the transaction approving the exchange to spend the Safe's collateral
+   * The transaction must be executed by the maker (Gnosis Safe)
+   *
+   * @param {string|number} [amount] - Amount to approve (human-readable, default: unlimited)
+   * @param {string} [spender] - Spender address (default: exchange)
+   * @returns {object} Transaction request { to, data, value }
+   */
+  approveCollateral(amount, spender = this.exchangeAddress) {
+    const value = amount === undefined ? ethers.MaxUint256 : BigInt(toWei(amount, this.collateralDecimals));
+    return buildApproveTx(this.collateralTokenAddr, spender, value);
+  }
+
+  /**
+   * Sum the collateral locked by the maker's open BUY orders
+   *
+   * @param {Array<object>} [openOrders] - Open orders already fetched (default: fetched now)
+   * @returns {Promise<bigint>} Reserved collateral in wei
+   */
+  async getReservedCollateral(openOrders) {
+    const orders = openOrders || await this.collectOpenOrders();
+    return this.sumReserved(orders, order => reservedCollateralForOrder(order, this.collateralDecimals), 'collateral');
+  }
+
+  /**
+   * Sum what open orders reserve, skipping orders that cannot be read with a warning
+   *
+   * @param {Array<object>} orders - Open orders
+   * @param {Function} reserveFor - (order) => bigint, or null when the order cannot be read
+   * @param {string} what - Reserved resource, for the warning
+   * @returns {bigint} Total reserved in wei
+   */
+  sumReserved(orders, reserveFor, what) {
+    let total = 0n;
+    const skipped = [];
+    for (const order of orders) {
+      const reserved = reserveFor(order);
+      if (reserved === null) {
+        skipped.push(order.orderId);
+      } else {
+        total += reserved;
+      }
+    }
+    if (skipped.length > 0) {
+      this.logger.warn(`Open orders without usable price or size are not counted as reserved ${what}`, { orderIds: skipped });
+    }
+    return total;
+  }
+
+  /**
+   * Collateral that can fund new BUY orders: min(balance, allowance) minus open BUY orders
+   *
+   * @param {Array<object>} [openOrders] - Open orders already fetched (default: fetched now)
+   * @returns {Promise<bigint>} Available collateral in wei
+   */
+  async getAvailableCollateral(openOrders) {
+    const [balance, allowance, reserved] = await Promise.all([
+      getTokenBalance(this.rpc, this.collateralTokenAddr, this.makerAddress),
+      getTokenAllowance(this.rpc, this.collateralTokenAddr, this.makerAddress, this.exchangeAddress),
+      this.getReservedCollateral(openOrders)
+    ]);
+
+    const spendable = balance < allowance ? balance : allowance;
+    return spendable > reserved ? spendable - reserved : 0n;
+  }
+
+  /**
+   * Throw if a BUY order's makerAmount exceeds the available collateral
+   *
+   * @param {string|bigint} makerAmount - Order makerAmount in wei
+   */
+  async assertSufficientCollateral(makerAmount) {
+    const required = BigInt(makerAmount);
+    const available = await this.getAvailableCollateral();
+
+    if (required > available) {
+      throw new InsufficientBalanceError(`Insufficient collateral: order needs ${fromWei(required, this.collateralDecimals)}, available ${fromWei(available, this.collateralDecimals)}`);
+    }
+  }
+
+  /**
+   * Throw if the Safe cannot fund an order
+   * BUY orders need collateral, SELL orders need outcome tokens
+   *
+   * @param {object} orderParams - Order parameters (side, tokenId, makerAmount)
+   */
+  async assertOrderFunded(orderParams) {
+    try {
+      if (orderParams.side === Side.BUY) {
+        await this.assertSufficientCollateral(orderParams.makerAmount);
+      } else {
+        await this.assertSufficientPosition(orderParams.tokenId, orderParams.makerAmount);
+      }
+    } catch (error) {
+      if (error instanceof InsufficientBalanceError && error.payload === undefined) {
+        error.payload = orderParams;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the orders of a built batch that the Safe cannot fund as failed
+   * Open orders are fetched once for the whole batch.
+   *
+   * @param {Array<object>} built - Items with { order: { orderParams }, error }
+   */
+  async allocateBatchFunds(built) {
+    const pending = built.filter(item => !item.error);
+    if (pending.length === 0) {
+      return;
+    }
+    const buys = pending.filter(item => item.order.orderParams.side === Side.BUY);
+    const sells = pending.filter(item => item.order.orderParams.side !== Side.BUY);
+
+    const openOrders = await this.collectOpenOrders();
+    let collateral = buys.length > 0 ? await this.getAvailableCollateral(openOrders) : 0n;
+    const shares = new Map();
+    for (const item of sells) {
+      const tokenId = String(item.order.orderParams.tokenId);
+      if (!shares.has(tokenId)) {
+        shares.set(tokenId, await this.getAvailablePosition(tokenId, openOrders));
+      }
+    }
+
+    for (const item of pending) {
+      const { orderParams } = item.order;
+      const makerAmount = BigInt(orderParams.makerAmount);
+      if (orderParams.side === Side.BUY) {
+        if (makerAmount > collateral) {
+          item.error = new InsufficientBalanceError(`Insufficient collateral: order needs ${fromWei(makerAmount, this.collateralDecimals)}, available ${fromWei(collateral, this.collateralDecimals)}`, { payload: orderParams });
+        } else {
+          collateral -= makerAmount;
+        }
+      } else {
+        const tokenId = String(orderParams.tokenId);
+        const available = shares.get(tokenId);
+        if (makerAmount > available) {
+          item.error = new InsufficientBalanceError(`Insufficient position: order sells ${fromWei(makerAmount, this.collateralDecimals)} shares, available ${fromWei(available, this.collateralDecimals)}`, { payload: orderParams });
+        } else {
+          shares.set(tokenId, available - makerAmount);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the conditional tokens (ERC-1155) contract, reading it from the exchange once
+   *
+   * @returns {Promise<string>} Contract address
+   */
+  async getConditionalTokensAddress() {
+    if (!this.conditionalTokensAddress) {
+      this.conditionalTokensAddress = await getConditionalTokensAddress(this.rpc, this.exchangeAddress);
+    }
+    return this.conditionalTokensAddress;
+  }
+
+  /**
+   * Get the maker's balance of one outcome token
+   *
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<bigint>} Balance in wei
+   */
+  async getPositionBalance(tokenId) {
+    const ctf = await this.getConditionalTokensAddress();
+    const [balance] = await getOutcomeBalances(this.rpc, ctf, this.makerAddress, [tokenId]);
+    return balance;
+  }
+
+  /**
+   * Shares of a token that can back new SELL orders: balance minus open SELL orders
+   *
+   * @param {string} tokenId - Token ID
+   * @param {Array<object>} [openOrders] - Open orders already fetched (default: fetched now)
+   * @returns {Promise<bigint>} Available shares in wei
+   */
+  async getAvailablePosition(tokenId, openOrders) {
+    const [balance, orders] = await Promise.all([
+      this.getPositionBalance(tokenId),
+      openOrders || this.collectOpenOrders()
+    ]);
+
+    const unattributed = orders.filter(isUnattributedSellOrder);
+    if (unattributed.length > 0) {
+      this.logger.warn('Open SELL orders without tokenId are not counted as reserved shares', { orderIds: unattributed.map(order => order.orderId) });
+    }
+
+    const reserved = this.sumReserved(orders, order => reservedSharesForOrder(order, tokenId, this.collateralDecimals), 'shares');
+    return balance > reserved ? balance - reserved : 0n;
+  }
+
+  /**
+   * Throw if a SELL order's makerAmount exceeds the available shares
+   *
+   * @param {string} tokenId - Token ID
+   * @param {string|bigint} makerAmount - Order makerAmount (shares) in wei
+   */
+  async assertSufficientPosition(tokenId, makerAmount) {
+    const required = BigInt(makerAmount);
+    const available = await this.getAvailablePosition(tokenId);
+
+    if (required > available) {
+      throw new InsufficientBalanceError(`Insufficient position: order sells ${fromWei(required, this.collateralDecimals)} shares, available ${fromWei(available, this.collateralDecimals)}`);
+    }
+  }
+
+  /**
+   * Fetch the positions the API reports for the maker
+   *
+   * @returns {Promise<Array<object>>} API position entries
+   */
+  async fetchApiPositions() {
+    const responseData = await this.apiRequest({
+      path: API_ENDPOINTS.POSITIONS,
+      params: { walletAddress: this.makerAddress },
+      context: 'Fetch positions'
+    });
+
+    const result = responseData.result || {};
+    return Array.isArray(result) ? result : (result.list || []);
+  }
+
+  /**
+   * Get outcome token positions of the maker Safe
+   * Share quantities are read on-chain; average cost comes from the API when it is available.
+   *
+   * @param {string|number} [topicId] - Topic ID (default: all topics the API lists for the maker)
+   * @returns {Promise<Array<object>>} Positions: { topicId, title, outcome, position, tokenId, shares, raw, avgCost }.
+   *   In multi-outcome markets topicId is the child market and outcome its label; otherwise outcome equals position.
+   */
+  async getPositions(topicId) {
+    let apiPositions = [];
+    try {
+      apiPositions = await this.fetchApiPositions();
+    } catch (error) {
+      if (!topicId) {
+        throw error;
+      }
+      this.logger.warn('Could not fetch positions from API', { topicId, error });
+    }
+
+    const topicIds = topicId
+      ? [topicId]
+      : [...new Set(apiPositions.map(entry => entry.topicId).filter(Boolean))];
+
+    const ctf = await this.getConditionalTokensAddress();
+    const positions = [];
+
+    for (const id of topicIds) {
+      const topicInfo = await this.getTopicMetadata(id);
+      const tokens = listOutcomeTokens(topicInfo);
+
+      const balances = await getOutcomeBalances(this.rpc, ctf, this.makerAddress, tokens.map(t => t.tokenId));
+
+      tokens.forEach((token, i) => {
+        const entry = apiPositions.find(p => String(p.tokenId) === String(token.tokenId));
+        positions.push({
+          topicId: token.topicId ?? id,
+          title: topicInfo.title,
+          outcome: token.outcome,
+          position: token.position,
+          tokenId: token.tokenId,
+          shares: fromWei(balances[i], this.collateralDecimals),
+          raw: balances[i].toString(),
+          avgCost: extractAverageCost(entry)
+        });
+      });
+    }
+
+    return topicId ? positions : positions.filter(p => p.raw !== '0');
+  }
+
+  /**
+   * Execute a call from the maker Safe
+   * With dryRun nothing is signed or sent and the encoded call is returned.
+   * Otherwise the call is wrapped in a signed execTransaction; it is sent when the
+   * signer can send transactions (ethers Signer with a provider), else returned for the caller to send.
+   *
+   * @param {object} tx - Call { to, data, value }
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only return the encoded call
+   * @returns {Promise<object>} { dryRun, tx, execTransaction?, hash? }
+   */
+  async executeSafeTransaction(tx, options = {}) {
+    const { dryRun = false } = options;
+
+    if (dryRun) {
+      return { dryRun: true, tx };
+    }
+
+    const execTransaction = await buildSafeExecTransaction({
+      rpc: this.rpc,
+      safeAddress: this.makerAddress,
+      chainId: this.chainId,
+      signer: this.signer,
+      tx
+    });
+
+    if (typeof this.signer.sendTransaction !== 'function' || !this.signer.provider) {
+      return { dryRun: false, tx, execTransaction };
+    }
+
+    const response = await this.signer.sendTransaction({
+      to: execTransaction.to,
+      data: execTransaction.data,
+      value: 0n
+    });
+    this.logger.info('Safe transaction sent', { to: tx.to, hash: response.hash });
+
+    return { dryRun: false, tx, execTransaction, hash: response.hash, response };
+  }
+
+  /**
+   * Resolve the condition ID of a topic
+   * Uses the ID returned by the API, otherwise derives it from questionId and config.oracleAddress
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<string>} Condition ID
+   */
+  async getConditionId(topicId) {
+    const topicInfo = await this.getTopicMetadata(topicId);
+    const conditionId = topicInfo.conditionId;
+
+    if (conditionId) {
+      return conditionId;
+    }
+    if (!topicInfo.questionId) {
+      throw new Error(`questionId not found for topic ${topicId}`);
+    }
+    if (!this.oracleAddress) {
+      throw new Error(`conditionId not found for topic ${topicId}, configure oracleAddress to derive it from questionId`);
+    }
+    return getConditionId(this.oracleAddress, topicInfo.questionId);
+  }
+
+  /**
+   * Build the common parameters of split/merge/redeem calls for a topic
+   */
+  async getConditionalTokenParams(topicId) {
+    const [ctfAddress, conditionId] = await Promise.all([
+      this.getConditionalTokensAddress(),
+      this.getConditionId(topicId)
+    ]);
+    return {
+      ctfAddress,
+      collateralToken: this.collateralTokenAddr,
+      conditionId
+    };
+  }
+
+  /**
+   * Split collateral into YES + NO shares of a topic
+   * The Safe must allow the conditional tokens contract to spend its collateral
+   * (approveCollateral(amount, await getConditionalTokensAddress()))
+   *
+   * @param {object} params
+   * @param {string|number} params.topicId - Topic ID
+   * @param {string} params.amount - Collateral amount to split (human-readable)
+   * @param {boolean} [params.dryRun=false] - Only return the encoded call
+   * @returns {Promise<object>} See executeSafeTransaction
+   */
+  async splitPosition(params) {
+    const { topicId, amount, dryRun = false } = params;
+    const tx = buildSplitPositionTx({
+      ...(await this.getConditionalTokenParams(topicId)),
+      amount: toWei(amount, this.collateralDecimals)
+    });
+    return this.executeSafeTransaction(tx, { dryRun });
+  }
+
+  /**
+   * Merge YES + NO share pairs of a topic back into collateral
+   *
+   * @param {object} params
+   * @param {string|number} params.topicId - Topic ID
+   * @param {string} params.amount - Number of pairs to merge (human-readable)
+   * @param {boolean} [params.dryRun=false] - Only return the encoded call
+   * @returns {Promise<object>} See executeSafeTransaction
+   */
+  async mergePositions(params) {
+    const { topicId, amount, dryRun = false } = params;
+    const tx = buildMergePositionsTx({
+      ...(await this.getConditionalTokenParams(topicId)),
+      amount: toWei(amount, this.collateralDecimals)
+    });
+    return this.executeSafeTransaction(tx, { dryRun });
+  }
+
+  /**
+   * Redeem the winning shares of a resolved topic
+   *
+   * @param {object} params
+   * @param {string|number} params.topicId - Topic ID
+   * @param {boolean} [params.dryRun=false] - Only return the encoded call
+   * @returns {Promise<object>} See executeSafeTransaction
+   */
+  async redeemPositions(params) {
+    const { topicId, dryRun = false } = params;
+    const tx = buildRedeemPositionsTx(await this.getConditionalTokenParams(topicId));
+    return this.executeSafeTransaction(tx, { dryRun });
   }
 
   /**
@@ -79,168 +1029,537 @@ export class OpinionTradeSDK {
    * @param {string} [params.buyInputVal='0'] - Buy input value (required if volumeType is 'Amount')
    * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
    * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {Date|number} [params.expiresAt] - Expiry as a Date or Unix timestamp in seconds (default: good-till-cancelled)
+   * @param {number} [params.ttlSeconds] - Time to live in seconds (alternative to expiresAt)
    * @returns {Promise<object>} API response
    */
   async createLimitOrder(params) {
+    try {
+      const apiPayload = await this.prepareLimitOrder(params);
+
+      // Step 4: Submit order to API
+      return await this.submitOrder(apiPayload, {
+        isStableCoin: params.isStableCoin !== false,
+        volumeType: params.volumeType
+      });
+    } catch (error) {
+      this.logger.error('Failed to create limit order', { topicId: params.topicId, tokenId: params.tokenId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create and submit several limit orders
+   * Every order is built first; funds are allocated across the batch and only the
+   * orders that can be funded are signed and submitted, with bounded concurrency.
+   * A failing order does not abort the others. When the balances cannot be read,
+   * every order fails with that error and nothing is submitted.
+   *
+   * @param {Array<object>} orders - Order parameters, as for createLimitOrder.
+   *   Instead of tokenId an order may give `position` ('YES'/'NO') and, in multi-outcome markets,
+   *   `outcome` (label or index) to resolve it from the topic.
+   * @param {object} [options]
+   * @param {number} [options.concurrency=5] - Max number of orders submitted at the same time
+   * @returns {Promise<Array<object>>} Per-order results in input order:
+   *   { index, success, params, response?, error? }
+   */
+  async createOrders(orders, options = {}) {
+    const { concurrency = 5 } = options;
+
+    if (!Array.isArray(orders)) {
+      throw new ValidationError('orders must be an array');
+    }
+    // Checked before anything is signed
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError(`options.concurrency must be a positive integer, got ${concurrency}`);
+    }
+
+    this.logger.debug('Creating orders', { count: orders.length });
+
+    // Step 1: Build every order
+    const built = await Promise.all(orders.map(async (params, index) => {
+      try {
+        const resolved = await this.resolveOrderToken(params);
+        return { index, params, order: await this.buildLimitOrder(resolved) };
+      } catch (error) {
+        return { index, params, error };
+      }
+    }));
+
+    // Funds are checked once for the whole batch so orders cannot share the same collateral or shares
+    if (this.checkBalanceBeforeOrder) {
+      try {
+        await this.allocateBatchFunds(built);
+      } catch (error) {
+        // Balances could not be read: no order can be checked, so none is placed
+        this.logger.warn('Batch funds check failed', { error });
+        for (const item of built) {
+          if (!item.error) {
+            item.error = error;
+          }
+        }
+      }
+    }
+
+    // Only orders that passed are signed
+    const prepared = await Promise.all(built.map(async (item) => {
+      const { index, params, order, error } = item;
+      if (error) {
+        return { index, params, error };
+      }
+      try {
+        return { index, params, payload: await this.signLimitOrder(order) };
+      } catch (signError) {
+        return { index, params, error: signError };
+      }
+    }));
+
+    // Step 2: Submit the signed orders
+    const results = await mapWithConcurrency(prepared, concurrency, async (item) => {
+      const { index, params, payload, error } = item;
+      if (error) {
+        return { index, success: false, params, error };
+      }
+      try {
+        const response = await this.submitOrder(payload, {
+          isStableCoin: params.isStableCoin !== false,
+          volumeType: params.volumeType
+        });
+        return { index, success: true, params, response };
+      } catch (submitError) {
+        return { index, success: false, params, error: submitError };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    this.logger.info('Batch orders submitted', { submitted: succeeded, total: orders.length });
+
+    return results;
+  }
+
+  /**
+   * Fill in tokenId from the topic when an order gives an outcome or position instead
+   * In multi-outcome markets topicId becomes the child market of the outcome.
+   *
+   * @param {object} params - Order parameters
+   * @returns {Promise<object>} Order parameters with tokenId
+   */
+  async resolveOrderToken(params) {
+    if (params.tokenId || (!params.position && params.outcome === undefined)) {
+      return params;
+    }
+
+    const resolved = await this.resolveOutcome(params.topicId, params);
+    return { ...params, topicId: resolved.topicId, tokenId: resolved.tokenId };
+  }
+
+  /**
+   * Submit order to API
+   * Corresponds to SubmitOrderV2 in readme.md (lines 395-396)
+   *
+   * Transient failures are retried. When a failure leaves it unknown whether the
+   * order reached the API (timeout, dropped connection, 5xx), the maker's orders
+   * are searched for the order's salt/signature before resubmitting, so an order
+   * is never placed twice. A recovered order resolves with
+   * `{ errno: 0, result: order, recovered: true }`. When the listed orders carry
+   * neither salt nor signature, retries stop and the ambiguous error is thrown so
+   * the caller can reconcile.
+   *
+   * @param {object} payload - Order payload
+   * @param {object} [options]
+   * @param {boolean} [options.isStableCoin=true] - Whether collateral is stablecoin (used by the pre-submit check)
+   * @param {string} [options.volumeType='Shares'] - Volume type of the order (used by the pre-submit check)
+   * @param {object|boolean} [options.retry] - Retry policy override, `false` for a single attempt
+   * @returns {Promise<object>} API response
+   */
+  async submitOrder(payload, options = {}) {
+    const { isStableCoin = true, volumeType } = options;
+    const policy = options.retry === undefined ? this.retryPolicy : resolveRetryPolicy(options.retry);
+
+    try {
+      if (this.verifyBeforeSubmit) {
+        // Opt-in guard: refuse payloads the API would reject or that were signed by someone else
+        assertPayloadConsistency(payload, { isStableCoin, volumeType, domain: this.eip712Domain });
+        await this.resolveSignerAddress();
+        if (!this.verifyOrderSignature(payload)) {
+          throw new SigningError(`Order signer ${payload.signer} is not the SDK signer ${this.signerAddress}`, { payload });
+        }
+      }
+
+      const orderFields = { topicId: payload.topicId, tokenId: payload.tokenId, salt: payload.salt };
+      const startedAt = Date.now();
+      this.logger.debug('Submitting order', { ...orderFields, payload });
+
+      let ambiguousError = null;
+      let unresolved = false;
+      const responseData = await withRetry(async () => {
+        if (ambiguousError) {
+          // An earlier attempt may have landed: look for it before placing the order again
+          const existing = await this.findSubmittedOrder(payload);
+          if (existing === undefined) {
+            unresolved = true;
+            this.logger.warn('Cannot tell whether the order was accepted, not resubmitting', orderFields);
+            throw ambiguousError;
+          }
+          if (existing) {
+            this.logger.info('Order already accepted by the API, not resubmitting', {
+              ...orderFields,
+              orderId: existing.orderId
+            });
+            return { errno: 0, errmsg: '', result: existing, recovered: true };
+          }
+        }
+
+        try {
+          return await this.apiRequest({
+            method: 'POST',
+            path: API_ENDPOINTS.SUBMIT_ORDER,
+            data: payload,
+            context: 'Submit order',
+            retry: false
+          });
+        } catch (error) {
+          if (!ambiguousError && isAmbiguousError(error)) {
+            ambiguousError = error;
+          }
+          throw error;
+        }
+      }, {
+        policy,
+        shouldRetry: (error) => !unresolved && isRetryableError(error),
+        onRetry: ({ attempt, delay, error }) => {
+          this.logger.warn('Submit order failed, retrying', { ...orderFields, attempt, delayMs: delay, error });
+        }
+      });
+
+      // Only an explicit errno 0 with an order in the result confirms the order
+      const result = responseData.result;
+      if (!isApiSuccess(responseData) || !result || typeof result !== 'object') {
+        throw createApiError({
+          data: responseData,
+          payload,
+          context: 'Submit order',
+          errmsg: 'Response does not confirm the order, check open orders before retrying'
+        });
+      }
+      this.logger.info('Order submitted', {
+        ...orderFields,
+        orderId: result.orderId,
+        latencyMs: Date.now() - startedAt
+      });
+
+      return responseData;
+    } catch (error) {
+      this.logger.error('Submit order failed', { topicId: payload.topicId, salt: payload.salt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a submitted order among the maker's orders by its salt or signature
+   * Searches all open and closed orders of the order's topic (an order may have
+   * been filled right after it landed).
+   *
+   * @param {object} payload - Order payload passed to submitOrder
+   * @returns {Promise<object|null|undefined>} API order, null if the order is not listed, or
+   *   undefined if some listed orders carry neither salt nor signature, so a match cannot be ruled out
+   */
+  async findSubmittedOrder(payload) {
+    const salt = String(payload.salt);
+    const signature = String(payload.signature || payload.sign || '').toLowerCase();
+    const matches = (order) => {
+      if (order.salt !== undefined && order.salt !== null && String(order.salt) === salt) {
+        return true;
+      }
+      const orderSignature = order.signature || order.sign;
+      return Boolean(signature && orderSignature && String(orderSignature).toLowerCase() === signature);
+    };
+
+    const isComparable = (order) => ['salt', 'signature', 'sign']
+      .some(field => order[field] !== undefined && order[field] !== null && order[field] !== '');
+
+    let uncomparable = 0;
+    for (const queryType of [OrderQueryType.OPEN, OrderQueryType.CLOSED]) {
+      for await (const order of this.iterateOrders({ queryType, topicId: payload.topicId })) {
+        if (matches(order)) {
+          return order;
+        }
+        if (!isComparable(order)) {
+          uncomparable++;
+        }
+      }
+    }
+
+    if (uncomparable > 0) {
+      this.logger.warn('Listed orders carry no salt or signature, cannot match the submitted order', {
+        topicId: payload.topicId,
+        salt,
+        uncomparable
+      });
+      return undefined;
+    }
+    return null;
+  }
+
+  /**
+   * Helper: Create a BUY limit order
+   */
+  async buy(params) {
+    return this.createLimitOrder({
+      ...params,
+      side: Side.BUY
+    });
+  }
+
+  /**
+   * Helper: Create a SELL limit order
+   */
+  async sell(params) {
+    return this.createLimitOrder({
+      ...params,
+      side: Side.SELL
+    });
+  }
+
+  /**
+   * Create and submit a market order
+   * The order is priced at the worst acceptable price (reference price +/- maxSlippage)
+   * so that it fills immediately against the book
+   *
+   * @param {object} params
+   * @param {string} params.topicId - Topic ID of the prediction market
+   * @param {string} params.tokenId - Token ID (YES or NO position)
+   * @param {number} params.side - Order side (0: BUY, 1: SELL)
+   * @param {string} [params.price] - Reference price (0-100), e.g. current best price
+   * @param {string} [params.maxSlippage='2'] - Max slippage in price points
+   * @param {string} [params.priceLimit] - Explicit worst price (0-100), overrides price/maxSlippage
+   * @param {string} [params.shares] - Number of shares (volumeType 'Shares')
+   * @param {string} [params.volumeType='Shares'] - Volume type ('Shares' or 'Amount')
+   * @param {string} [params.buyInputVal] - Amount to spend/receive (volumeType 'Amount')
+   * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
+   * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {Date|number} [params.expiresAt] - Expiry as a Date or Unix timestamp in seconds (default: good-till-cancelled)
+   * @param {number} [params.ttlSeconds] - Time to live in seconds (alternative to expiresAt)
+   * @returns {Promise<object>} API response
+   */
+  async createMarketOrder(params) {
     const {
       topicId,
       tokenId,
-      limitPrice,
-      shares,
       side,
+      price,
+      maxSlippage,
+      priceLimit,
+      shares,
       volumeType = VolumeType.SHARES,
-      buyInputVal = '0',
+      buyInputVal,
       isStableCoin = true,
-      safeRate = '0'
+      safeRate = '0',
+      expiresAt,
+      ttlSeconds
     } = params;
 
     try {
-      console.log('Creating limit order...');
-      console.log('Parameters:', {
-        topicId,
-        tokenId,
-        limitPrice,
-        shares,
-        side: side === Side.BUY ? 'BUY' : 'SELL',
-        volumeType
-      });
+      const expiration = resolveExpiration({ expiresAt, ttlSeconds });
+      const nonce = await this.nonceManager.getNonce();
 
-      // Step 1: Build order parameters
-      const orderParams = buildOrderParams({
+      // Step 1: Build order parameters bounded by the worst price
+      const orderParams = buildMarketOrderParams({
         maker: this.makerAddress,
-        signer: this.signerAddress,
+        signer: await this.resolveSignerAddress(),
         tokenId,
-        limitPrice,
-        shares,
         side,
+        price,
+        maxSlippage,
+        priceLimit,
+        shares,
         volumeType,
         buyInputVal,
-        isStableCoin
+        isStableCoin,
+        expiration,
+        nonce,
+        salt: this.saltGenerator(),
+        decimals: this.collateralDecimals
       });
 
-      console.log('Order parameters built');
+      if (this.checkBalanceBeforeOrder) {
+        await this.assertOrderFunded(orderParams);
+      }
 
-      // Step 2: Sign the order
-      const signedOrder = await buildSignedOrder(this.wallet, orderParams);
+      this.logger.debug('Preparing market order', {
+        topicId,
+        tokenId,
+        worstPrice: orderParams.worstPrice,
+        side: side === Side.BUY ? 'BUY' : 'SELL',
+        volumeType
+      });
 
-      console.log('Order signed successfully');
-      console.log('Signature:', signedOrder.signature);
+      // Step 2: Sign the order
+      const signedOrder = await buildSignedOrder(this.signer, orderParams, this.eip712Domain);
 
       // Step 3: Build API payload
       const apiPayload = buildApiPayload({
         signedOrder,
         topicId,
-        limitPrice,
+        limitPrice: orderParams.worstPrice,
         collateralTokenAddr: this.collateralTokenAddr,
         chainId: this.chainId,
         isStableCoin,
-        safeRate
+        safeRate,
+        tradingMethod: TradingMethod.MARKET
       });
 
-      console.log('API payload built');
-      console.log('API payload preview:', JSON.stringify({
-        topicId: apiPayload.topicId,
-        price: apiPayload.price,
-        side: apiPayload.side,
-        makerAmount: apiPayload.makerAmount,
-        takerAmount: apiPayload.takerAmount
-      }, null, 2));
-      console.log();
-      // Step 4: Submit order to API
-      const response = await this.submitOrder(apiPayload);
-
-      console.log('Order submitted successfully');
+      this.trackExpiration(signedOrder);
 
-      return response;
+      // Step 4: Submit order to API
+      return await this.submitOrder(apiPayload, { isStableCoin });
     } catch (error) {
-      console.error('Failed to create limit order:', error.message);
+      this.logger.error('Failed to create market order', { topicId, tokenId, error });
       throw error;
     }
   }
 
   /**
-   * Submit order to API
-   * Corresponds to SubmitOrderV2 in readme.md (lines 395-396)
-   *
-   * @param {object} payload - Order payload
-   * @returns {Promise<object>} API response
+   * Helper: Create a BUY market order
    */
-  async submitOrder(payload) {
-    try {
-      const url = `${this.apiBaseUrl}${API_ENDPOINTS.SUBMIT_ORDER}`;
-      console.log('Submitting order to API...');
-      console.log('API URL:', url);
-      console.log('Full payload:', JSON.stringify(payload, null, 2));
-
-      // 将payload转义为JSON字符串用于curl
-      const payloadJson = JSON.stringify(payload).replace(/"/g, '\\"');
-
-      // 构建curl命令，添加authorization header（如果提供）
-      let curlCommand = `curl -k -s -X POST "${url}" -H "Content-Type: application/json"`;
-
-      if (this.authorizationToken) {
-        // 确保token包含"Bearer "前缀
-        const token = this.authorizationToken.startsWith('Bearer ')
-          ? this.authorizationToken
-          : `Bearer ${this.authorizationToken}`;
-        curlCommand += ` -H "Authorization: ${token}"`;
-        console.log('Using authorization token');
-      } else {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
-      }
-
-      curlCommand += ` -d "${payloadJson}"`;
-
-      const { stdout, stderr } = await execPromise(curlCommand, {
-        timeout: 30000,
-        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-      });
+  async marketBuy(params) {
+    return this.createMarketOrder({
+      ...params,
+      side: Side.BUY
+    });
+  }
 
-      if (stderr) {
-        console.error(`curl stderr: ${stderr}`);
-      }
+  /**
+   * Helper: Create a SELL market order
+   */
+  async marketSell(params) {
+    return this.createMarketOrder({
+      ...params,
+      side: Side.SELL
+    });
+  }
 
-      const responseData = JSON.parse(stdout);
-      console.log('API response data:', JSON.stringify(responseData, null, 2));
+  /**
+   * Create a streaming client for order book, trades and own order updates
+   * Call `connect()` on the returned stream, subscriptions survive reconnects
+   *
+   * @param {object} [options] - OpinionStream options (override SDK config)
+   * @returns {OpinionStream} Stream client
+   */
+  createStream(options = {}) {
+    if (!this.wsUrl && !options.url) {
+      throw new Error(`Network "${this.network.name || 'custom'}" has no wsUrl, pass config.wsUrl`);
+    }
 
-      if (responseData.errno !== 0) {
-        throw new Error(`API error: ${responseData.errmsg || 'Unknown error'}`);
-      }
+    return new OpinionStream({
+      url: this.wsUrl,
+      WebSocket: this.WebSocket,
+      // Read on every subscribe, so resubscribes after a reconnect use a refreshed token
+      authorizationToken: () => this.authSession.getToken(),
+      ...options
+    });
+  }
 
-      return responseData;
+  /**
+   * Create a stream subscribed to the maker's own order updates
+   * Listen for 'orderStatus' to track OPEN -> FILLED/CANCELLED transitions
+   *
+   * @param {object} [options] - OpinionStream options
+   * @returns {Promise<OpinionStream>} Connected stream client, closed again if the connection fails
+   */
+  async streamOwnOrders(options = {}) {
+    // Created first so a missing WebSocket implementation fails before logging in
+    const stream = this.createStream(options);
+    try {
+      await this.ensureAuthToken();
+      stream.subscribeOrders({ walletAddress: this.makerAddress });
+      await stream.connect();
     } catch (error) {
-      console.error('Submit order error:', error.message);
+      stream.close();
       throw error;
     }
+    return stream;
   }
 
   /**
-   * Helper: Create a BUY limit order
+   * Build the transaction that invalidates every outstanding signed order
+   * It calls incrementNonce() on the exchange and must be executed by the maker (Gnosis Safe).
+   * Once it is mined, call `bumpNonce()` so new orders are signed with the new nonce.
+   *
+   * @returns {object} Transaction request { to, data, value }
    */
-  async buy(params) {
-    return this.createLimitOrder({
-      ...params,
-      side: Side.BUY
-    });
+  buildInvalidateOrdersTx() {
+    if (typeof this.nonceManager.buildIncrementNonceTx !== 'function') {
+      throw new Error('The configured nonce manager cannot build incrementNonce transactions');
+    }
+    return this.nonceManager.buildIncrementNonceTx();
   }
 
   /**
-   * Helper: Create a SELL limit order
+   * Advance the local nonce after an incrementNonce transaction was mined
+   *
+   * @returns {Promise<string>} New nonce
    */
-  async sell(params) {
-    return this.createLimitOrder({
-      ...params,
-      side: Side.SELL
-    });
+  async bumpNonce() {
+    if (typeof this.nonceManager.bump !== 'function') {
+      throw new Error('The configured nonce manager does not support bump()');
+    }
+    return this.nonceManager.bump();
   }
 
   /**
    * Get signer address
+   * For external signers this is null until resolveSignerAddress() has run,
+   * unless config.signerAddress was given
    */
   getSignerAddress() {
     return this.signerAddress;
   }
 
+  /**
+   * Verify that a signed order (or API payload) was signed by an expected signer
+   *
+   * @param {object} signedOrder - Signed order or API payload
+   * @param {string} [expectedSigner] - Expected signer (default: this SDK's signer; for external
+   *   signers call resolveSignerAddress() first)
+   * @returns {boolean} Whether the signature is valid and the signer is the expected one; false
+   *   when no expected signer is known
+   */
+  verifyOrderSignature(signedOrder, expectedSigner = this.signerAddress) {
+    if (!expectedSigner || !verifyOrderSignature(signedOrder, this.eip712Domain)) {
+      return false;
+    }
+    return String(signedOrder.signer).toLowerCase() === String(expectedSigner).toLowerCase();
+  }
+
+  /**
+   * Resolve the signer address, asking the signer once if it is not known or not verified yet
+   * A config.signerAddress that differs from the signer's own address is rejected.
+   *
+   * @returns {Promise<string>} Signer address
+   */
+  async resolveSignerAddress() {
+    if (this.signerAddress && this.signerAddressVerified) {
+      return this.signerAddress;
+    }
+
+    if (!this.pendingSignerAddress) {
+      this.pendingSignerAddress = Promise.resolve(this.signer.getAddress())
+        .then((address) => {
+          if (this.signerAddress && String(address).toLowerCase() !== this.signerAddress.toLowerCase()) {
+            throw new SigningError(`config.signerAddress ${this.signerAddress} does not match the signer address ${address}`);
+          }
+          this.signerAddress = address;
+          this.signerAddressVerified = true;
+          return address;
+        })
+        .finally(() => {
+          this.pendingSignerAddress = null;
+        });
+    }
+    return this.pendingSignerAddress;
+  }
+
   /**
    * Get maker address
    */
@@ -259,13 +1578,130 @@ export class OpinionTradeSDK {
     return await this.topicAPI.getTopicInfo(topicId, forceRefresh);
   }
 
+  /**
+   * Get the immutable part of the topic information (token IDs, questionId, conditionId, ...)
+   * Served from the long-lived cache; use getTopicInfo for prices and status.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {boolean} forceRefresh - Force refresh from API
+   * @returns {Promise<object>} Topic metadata
+   */
+  async getTopicMetadata(topicId, forceRefresh = false) {
+    return await this.topicAPI.getTopicMetadata(topicId, forceRefresh);
+  }
+
+  /**
+   * List markets, one page at a time
+   *
+   * @param {object} [params]
+   * @param {string|number} [params.status] - Topic status (as used by the API)
+   * @param {string|number} [params.category] - Category ID
+   * @param {string} [params.sort] - Sort field, passed to the API as is
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Items per page
+   * @returns {Promise<object>} { list, total, page, limit }; items have the getTopicInfo shape, total is undefined when the API omits it
+   */
+  async listTopics(params = {}) {
+    return await this.topicAPI.listTopics(params);
+  }
+
+  /**
+   * Search markets by title
+   *
+   * @param {string} query - Search text
+   * @param {object} [params] - Filters and paging (see listTopics)
+   * @returns {Promise<object>} { list, total, page, limit }
+   */
+  async searchTopics(query, params = {}) {
+    return await this.topicAPI.searchTopics(query, params);
+  }
+
+  /**
+   * Iterate over the markets of all pages
+   * Pass `keyword` to iterate over search results.
+   *
+   * @param {object} [params] - Filters (see listTopics)
+   * @returns {AsyncGenerator<object>} Topics
+   */
+  iterateTopics(params = {}) {
+    return this.topicAPI.iterateTopics(params);
+  }
+
+  /**
+   * Get the outcomes of a topic
+   * Binary topics have YES and NO; multi-outcome topics have one entry per child market.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<object>} { outcomeType, outcomes } (see outcomes.js)
+   */
+  async getOutcomes(topicId) {
+    const topicInfo = await this.getTopicMetadata(topicId);
+    return {
+      outcomeType: topicInfo.outcomeType,
+      outcomes: topicInfo.outcomes || []
+    };
+  }
+
+  /**
+   * Resolve an outcome of a topic to the token to trade
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {object} selection
+   * @param {string|number} [selection.outcome] - Outcome label or index ('YES'/'NO' or 0/1 in binary markets)
+   * @param {string} [selection.position] - 'YES' or 'NO'; in multi-outcome markets 'NO' bets against the outcome
+   * @returns {Promise<object>} { tokenId, topicId, questionId, outcome, index, position }
+   */
+  async resolveOutcome(topicId, selection) {
+    const topicInfo = await this.getTopicMetadata(topicId);
+    return resolveOutcomeToken(topicInfo, selection);
+  }
+
+  /**
+   * Get the order book of a topic position
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string|number} [outcome='YES'] - Position 'YES' or 'NO', or in multi-outcome markets
+   *   the outcome label or index
+   * @param {string} [position='YES'] - Multi-outcome markets only: 'YES' or 'NO' side of the outcome
+   * @returns {Promise<OrderBook>} Order book with normalized bid/ask levels
+   */
+  async getOrderBook(topicId, outcome = 'YES', position) {
+    const topicInfo = await this.getTopicMetadata(topicId);
+    const resolved = resolveOutcomeToken(topicInfo, { outcome, position });
+
+    try {
+      const responseData = await this.apiRequest({
+        path: API_ENDPOINTS.ORDER_BOOK,
+        params: {
+          question_id: resolved.questionId,
+          symbol: resolved.tokenId,
+          chainId: topicInfo.chainId || this.chainId
+        },
+        auth: false,
+        context: 'Get order book'
+      });
+
+      return OrderBook.fromApi(responseData, {
+        topicId: resolved.topicId,
+        position: resolved.position,
+        outcome: resolved.outcome,
+        tokenId: resolved.tokenId
+      });
+    } catch (error) {
+      this.logger.error('Get order book failed', { topicId, outcome: resolved.outcome, position: resolved.position, error });
+      throw error;
+    }
+  }
+
   /**
    * Create limit order by topic (auto-fetch token IDs)
-   * Only need topicId and position (YES/NO), other info will be fetched automatically
+   * Only need topicId and position (YES/NO), other info will be fetched automatically.
+   * In multi-outcome markets also give the outcome; the order is placed on its child market.
    *
    * @param {object} params
    * @param {string} params.topicId - Topic ID
-   * @param {string} params.position - Position: 'YES' or 'NO'
+   * @param {string} [params.position] - Position: 'YES' or 'NO' (default 'YES' in multi-outcome markets)
+   * @param {string|number} [params.outcome] - Outcome label or index (required in multi-outcome markets)
    * @param {string} params.limitPrice - Limit price (0-100)
    * @param {string} params.shares - Number of shares
    * @param {number} params.side - Order side (0: BUY, 1: SELL)
@@ -273,53 +1709,49 @@ export class OpinionTradeSDK {
    * @param {string} [params.buyInputVal='0'] - Buy input value
    * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
    * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {Date|number} [params.expiresAt] - Expiry as a Date or Unix timestamp in seconds (default: good-till-cancelled)
+   * @param {number} [params.ttlSeconds] - Time to live in seconds (alternative to expiresAt)
    * @returns {Promise<object>} API response
    */
   async createOrderByTopic(params) {
     const {
       topicId,
       position,
+      outcome,
       limitPrice,
       shares,
       side,
       volumeType = VolumeType.SHARES,
       buyInputVal = '0',
       isStableCoin = true,
-      safeRate = '0'
+      safeRate = '0',
+      expiresAt,
+      ttlSeconds
     } = params;
 
-    // Validate position
-    const positionUpper = position.toUpperCase();
-    if (positionUpper !== 'YES' && positionUpper !== 'NO') {
-      throw new Error('Position must be "YES" or "NO"');
-    }
-
-    console.log(`→ Fetching topic info for Topic ${topicId}...`);
-
-    // Fetch topic info to get token IDs
-    const topicInfo = await this.getTopicInfo(topicId);
+    // Fetch topic info and select the token ID of the outcome
+    const resolved = await this.resolveOutcome(topicId, { outcome, position });
 
-    // Select token ID based on position
-    const tokenId = positionUpper === 'YES' ? topicInfo.yesToken : topicInfo.noToken;
-
-    if (!tokenId) {
-      throw new Error(`${positionUpper} token ID not found for topic ${topicId}`);
-    }
-
-    console.log(`✓ Topic: ${topicInfo.title}`);
-    console.log(`✓ Token ID (${positionUpper}): ${tokenId}`);
+    this.logger.debug('Resolved topic token', {
+      topicId: resolved.topicId,
+      outcome: resolved.outcome,
+      position: resolved.position,
+      tokenId: resolved.tokenId
+    });
 
     // Create order with the fetched token ID
     return await this.createLimitOrder({
-      topicId,
-      tokenId,
+      topicId: resolved.topicId,
+      tokenId: resolved.tokenId,
       limitPrice,
       shares,
       side,
       volumeType,
       buyInputVal,
       isStableCoin,
-      safeRate
+      safeRate,
+      expiresAt,
+      ttlSeconds
     });
   }
 
@@ -328,7 +1760,8 @@ export class OpinionTradeSDK {
    *
    * @param {object} params
    * @param {string} params.topicId - Topic ID
-   * @param {string} params.position - Position: 'YES' or 'NO'
+   * @param {string} [params.position] - Position: 'YES' or 'NO'
+   * @param {string|number} [params.outcome] - Outcome label or index (multi-outcome markets)
    * @param {string} params.limitPrice - Limit price (0-100)
    * @param {string} params.shares - Number of shares
    * @returns {Promise<object>} API response
@@ -345,7 +1778,8 @@ export class OpinionTradeSDK {
    *
    * @param {object} params
    * @param {string} params.topicId - Topic ID
-   * @param {string} params.position - Position: 'YES' or 'NO'
+   * @param {string} [params.position] - Position: 'YES' or 'NO'
+   * @param {string|number} [params.outcome] - Outcome label or index (multi-outcome markets)
    * @param {string} params.limitPrice - Limit price (0-100)
    * @param {string} params.shares - Number of shares
    * @returns {Promise<object>} API response
@@ -388,6 +1822,7 @@ export class OpinionTradeSDK {
    * @param {string|number} [params.topicId] - Topic ID (optional, if not provided, query all topics)
    * @param {number} [params.page=1] - Page number
    * @param {number} [params.limit=10] - Items per page
+   * @param {number} [params.priority=RequestPriority.NORMAL] - Rate limiter priority
    * @returns {Promise<object>} Orders response with list and total
    */
   async queryOrders(params) {
@@ -396,62 +1831,515 @@ export class OpinionTradeSDK {
       queryType,
       topicId,
       page = 1,
-      limit = 10
+      limit = 10,
+      priority
     } = params;
 
     if (!walletAddress) {
-      throw new Error('walletAddress is required');
+      throw new ValidationError('walletAddress is required');
     }
 
     if (!queryType || (queryType !== OrderQueryType.OPEN && queryType !== OrderQueryType.CLOSED)) {
-      throw new Error('queryType must be 1 (OPEN) or 2 (CLOSED)');
+      throw new ValidationError('queryType must be 1 (OPEN) or 2 (CLOSED)', { payload: params });
     }
 
     try {
-      // Build URL with query parameters
-      let url = `${this.apiBaseUrl}${API_ENDPOINTS.QUERY_ORDERS}?page=${page}&limit=${limit}&walletAddress=${walletAddress}&queryType=${queryType}`;
+      const responseData = await this.apiRequest({
+        path: API_ENDPOINTS.QUERY_ORDERS,
+        params: {
+          page,
+          limit,
+          walletAddress,
+          queryType,
+          topicId
+        },
+        context: 'Query orders',
+        priority
+      });
 
-      if (topicId) {
-        url += `&topicId=${topicId}`;
+      const result = responseData.result;
+      if (!result || typeof result !== 'object' || !Array.isArray(result.list)) {
+        throw createApiError({ data: responseData, payload: params, context: 'Query orders', errmsg: 'Response has no order list' });
       }
 
-      console.log('Querying orders...');
-      console.log('URL:', url);
+      this.logger.debug('Orders queried', {
+        topicId,
+        queryType,
+        page,
+        total: result.total,
+        count: result.list.length
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Query orders failed', { topicId, queryType, page, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over the orders of all pages
+   * Pages go through the rate limiter like any other read. Orders are deduplicated
+   * by orderId; when orders disappear from the listing during iteration (filled or
+   * cancelled), pages already read are read again so no order is skipped.
+   *
+   * @param {object} params
+   * @param {number} params.queryType - Query type (1: open orders, 2: closed orders)
+   * @param {string} [params.walletAddress] - Wallet address (default: maker address)
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {number} [params.limit=50] - Items per page
+   * @param {number} [params.priority=RequestPriority.NORMAL] - Rate limiter priority
+   * @param {number|string|Array} [params.side] - Only BUY or SELL orders
+   * @param {string|Array<string>} [params.outcome] - Only these outcomes (e.g. 'YES')
+   * @param {number|Array<number>} [params.status] - Only these OrderStatus values
+   * @param {string|number} [params.minPrice] - Lowest price, on the scale of order.price
+   * @param {string|number} [params.maxPrice] - Highest price, on the scale of order.price
+   * @param {Date|number} [params.since] - Only orders created at or after this time
+   * @param {Date|number} [params.until] - Only orders created at or before this time
+   * @returns {AsyncGenerator<object>} Orders
+   */
+  async *iterateOrders(params) {
+    const {
+      walletAddress = this.makerAddress,
+      queryType,
+      topicId,
+      limit = 50,
+      priority,
+      ...filter
+    } = params;
 
-      // Build curl command with authorization
-      let curlCommand = `curl -k -s -X GET "${url}" -H "Content-Type: application/json"`;
+    const matches = createOrderFilter(filter);
+    const pages = paginate(
+      page => this.queryOrders({ walletAddress, queryType, topicId, page, limit, priority }),
+      { limit, key: order => order.orderId ?? order.salt }
+    );
 
-      if (this.authorizationToken) {
-        const token = this.authorizationToken.startsWith('Bearer ')
-          ? this.authorizationToken
-          : `Bearer ${this.authorizationToken}`;
-        curlCommand += ` -H "Authorization: ${token}"`;
-      } else {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
+    for await (const order of pages) {
+      if (matches(order)) {
+        yield order;
       }
+    }
+  }
+
+  /**
+   * Get all open orders of the maker, following pagination
+   *
+   * @param {object} [params] - Topic and filters (see iterateOrders)
+   * @returns {Promise<Array<object>>} Open orders
+   */
+  async getAllOpenOrders(params = {}) {
+    const orders = [];
+    for await (const order of this.iterateOrders({ ...params, queryType: OrderQueryType.OPEN })) {
+      orders.push(order);
+    }
+    return orders;
+  }
+
+  /**
+   * Get one page of fills (trade history)
+   * Experimental: the trade history endpoint and its fields are not confirmed.
+   * Rows that cannot be read (unknown side, bad price or shares) are left out
+   * and counted in skipped.
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: maker address)
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=50] - Items per page
+   * @param {number} [params.priority=RequestPriority.NORMAL] - Rate limiter priority
+   * @returns {Promise<object>} { list, total, skipped, size }; trades are normalized (see
+   *   accounting.normalizeTrade), size is the row count of the page before skipping
+   */
+  async getTrades(params = {}) {
+    const {
+      walletAddress = this.makerAddress,
+      topicId,
+      page = 1,
+      limit = 50,
+      priority
+    } = params;
 
-      const { stdout, stderr } = await execPromise(curlCommand, {
-        timeout: 30000,
-        maxBuffer: 1024 * 1024 * 10
+    try {
+      const responseData = await this.apiRequest({
+        path: API_ENDPOINTS.TRADES,
+        params: { page, limit, walletAddress, topicId },
+        context: 'Query trades',
+        priority
       });
 
-      if (stderr) {
-        console.error('curl stderr:', stderr);
+      const result = responseData.result || {};
+      const list = Array.isArray(result) ? result : (result.list || []);
+      this.logger.debug('Trades queried', { topicId, page, total: result.total, count: list.length });
+
+      const { trades, skipped } = normalizeTrades(list);
+      if (skipped > 0) {
+        this.logger.warn('Skipped unreadable trades', { topicId, page, skipped });
+      }
+      return { list: trades, total: result.total, skipped, size: list.length };
+    } catch (error) {
+      this.logger.error('Query trades failed', { topicId, page, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over the fills of all pages
+   *
+   * @param {object} [params] - walletAddress, topicId, limit and priority (see getTrades)
+   * @returns {AsyncGenerator<object>} Trades
+   */
+  async *iterateTrades(params = {}) {
+    const { limit = 50, ...query } = params;
+    yield* paginate(page => this.getTrades({ ...query, page, limit }), {
+      limit,
+      key: trade => trade.tradeId
+    });
+  }
+
+  /**
+   * Get the fills of the maker
+   *
+   * @param {object} [params]
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {Date|number} [params.since] - Only fills at or after this time
+   * @param {Date|number} [params.until] - Only fills at or before this time
+   * @param {string} [params.source='orders'] - 'orders' to derive one fill per order from the filled
+   *   part of open and closed orders (at the order's limit price), 'trades' for the trade history
+   *   endpoint (experimental, see getTrades)
+   * @returns {Promise<Array<object>>} Trades, oldest first
+   */
+  async getTradeHistory(params = {}) {
+    const { trades } = await this.collectTrades(params);
+    return trades;
+  }
+
+  /**
+   * Get the fills of the maker with the number of rows left out
+   *
+   * @param {object} [params] - topicId, since, until and source (see getTradeHistory)
+   * @returns {Promise<object>} { trades, skipped }; trades oldest first, skipped counts unreadable rows
+   */
+  async collectTrades(params = {}) {
+    const { topicId, since, until, source = 'orders' } = params;
+    const from = toUnixSeconds(since);
+    const to = toUnixSeconds(until);
+
+    let trades = [];
+    let skipped = 0;
+    if (source === 'trades') {
+      const pages = paginate(async page => {
+        const response = await this.getTrades({ topicId, page, limit: 50 });
+        skipped += response.skipped;
+        return response;
+      }, { limit: 50, key: trade => trade.tradeId });
+      for await (const trade of pages) {
+        trades.push(trade);
+      }
+    } else if (source === 'orders') {
+      // An order filled while listing can show up in both; the closed listing is read last and wins
+      const orders = new Map();
+      for (const queryType of [OrderQueryType.OPEN, OrderQueryType.CLOSED]) {
+        for await (const order of this.iterateOrders({ queryType, topicId })) {
+          orders.set(String(order.orderId), order);
+        }
       }
+      ({ trades, skipped } = tradesFromOrders([...orders.values()]));
+      if (skipped > 0) {
+        this.logger.warn('Skipped unreadable filled orders', { topicId, skipped });
+      }
+    } else {
+      throw new ValidationError(`Unknown trade source: ${source}. Use 'orders' or 'trades'`);
+    }
+
+    trades = trades
+      .filter(trade => (from === undefined || (trade.timestamp ?? 0) >= from) && (to === undefined || (trade.timestamp ?? 0) <= to))
+      .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+    return { trades, skipped };
+  }
 
-      const responseData = JSON.parse(stdout);
+  /**
+   * Compute positions and PnL from the maker's fills
+   * Open shares are marked to the current yesPrice/noPrice of their topic. Fills before
+   * `since` are left out, so positions opened earlier lose their cost basis; leave it
+   * unset for a full history.
+   *
+   * @param {object} [params] - topicId, since, until and source (see getTradeHistory)
+   * @param {boolean} [params.mark=true] - Fetch current prices for unrealized PnL
+   * @returns {Promise<object>} { generatedAt, positions, topics, totals, trades, skippedTrades }
+   *   (see accounting.computePnl); skippedTrades counts fills left out as unreadable
+   */
+  async getPnlReport(params = {}) {
+    const { mark = true, ...query } = params;
+    const { trades, skipped } = await this.collectTrades(query);
 
-      if (responseData.errno !== undefined && responseData.errno !== 0) {
-        throw new Error(`API error (errno: ${responseData.errno}): ${responseData.errmsg || 'Unknown error'}`);
+    const marks = new Map();
+    if (mark) {
+      const topicIds = [...new Set(trades.map(trade => trade.topicId).filter(id => id !== undefined && id !== null))];
+      for (const id of topicIds) {
+        try {
+          const topicInfo = await this.getTopicInfo(id);
+          buildMarkPrices(topicInfo, marks);
+          for (const trade of trades) {
+            if (trade.topicId === id && !trade.topicTitle) {
+              trade.topicTitle = topicInfo.title;
+            }
+          }
+        } catch (error) {
+          // The position stays unmarked (unrealizedPnl null)
+          this.logger.warn('Could not fetch mark prices', { topicId: id, error });
+        }
       }
+    }
+
+    const report = computePnl(trades, { marks });
+    this.logger.info('PnL report computed', {
+      trades: trades.length,
+      skippedTrades: skipped,
+      positions: report.positions.length,
+      realizedPnl: report.totals.realizedPnl,
+      unrealizedPnl: report.totals.unrealizedPnl
+    });
+
+    return { generatedAt: new Date().toISOString(), ...report, trades, skippedTrades: skipped };
+  }
+
+  /**
+   * Export a PnL report for reconciliation
+   * e.g. fs.writeFileSync('pnl.csv', sdk.exportPnlReport(report))
+   *
+   * @param {object} report - Report from getPnlReport
+   * @param {object} [options]
+   * @param {string} [options.format='csv'] - 'csv' or 'json'
+   * @param {string} [options.table='positions'] - CSV only: 'positions', 'topics' or 'trades'
+   * @returns {string} CSV or JSON text
+   */
+  exportPnlReport(report, options = {}) {
+    return exportPnlReport(report, options);
+  }
+
+  /**
+   * Cancel a single order
+   *
+   * @param {string|number} orderId - Order ID (the `orderId` field returned by queryOrders)
+   * @param {object} [options]
+   * @param {number} [options.priority=RequestPriority.HIGH] - Rate limiter priority
+   * @returns {Promise<object>} Result: { orderId, success, response?, error? }
+   */
+  async cancelOrder(orderId, options = {}) {
+    // Cancels overtake queued new orders unless the caller is background work
+    const { priority = RequestPriority.HIGH } = options;
+
+    if (orderId === undefined || orderId === null || orderId === '') {
+      throw new ValidationError('orderId is required');
+    }
 
-      console.log(`✓ Found ${responseData.result.total} order(s), showing ${responseData.result.list.length}`);
+    try {
+      const responseData = await this.apiRequest({
+        method: 'POST',
+        path: API_ENDPOINTS.CANCEL_ORDER,
+        data: { orderId: String(orderId) },
+        context: `Cancel order ${orderId}`,
+        priority
+      });
 
-      return responseData.result;
+      this.logger.info('Order cancelled', { orderId });
+
+      return { orderId, success: true, response: responseData };
     } catch (error) {
-      console.error('Query orders error:', error.message);
-      throw error;
+      this.logger.error('Cancel order failed', { orderId, error });
+      return { orderId, success: false, error };
+    }
+  }
+
+  /**
+   * Cancel several orders one after another
+   * A failed cancellation does not stop the remaining ones
+   *
+   * @param {Array<string|number>} orderIds - Order IDs
+   * @param {object} [options] - Options for cancelOrder (priority)
+   * @returns {Promise<Array<object>>} Per-order results (see cancelOrder)
+   */
+  async cancelOrders(orderIds, options = {}) {
+    const results = [];
+    for (const orderId of orderIds) {
+      results.push(await this.cancelOrder(orderId, options));
+    }
+    return results;
+  }
+
+  /**
+   * Cancel all open orders of a topic
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<Array<object>>} Per-order results (see cancelOrder)
+   */
+  async cancelOrdersByTopic(topicId) {
+    if (!topicId) {
+      throw new ValidationError('topicId is required');
+    }
+
+    const orderIds = await this.collectOpenOrderIds(topicId);
+    this.logger.info('Cancelling open orders of topic', { topicId, count: orderIds.length });
+    return this.cancelOrders(orderIds);
+  }
+
+  /**
+   * Cancel all open orders of the maker
+   *
+   * @returns {Promise<Array<object>>} Per-order results (see cancelOrder)
+   */
+  async cancelAllOrders() {
+    const orderIds = await this.collectOpenOrderIds();
+    this.logger.info('Cancelling all open orders', { count: orderIds.length });
+    return this.cancelOrders(orderIds);
+  }
+
+  /**
+   * Collect all open orders, following pagination
+   * Pages are read before anything is cancelled so the listing does not shift underneath us
+   *
+   * @param {string|number} [topicId] - Topic ID (optional)
+   * @param {number} [priority=RequestPriority.NORMAL] - Rate limiter priority of the page reads
+   * @returns {Promise<Array<object>>} Open orders
+   */
+  async collectOpenOrders(topicId, priority) {
+    return this.getAllOpenOrders({ topicId, priority });
+  }
+
+  /**
+   * Collect the IDs of all open orders, following pagination
+   *
+   * @param {string|number} [topicId] - Topic ID (optional)
+   * @returns {Promise<Array<string|number>>} Order IDs
+   */
+  async collectOpenOrderIds(topicId) {
+    const orders = await this.collectOpenOrders(topicId);
+    return orders.map(order => order.orderId);
+  }
+
+  /**
+   * Remember the expiration of a signed order so the sweeper can find it later
+   * Entries that expired more than EXPIRATION_RETENTION_SECONDS ago are dropped on insert.
+   *
+   * @param {object} signedOrder - Signed order
+   */
+  trackExpiration(signedOrder) {
+    if (!signedOrder.expiration || signedOrder.expiration === '0') {
+      return;
+    }
+
+    const cutoff = getCurrentTimestamp() - EXPIRATION_RETENTION_SECONDS;
+    for (const [salt, expiration] of this.orderExpirations) {
+      if (expiration < cutoff) {
+        this.orderExpirations.delete(salt);
+      }
+    }
+    this.orderExpirations.set(String(signedOrder.salt), Number(signedOrder.expiration));
+  }
+
+  /**
+   * Get the expiration (Unix seconds) of a listed order
+   * Uses the fields returned by the API, falling back to expirations tracked locally by salt
+   *
+   * @param {object} order - Order from queryOrders
+   * @returns {number} Expiration, 0 if the order does not expire
+   */
+  getOrderExpiration(order) {
+    const value = order.expiration ?? order.orderExpTime ?? order.expireTime;
+    if (value !== undefined && value !== null && Number(value) > 0) {
+      return Number(value);
+    }
+    if (order.salt !== undefined) {
+      return this.orderExpirations.get(String(order.salt)) || 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Cancel open orders that are past their expiration but still listed by the server
+   * Listing and cancelling run at RequestPriority.LOW, so a sweep never delays trading requests.
+   *
+   * @param {object} [options]
+   * @param {string|number} [options.topicId] - Only sweep one topic
+   * @param {number} [options.graceSeconds=0] - Extra seconds to wait after expiry
+   * @returns {Promise<Array<object>>} Per-order cancel results (see cancelOrder)
+   */
+  async sweepExpiredOrders(options = {}) {
+    const { topicId, graceSeconds = 0 } = options;
+    const now = getCurrentTimestamp();
+
+    const orders = await this.collectOpenOrders(topicId, RequestPriority.LOW);
+    const expired = orders.filter(order => {
+      const expiration = this.getOrderExpiration(order);
+      return expiration > 0 && expiration + graceSeconds <= now;
+    });
+
+    // Expired orders that are no longer listed were filled or cancelled: stop tracking them
+    if (topicId === undefined || topicId === null) {
+      const listedSalts = new Set(orders.filter(order => order.salt !== undefined).map(order => String(order.salt)));
+      for (const [salt, expiration] of this.orderExpirations) {
+        if (expiration <= now && !listedSalts.has(salt)) {
+          this.orderExpirations.delete(salt);
+        }
+      }
+    }
+
+    if (expired.length === 0) {
+      return [];
+    }
+
+    this.logger.info('Cancelling expired orders', { count: expired.length });
+    const results = await this.cancelOrders(expired.map(order => order.orderId), { priority: RequestPriority.LOW });
+
+    for (const order of expired) {
+      if (order.salt !== undefined) {
+        this.orderExpirations.delete(String(order.salt));
+      }
     }
+
+    return results;
+  }
+
+  /**
+   * Periodically cancel expired orders
+   *
+   * @param {object} [options]
+   * @param {number} [options.intervalMs=30000] - Sweep interval in ms
+   * @param {string|number} [options.topicId] - Only sweep one topic
+   * @param {number} [options.graceSeconds=0] - Extra seconds to wait after expiry
+   * @param {Function} [options.onSweep] - Called with the results of every sweep that cancelled something
+   * @param {Function} [options.onError] - Called when a sweep fails
+   * @returns {object} Handle with stop()
+   */
+  startExpirySweeper(options = {}) {
+    const { intervalMs = 30000, onSweep, onError, ...sweepOptions } = options;
+    let running = false;
+
+    const timer = setInterval(async () => {
+      // Skip this tick if the previous sweep is still running
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        const results = await this.sweepExpiredOrders(sweepOptions);
+        if (results.length > 0 && onSweep) {
+          onSweep(results);
+        }
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        } else {
+          this.logger.error('Expiry sweep failed', { error });
+        }
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+
+    return {
+      stop: () => clearInterval(timer)
+    };
   }
 
   /**
@@ -493,4 +2381,7 @@ export class OpinionTradeSDK {
   }
 }
 
+// Error classes, so callers can branch on `instanceof` without deep imports
+export * from './errors.js';
+
 export default OpinionTradeSDK;
@@ -1,69 +1,145 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { HttpTransport } from './transport.js';
+import { TOPIC_API_URL, COLLATERAL_TOKEN_ADDRESS } from './constants.js';
+import { ApiError, ValidationError, isApiError, createApiError, fromTransportError } from './errors.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { RateLimitBudget } from './rateLimiter.js';
+import { resolveLogger } from './logger.js';
+import {
+  IMMUTABLE_TOPIC_FIELDS,
+  VOLATILE_TOPIC_FIELDS,
+  DEFAULT_TOPIC_CACHE_TTL,
+  FileCacheStore,
+  pickFields,
+  createCacheStore
+} from './topicCache.js';
+import { OutcomeType, buildOutcomes } from './outcomes.js';
+import { deriveOppositePositionId } from './conditionalTokens.js';
+import { paginate } from './utils.js';
 
-const execPromise = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// listTopics默认每页数量
+export const DEFAULT_TOPIC_PAGE_SIZE = 20;
+
+// 多选项市场子市场列表的候选字段名（按顺序取第一个非空数组）
+// 注意：实际API响应中的字段名尚未核对，识别不到时normalizeTopic会打印警告
+export const CHILD_MARKET_FIELDS = ['childList', 'children', 'childTopics', 'subTopics'];
+
+/**
+ * 读取多选项市场的子市场列表
+ * @param {Object} topicData - API的topic对象
+ * @returns {Array<Object>} 子市场，二元市场为空数组
+ */
+export function childMarketsOf(topicData) {
+  for (const field of CHILD_MARKET_FIELDS) {
+    if (Array.isArray(topicData[field]) && topicData[field].length > 0) {
+      return topicData[field];
+    }
+  }
+  return [];
+}
+
 /**
  * Topic API管理类
- * 用于获取预测市场topic信息并缓存到本地
+ * 用于获取预测市场topic信息并缓存
+ *
+ * 缓存分两部分，各自有有效期：
+ *   - 不可变字段（token ID、questionId、conditionId等）：默认7天
+ *   - 易变字段（价格、成交量、状态）：默认30秒
+ * 存储可选文件（默认）、内存或自定义适配器（见topicCache.js）。
+ *
+ * 市场列表和搜索：GET {baseUrl}?page=&limit=&status=&categoryId=&sortBy=&keyword=
+ * 返回 { result: { list, total } }，列表项与详情接口的data字段结构相同。
  */
 export class TopicAPI {
-  constructor(cacheDir = path.join(__dirname, '../../.cache/topics')) {
-    this.baseUrl = 'https://proxy.opinion.trade:8443/api/bsc/api/v2/topic';
-    this.cacheDir = cacheDir;
+  /**
+   * @param {string} [cacheDir] - 缓存目录
+   * @param {Object} [options]
+   * @param {HttpTransport} [options.transport] - HTTP传输层（默认新建一个）
+   * @param {string} [options.baseUrl] - Topic API地址（默认主网，见networks.js）
+   * @param {string} [options.collateralToken] - 抵押品地址，用于推算缺失的NO token ID（默认USDT）
+   * @param {string} [options.cacheNamespace] - 缓存子目录（不同网络的缓存互相隔离）
+   * @param {object|boolean} [options.retry] - 请求失败时的重试策略（见retry.js），false表示不重试
+   * @param {RateLimiter} [options.rateLimiter] - 限流器（见rateLimiter.js），请求占用读预算；SDK传入自己的限流器以共用预算
+   * @param {Logger|object} [options.logger] - 日志（见logger.js），默认不输出
+   * @param {string|object} [options.cache='file'] - 缓存存储：'file'、'memory'或实现了get/set/delete/clear/keys的对象
+   * @param {Object} [options.cacheTtl] - 有效期（毫秒）{ immutable, volatile }，默认见DEFAULT_TOPIC_CACHE_TTL
+   */
+  constructor(cacheDir = path.join(__dirname, '../../.cache/topics'), options = {}) {
+    this.baseUrl = options.baseUrl || TOPIC_API_URL;
+    this.retryPolicy = resolveRetryPolicy(options.retry);
+    this.cacheDir = options.cacheNamespace ? path.join(cacheDir, options.cacheNamespace) : cacheDir;
+    this.cache = createCacheStore(options.cache, this.cacheDir);
+    // 文件缓存已按目录隔离网络，其他存储用键前缀隔离
+    this.cacheKeyPrefix = options.cacheNamespace && !(this.cache instanceof FileCacheStore)
+      ? `${options.cacheNamespace}:`
+      : '';
+    this.cacheTtl = { ...DEFAULT_TOPIC_CACHE_TTL, ...(options.cacheTtl || {}) };
+    this.transport = options.transport || new HttpTransport({ timeout: 10000 });
+    this.rateLimiter = options.rateLimiter || null;
+    this.logger = resolveLogger(options.logger);
+    // 用于推算NO token ID的抵押品地址
+    this.collateralToken = options.collateralToken || COLLATERAL_TOKEN_ADDRESS;
   }
 
   /**
-   * 确保缓存目录存在
+   * 缓存键（非文件缓存时按网络加前缀，避免不同网络共用同一个存储时冲突）
+   * @param {string|number} topicId - Topic ID
+   * @returns {string} 缓存键
    */
-  async ensureCacheDir() {
+  cacheKey(topicId) {
+    return this.cacheKeyPrefix + String(topicId);
+  }
+
+  /**
+   * 读取缓存条目
+   * 条目格式：{ topicId, immutable: { data, timestamp }, volatile: { data, timestamp } }
+   * @param {string|number} topicId - Topic ID
+   * @returns {Object|null} 缓存条目，不存在或格式不对时返回null
+   */
+  async readCacheEntry(topicId) {
     try {
-      await fs.mkdir(this.cacheDir, { recursive: true });
+      const entry = await this.cache.get(this.cacheKey(topicId));
+      // 旧格式（单一timestamp）的缓存视为未命中
+      if (!entry || !entry.immutable || !entry.volatile) {
+        return null;
+      }
+      return entry;
     } catch (error) {
-      console.error('创建缓存目录失败:', error.message);
+      this.logger.warn('Failed to read topic cache', { topicId, error });
+      return null;
     }
   }
 
   /**
-   * 获取缓存文件路径
-   * @param {string|number} topicId - Topic ID
-   * @returns {string} 缓存文件路径
+   * 缓存部分是否仍在有效期内
    */
-  getCachePath(topicId) {
-    return path.join(this.cacheDir, `topic_${topicId}.json`);
+  isFresh(part, ttl) {
+    return Boolean(part) && Date.now() - part.timestamp < ttl;
   }
 
   /**
    * 从缓存读取topic信息
+   * 只有不可变字段和易变字段（价格、成交量、状态）都未过期时才命中
    * @param {string|number} topicId - Topic ID
-   * @returns {Object|null} 缓存的topic信息，如果不存在返回null
+   * @returns {Object|null} 缓存的topic信息，如果不存在或已过期返回null
    */
   async loadFromCache(topicId) {
-    try {
-      const cachePath = this.getCachePath(topicId);
-      const content = await fs.readFile(cachePath, 'utf-8');
-      const cached = JSON.parse(content);
-
-      // 检查缓存是否过期（24小时）
-      const cacheAge = Date.now() - cached.timestamp;
-      const maxAge = 24 * 60 * 60 * 1000; // 24小时
-
-      if (cacheAge < maxAge) {
-        console.log(`✓ 从缓存加载 Topic ${topicId}`);
-        return cached.data;
-      } else {
-        console.log(`! Topic ${topicId} 缓存已过期，重新获取`);
-        return null;
-      }
-    } catch (error) {
-      // 缓存不存在或读取失败
+    const entry = await this.readCacheEntry(topicId);
+    if (!entry) {
       return null;
     }
+
+    if (this.isFresh(entry.immutable, this.cacheTtl.immutable) && this.isFresh(entry.volatile, this.cacheTtl.volatile)) {
+      this.logger.debug('Topic loaded from cache', { topicId });
+      return { ...entry.immutable.data, ...entry.volatile.data };
+    }
+
+    this.logger.debug('Topic cache expired', { topicId });
+    return null;
   }
 
   /**
@@ -72,18 +148,18 @@ export class TopicAPI {
    * @param {Object} data - Topic信息
    */
   async saveToCache(topicId, data) {
+    const timestamp = Date.now();
+    const entry = {
+      topicId,
+      immutable: { data: pickFields(data, IMMUTABLE_TOPIC_FIELDS), timestamp },
+      volatile: { data: pickFields(data, VOLATILE_TOPIC_FIELDS), timestamp }
+    };
+
     try {
-      await this.ensureCacheDir();
-      const cachePath = this.getCachePath(topicId);
-      const cached = {
-        timestamp: Date.now(),
-        topicId: topicId,
-        data: data
-      };
-      await fs.writeFile(cachePath, JSON.stringify(cached, null, 2), 'utf-8');
-      console.log(`✓ Topic ${topicId} 已缓存到本地`);
+      await this.cache.set(this.cacheKey(topicId), entry);
+      this.logger.debug('Topic cached', { topicId });
     } catch (error) {
-      console.error(`保存缓存失败:`, error.message);
+      this.logger.error('Failed to save topic cache', { topicId, error });
     }
   }
 
@@ -103,31 +179,143 @@ export class TopicAPI {
     }
 
     try {
-      const url = `${this.baseUrl}/${topicId}`;
-      console.log(`→ 从API获取 Topic ${topicId}...`);
-
-      // 使用curl发送请求（类似参考文件）
-      const { stdout, stderr } = await execPromise(`curl -k -s "${url}"`, {
-        timeout: 10000
+      const startedAt = Date.now();
+      const data = await this.request(`${this.baseUrl}/${topicId}`, {
+        payload: { topicId },
+        context: `Topic ${topicId}`
       });
-
-      if (stderr) {
-        console.error(`curl stderr: ${stderr}`);
-      }
-
-      const data = JSON.parse(stdout);
       const topicInfo = this.parseTopicInfo(data);
+      this.logger.debug('Topic fetched', { topicId, latencyMs: Date.now() - startedAt });
 
       // 保存到缓存
       await this.saveToCache(topicId, topicInfo);
 
       return topicInfo;
     } catch (error) {
-      console.error(`获取Topic ${topicId}失败:`, error.message);
+      this.logger.error('Failed to fetch topic', { topicId, error });
       throw error;
     }
   }
 
+  /**
+   * 发送GET请求（经过限流器，失败时按重试策略重试）并检查errno
+   * @param {string} url - 请求地址
+   * @param {Object} options
+   * @param {Object} [options.params] - 查询参数
+   * @param {Object} [options.payload] - 错误中附带的请求参数
+   * @param {string} options.context - 错误信息前缀
+   * @returns {Object} 响应数据
+   */
+  async request(url, options) {
+    const { params, payload = params, context } = options;
+
+    const send = () => this.transport.get(url, { params, timeout: 10000 });
+
+    const data = await withRetry(async () => {
+      try {
+        return this.rateLimiter
+          ? await this.rateLimiter.schedule(send, { budget: RateLimitBudget.READ })
+          : await send();
+      } catch (error) {
+        throw fromTransportError(error, { payload, context });
+      }
+    }, { policy: this.retryPolicy });
+
+    if (isApiError(data)) {
+      throw createApiError({ data, payload, context });
+    }
+    return data;
+  }
+
+  /**
+   * 分页列出市场
+   * @param {Object} [params]
+   * @param {string|number} [params.status] - 状态筛选（API的status值）
+   * @param {string|number} [params.category] - 分类ID
+   * @param {string} [params.sort] - 排序字段（原样传给API的sortBy）
+   * @param {string} [params.keyword] - 标题关键字
+   * @param {number} [params.page=1] - 页码
+   * @param {number} [params.limit=20] - 每页数量
+   * @returns {Object} { list, total, page, limit }，list中每项与getTopicInfo结构相同（不写入缓存），API未返回total时total为undefined
+   */
+  async listTopics(params = {}) {
+    const {
+      status,
+      category,
+      sort,
+      keyword,
+      page = 1,
+      limit = DEFAULT_TOPIC_PAGE_SIZE
+    } = params;
+
+    const query = { page, limit, status, categoryId: category, sortBy: sort, keyword };
+    try {
+      const startedAt = Date.now();
+      const data = await this.request(this.baseUrl, { params: query, context: 'List topics' });
+      const result = data.result || data.data || data;
+      const items = Array.isArray(result) ? result : (result.list || result.data || []);
+
+      const topics = items.map(item => this.normalizeTopic(item));
+      // 没有total时视为未知，由调用方按短页判断结束
+      const total = result.total === undefined || result.total === null ? undefined : Number(result.total);
+      this.logger.debug('Topics listed', { page, count: topics.length, total, latencyMs: Date.now() - startedAt });
+
+      return { list: topics, total, page, limit };
+    } catch (error) {
+      this.logger.error('Failed to list topics', { page, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 按标题搜索市场
+   * @param {string} query - 搜索关键字
+   * @param {Object} [params] - 其他筛选条件和分页（见listTopics）
+   * @returns {Object} { list, total, page, limit }
+   */
+  async searchTopics(query, params = {}) {
+    if (!query || !String(query).trim()) {
+      throw new ValidationError('Search query is required');
+    }
+    return this.listTopics({ ...params, keyword: String(query).trim() });
+  }
+
+  /**
+   * 遍历所有页的市场
+   * 用法：for await (const topic of topicAPI.iterateTopics({ status })) { ... }
+   * 翻页期间新上的市场会让后面的页错位，重复项按topicId跳过（见utils.js的paginate）
+   * @param {Object} [params] - 筛选条件（见listTopics），page为起始页
+   * @yields {Object} Topic信息
+   */
+  async *iterateTopics(params = {}) {
+    const { page = 1, limit = DEFAULT_TOPIC_PAGE_SIZE } = params;
+    yield* paginate(nextPage => this.listTopics({ ...params, page: nextPage, limit }), {
+      limit,
+      page,
+      key: topic => topic.topicId
+    });
+  }
+
+  /**
+   * 获取topic的不可变信息（token ID、questionId、conditionId等）
+   * 只要不可变部分未过期就直接使用缓存，不会因为价格过期而重新请求。
+   * 不要用它读取价格或状态。
+   * @param {string|number} topicId - Topic ID
+   * @param {boolean} forceRefresh - 是否强制刷新（忽略缓存）
+   * @returns {Object} 只包含IMMUTABLE_TOPIC_FIELDS的topic信息
+   */
+  async getTopicMetadata(topicId, forceRefresh = false) {
+    if (!forceRefresh) {
+      const entry = await this.readCacheEntry(topicId);
+      if (entry && this.isFresh(entry.immutable, this.cacheTtl.immutable)) {
+        return { ...entry.immutable.data };
+      }
+    }
+
+    const topicInfo = await this.getTopicInfo(topicId, true);
+    return pickFields(topicInfo, IMMUTABLE_TOPIC_FIELDS);
+  }
+
   /**
    * 解析topic信息
    * @param {Object} data - API返回的原始数据
@@ -137,11 +325,19 @@ export class TopicAPI {
     const result = data.result || data.data || data;
 
     if (!result || !result.data) {
-      throw new Error('无效的topic数据');
+      throw new ApiError('无效的topic数据', { response: data });
     }
 
-    const topicData = result.data;
+    return this.normalizeTopic(result.data);
+  }
 
+  /**
+   * 将API的topic数据转换为统一结构
+   * 详情接口和列表接口共用
+   * @param {Object} topicData - API的topic对象
+   * @returns {Object} Topic信息
+   */
+  normalizeTopic(topicData) {
     // 提取关键信息
     const topicInfo = {
       topicId: topicData.topicId,
@@ -152,9 +348,12 @@ export class TopicAPI {
       // Question ID (用于查询订单簿)
       questionId: topicData.questionId,
 
+      // Condition ID (用于split/merge/redeem，API未返回时为undefined)
+      conditionId: topicData.conditionId,
+
       // Token IDs
       yesToken: topicData.yesPos,
-      noToken: topicData.noPos || this.calculateNoToken(topicData.yesPos),
+      noToken: topicData.noPos || this.calculateNoToken(topicData),
 
       // 价格信息
       yesPrice: topicData.yesMarketPrice,
@@ -165,34 +364,60 @@ export class TopicAPI {
       totalPrice: topicData.totalPrice,
       cutoffTime: topicData.cutoffTime,
 
+      // 多选项市场的子市场（每个子市场都是一个YES/NO市场，字段名见CHILD_MARKET_FIELDS）
+      markets: childMarketsOf(topicData).map(child => this.normalizeTopic(child)),
+
       // 原始数据（保留以备需要）
       raw: topicData
     };
 
+    topicInfo.outcomeType = topicInfo.markets.length > 0 ? OutcomeType.CATEGORICAL : OutcomeType.BINARY;
+    if (topicInfo.outcomeType === OutcomeType.BINARY && !topicInfo.yesToken) {
+      // 没有YES token也没有可识别的子市场：可能是子市场字段名不在CHILD_MARKET_FIELDS中的多选项市场
+      const arrayFields = Object.keys(topicData).filter(key => Array.isArray(topicData[key]));
+      this.logger.warn('Topic has no YES token and no recognized child markets', {
+        topicId: topicInfo.topicId,
+        arrayFields
+      });
+    }
+    topicInfo.outcomes = buildOutcomes(topicInfo);
+
     return topicInfo;
   }
 
   /**
-   * 尝试计算NO token ID
-   * 如果API没有返回noPos，尝试根据yesPos推算
-   * 注意：这是一个假设性的实现，可能需要根据实际情况调整
+   * 计算NO token ID（API未返回noPos时）
+   * 按条件代币合约的position ID公式由conditionId推算，只有推算结果能复现yesPos时才采用
+   * @param {Object} topicData - API的topic对象
+   * @returns {string|null} NO token ID，无法验证时返回null（下单时会报错）
    */
-  calculateNoToken(yesToken) {
-    // 如果API没有提供NO token，返回null
-    // 在实际使用中，可能需要通过其他方式获取
-    return null;
+  calculateNoToken(topicData) {
+    const { yesPos, conditionId, topicId } = topicData;
+    if (!yesPos) {
+      return null;
+    }
+
+    const noToken = deriveOppositePositionId({
+      collateralToken: this.collateralToken,
+      conditionId,
+      tokenId: yesPos
+    });
+    if (!noToken) {
+      this.logger.warn('NO token ID missing and cannot be derived from conditionId', { topicId, conditionId });
+    }
+    return noToken;
   }
 
   /**
    * 获取用于订单簿查询的配置
    * @param {string|number} topicId - Topic ID
-   * @returns {Object} 订单簿查询配置
+   * @returns {Object} 订单簿查询配置（多选项市场的tokens为空，按outcomes中子市场的questionId和token查询）
    */
   async getOrderBookConfig(topicId) {
-    const topicInfo = await this.getTopicInfo(topicId);
+    const topicInfo = await this.getTopicMetadata(topicId);
 
-    if (!topicInfo.noToken) {
-      console.warn('警告: NO token ID 未找到，可能需要额外的API调用');
+    if (topicInfo.outcomeType !== OutcomeType.CATEGORICAL && !topicInfo.noToken) {
+      this.logger.warn('NO token ID not found for topic', { topicId });
     }
 
     return {
@@ -201,6 +426,8 @@ export class TopicAPI {
         YES: topicInfo.yesToken,
         NO: topicInfo.noToken
       },
+      outcomeType: topicInfo.outcomeType,
+      outcomes: topicInfo.outcomes,
       chainId: topicInfo.chainId,
       title: topicInfo.title
     };
@@ -212,11 +439,10 @@ export class TopicAPI {
    */
   async clearCache(topicId) {
     try {
-      const cachePath = this.getCachePath(topicId);
-      await fs.unlink(cachePath);
-      console.log(`✓ Topic ${topicId} 缓存已清除`);
+      await this.cache.delete(this.cacheKey(topicId));
+      this.logger.debug('Topic cache cleared', { topicId });
     } catch (error) {
-      // 文件不存在或删除失败，忽略错误
+      this.logger.error('Failed to clear topic cache', { topicId, error });
     }
   }
 
@@ -225,38 +451,43 @@ export class TopicAPI {
    */
   async clearAllCache() {
     try {
-      const files = await fs.readdir(this.cacheDir);
-      for (const file of files) {
-        if (file.startsWith('topic_') && file.endsWith('.json')) {
-          await fs.unlink(path.join(this.cacheDir, file));
-        }
+      if (this.cacheKeyPrefix) {
+        // 共用的存储只清除本网络的条目
+        const keys = await this.cache.keys();
+        await Promise.all(keys
+          .filter(key => key.startsWith(this.cacheKeyPrefix))
+          .map(key => this.cache.delete(key)));
+      } else {
+        await this.cache.clear();
       }
-      console.log('✓ 所有Topic缓存已清除');
+      this.logger.debug('All topic caches cleared');
     } catch (error) {
-      console.error('清除缓存失败:', error.message);
+      this.logger.error('Failed to clear topic cache', { error });
     }
   }
 
   /**
    * 列出所有缓存的topics
+   * @returns {Array<Object>} { topicId, title, timestamp, age（分钟）, fresh（价格是否未过期） }
    */
   async listCachedTopics() {
     try {
-      const files = await fs.readdir(this.cacheDir);
+      const keys = (await this.cache.keys()).filter(key => key.startsWith(this.cacheKeyPrefix));
       const topics = [];
 
-      for (const file of files) {
-        if (file.startsWith('topic_') && file.endsWith('.json')) {
-          const cachePath = path.join(this.cacheDir, file);
-          const content = await fs.readFile(cachePath, 'utf-8');
-          const cached = JSON.parse(content);
-          topics.push({
-            topicId: cached.topicId,
-            title: cached.data.title,
-            timestamp: new Date(cached.timestamp).toISOString(),
-            age: Math.floor((Date.now() - cached.timestamp) / (1000 * 60)) // 分钟
-          });
+      for (const key of keys) {
+        const entry = await this.readCacheEntry(key.slice(this.cacheKeyPrefix.length));
+        if (!entry) {
+          continue;
         }
+        const timestamp = entry.volatile.timestamp;
+        topics.push({
+          topicId: entry.topicId,
+          title: entry.immutable.data.title,
+          timestamp: new Date(timestamp).toISOString(),
+          age: Math.floor((Date.now() - timestamp) / (1000 * 60)), // 分钟
+          fresh: this.isFresh(entry.volatile, this.cacheTtl.volatile)
+        });
       }
 
       return topics;
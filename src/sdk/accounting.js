@@ -0,0 +1,389 @@
+import { Side } from './constants.js';
+import { normalizeSide, toUnixSeconds } from './orderFilters.js';
+import { fromWei } from './utils.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Trade accounting
+ *
+ * Fills are replayed in time order per token with the average cost method:
+ * a BUY adds its value to the cost basis, a SELL realizes the difference
+ * between its proceeds and the average cost of the shares sold. Open shares
+ * are marked to the topic's current yesPrice/noPrice. Prices are collateral
+ * per share (0-1 scale, as returned by the API), fees are in collateral and
+ * are reported separately from realized PnL.
+ *
+ * Amounts are computed with 18-decimal fixed point BigInts and returned as
+ * decimal strings.
+ */
+
+const PRECISION = 18;
+const ONE = 10n ** BigInt(PRECISION);
+
+/**
+ * Parse a decimal to an 18-decimal fixed point BigInt
+ * Digits beyond 18 decimals are truncated.
+ *
+ * @param {string|number} value - Decimal value
+ * @returns {bigint} Fixed point value, 0n when missing
+ */
+export function parseFixed(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0n;
+  }
+  let text = String(value).trim();
+  if (/e/i.test(text)) {
+    text = Number(value).toFixed(PRECISION);
+  }
+  const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match) {
+    throw new ValidationError(`Invalid decimal: ${value}`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const fixed = BigInt(whole || '0') * ONE + BigInt(fraction.slice(0, PRECISION).padEnd(PRECISION, '0'));
+  return sign ? -fixed : fixed;
+}
+
+/**
+ * Format an 18-decimal fixed point BigInt
+ */
+function formatFixed(value) {
+  return fromWei(value, PRECISION);
+}
+
+/**
+ * Normalize a fill from the trade history API
+ *
+ * @param {object} raw - API trade
+ * @returns {object} { tradeId, orderId, topicId, topicTitle, tokenId, outcome, side, price,
+ *   shares, value, fee, timestamp, txHash, raw }
+ * @throws {ValidationError} When side, price or shares cannot be read
+ */
+export function normalizeTrade(raw) {
+  const price = String(raw.price ?? '0');
+  const shares = String(raw.shares ?? raw.filled ?? raw.amount ?? '0');
+  const value = raw.value ?? raw.totalPrice;
+  parseFixed(price);
+  parseFixed(shares);
+
+  return {
+    tradeId: raw.tradeId ?? raw.id ?? raw.txHash,
+    orderId: raw.orderId,
+    topicId: raw.topicId,
+    topicTitle: raw.topicTitle ?? raw.title,
+    tokenId: raw.tokenId ?? raw.symbol,
+    outcome: raw.outcome,
+    side: normalizeSide(raw.side),
+    price,
+    shares,
+    // Collateral exchanged, excluding fees
+    value: value !== undefined && value !== null
+      ? String(value)
+      : formatFixed(parseFixed(shares) * parseFixed(price) / ONE),
+    fee: String(raw.fee ?? raw.fees ?? '0'),
+    timestamp: toUnixSeconds(raw.createdAt ?? raw.createTime ?? raw.tradeTime ?? raw.ctime),
+    txHash: raw.txHash ?? raw.transactionHash,
+    raw
+  };
+}
+
+/**
+ * Normalize a list of fills, skipping rows that cannot be read
+ *
+ * @param {Array<object>} rows - API trades
+ * @returns {object} { trades, skipped } where skipped counts the rows left out
+ */
+export function normalizeTrades(rows) {
+  const trades = [];
+  let skipped = 0;
+  for (const row of rows) {
+    try {
+      trades.push(normalizeTrade(row));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      skipped++;
+    }
+  }
+  return { trades, skipped };
+}
+
+/**
+ * Derive fills from orders, one per order with filled shares
+ * For accounts or environments without the trade history endpoint. The fill
+ * price is the order's limit price, which can differ from the matched price.
+ *
+ * @param {Array<object>} orders - Orders from queryOrders
+ * @returns {object} { trades, skipped } (see normalizeTrades)
+ */
+export function tradesFromOrders(orders) {
+  return normalizeTrades(orders
+    .filter(order => Number(order.filled) > 0)
+    .map(order => ({
+      ...order,
+      tradeId: `order-${order.orderId}`,
+      shares: order.filled,
+      // totalPrice is not known to cover only the filled part; value is recomputed
+      value: undefined,
+      totalPrice: undefined
+    })));
+}
+
+/**
+ * Key of the position a trade belongs to
+ */
+function positionKey(topicId, tokenId, outcome) {
+  return tokenId ? String(tokenId) : `${topicId}:${String(outcome ?? '').toUpperCase()}`;
+}
+
+/**
+ * Collect mark prices from topic info
+ * Keys are token IDs and `${topicId}:YES` / `${topicId}:NO`, so trades without a
+ * tokenId can be marked too. Child markets of multi-outcome topics are included.
+ *
+ * @param {object} topicInfo - Topic info (see TopicAPI.getTopicInfo)
+ * @param {Map} [marks] - Map to add to
+ * @returns {Map<string, string>} Mark prices
+ */
+export function buildMarkPrices(topicInfo, marks = new Map()) {
+  const sides = [
+    ['YES', topicInfo.yesToken, topicInfo.yesPrice],
+    ['NO', topicInfo.noToken, topicInfo.noPrice]
+  ];
+  for (const [label, tokenId, price] of sides) {
+    if (price === undefined || price === null || price === '') {
+      continue;
+    }
+    if (tokenId) {
+      marks.set(String(tokenId), String(price));
+    }
+    marks.set(positionKey(topicInfo.topicId, null, label), String(price));
+  }
+  for (const market of topicInfo.markets || []) {
+    buildMarkPrices(market, marks);
+  }
+  return marks;
+}
+
+/**
+ * Sum a field over rows, treating null as missing
+ */
+function sumFixed(rows, field) {
+  return rows.reduce((total, row) => total + (row[field] ?? 0n), 0n);
+}
+
+/**
+ * Format the fixed point fields of a summary row
+ */
+function formatSummary(row) {
+  return {
+    ...row,
+    costBasis: formatFixed(row.costBasis),
+    realizedPnl: formatFixed(row.realizedPnl),
+    unrealizedPnl: row.unrealizedPnl === null ? null : formatFixed(row.unrealizedPnl),
+    fees: formatFixed(row.fees),
+    totalPnl: formatFixed(row.totalPnl)
+  };
+}
+
+/**
+ * Compute positions and PnL from fills
+ *
+ * @param {Array<object>} trades - Trades (see normalizeTrade)
+ * @param {object} [options]
+ * @param {Map|object} [options.marks] - Mark prices by token ID or `${topicId}:${outcome}` (see buildMarkPrices)
+ * @returns {object} { positions, topics, totals }
+ *   positions: per token { topicId, topicTitle, tokenId, outcome, shares, avgEntryPrice, markPrice,
+ *     costBasis, realizedPnl, unrealizedPnl, fees, totalPnl, bought, sold, unmatchedShares, trades }
+ *   topics: per topic { topicId, topicTitle, costBasis, realizedPnl, unrealizedPnl, fees, totalPnl, unmarked }
+ *   totals: same fields over all topics
+ *   unrealizedPnl is null when a position with open shares has no mark price; totalPnl then
+ *   leaves it out and `unmarked` counts such positions.
+ *   unmatchedShares counts shares sold beyond the recorded buys (e.g. from splits or
+ *   missing history); their proceeds are not counted as realized PnL.
+ */
+export function computePnl(trades, options = {}) {
+  const { marks = new Map() } = options;
+  const markOf = key => (marks instanceof Map ? marks.get(key) : marks[key]);
+
+  // Replay in time order (stable; trades without a timestamp go first)
+  const ordered = [...trades].sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+  const states = new Map();
+
+  for (const trade of ordered) {
+    const key = positionKey(trade.topicId, trade.tokenId, trade.outcome);
+    let state = states.get(key);
+    if (!state) {
+      state = {
+        topicId: trade.topicId,
+        topicTitle: trade.topicTitle,
+        tokenId: trade.tokenId,
+        outcome: trade.outcome,
+        shares: 0n,
+        cost: 0n,
+        realized: 0n,
+        fees: 0n,
+        bought: 0n,
+        sold: 0n,
+        unmatched: 0n,
+        trades: 0
+      };
+      states.set(key, state);
+    }
+
+    const shares = parseFixed(trade.shares);
+    const value = parseFixed(trade.value);
+    state.fees += parseFixed(trade.fee);
+    state.trades++;
+    state.topicTitle = state.topicTitle ?? trade.topicTitle;
+
+    if (trade.side === Side.BUY) {
+      state.shares += shares;
+      state.cost += value;
+      state.bought += shares;
+      continue;
+    }
+
+    const matched = shares < state.shares ? shares : state.shares;
+    if (matched > 0n) {
+      const matchedCost = state.cost * matched / state.shares;
+      const proceeds = shares > 0n ? value * matched / shares : 0n;
+      state.realized += proceeds - matchedCost;
+      state.cost -= matchedCost;
+      state.shares -= matched;
+    }
+    state.unmatched += shares - matched;
+    state.sold += shares;
+  }
+
+  const rows = [...states.entries()].map(([key, state]) => {
+    const mark = markOf(key) ?? (state.tokenId ? markOf(positionKey(state.topicId, null, state.outcome)) : undefined);
+    const unrealized = state.shares === 0n
+      ? 0n
+      : (mark === undefined ? null : state.shares * parseFixed(mark) / ONE - state.cost);
+
+    return {
+      topicId: state.topicId,
+      topicTitle: state.topicTitle,
+      tokenId: state.tokenId,
+      outcome: state.outcome,
+      shares: state.shares,
+      avgEntryPrice: state.shares > 0n ? state.cost * ONE / state.shares : null,
+      markPrice: mark === undefined ? null : String(mark),
+      costBasis: state.cost,
+      realizedPnl: state.realized,
+      unrealizedPnl: unrealized,
+      fees: state.fees,
+      totalPnl: state.realized + (unrealized ?? 0n) - state.fees,
+      bought: state.bought,
+      sold: state.sold,
+      unmatchedShares: state.unmatched,
+      trades: state.trades
+    };
+  });
+
+  const summarize = (group) => ({
+    costBasis: sumFixed(group, 'costBasis'),
+    realizedPnl: sumFixed(group, 'realizedPnl'),
+    unrealizedPnl: group.some(row => row.unrealizedPnl === null) ? null : sumFixed(group, 'unrealizedPnl'),
+    fees: sumFixed(group, 'fees'),
+    totalPnl: sumFixed(group, 'totalPnl'),
+    unmarked: group.filter(row => row.unrealizedPnl === null).length
+  });
+
+  const topicIds = [...new Set(rows.map(row => row.topicId))];
+  const topics = topicIds.map(topicId => {
+    const group = rows.filter(row => row.topicId === topicId);
+    return formatSummary({ topicId, topicTitle: group[0].topicTitle, ...summarize(group) });
+  });
+
+  const positions = rows.map(row => ({
+    ...formatSummary(row),
+    shares: formatFixed(row.shares),
+    avgEntryPrice: row.avgEntryPrice === null ? null : formatFixed(row.avgEntryPrice),
+    bought: formatFixed(row.bought),
+    sold: formatFixed(row.sold),
+    unmatchedShares: formatFixed(row.unmatchedShares)
+  }));
+
+  return { positions, topics, totals: formatSummary(summarize(rows)) };
+}
+
+// Columns of the CSV exports
+export const PNL_CSV_COLUMNS = {
+  positions: [
+    'topicId', 'topicTitle', 'outcome', 'tokenId', 'shares', 'avgEntryPrice', 'markPrice', 'costBasis',
+    'realizedPnl', 'unrealizedPnl', 'fees', 'totalPnl', 'bought', 'sold', 'unmatchedShares', 'trades'
+  ],
+  topics: ['topicId', 'topicTitle', 'costBasis', 'realizedPnl', 'unrealizedPnl', 'fees', 'totalPnl', 'unmarked'],
+  trades: [
+    'time', 'tradeId', 'orderId', 'topicId', 'topicTitle', 'outcome', 'tokenId', 'side', 'price', 'shares',
+    'value', 'fee', 'txHash'
+  ]
+};
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  // Spreadsheets run cells starting with = + - @ as formulas; plain numbers stay numeric
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV (RFC 4180, header line first)
+ *
+ * @param {Array<object>} rows - Rows
+ * @param {Array<string>} columns - Field names, in order
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Export a PnL report
+ *
+ * @param {object} report - Report (see OpinionTradeSDK.getPnlReport)
+ * @param {object} [options]
+ * @param {string} [options.format='csv'] - 'csv' or 'json'
+ * @param {string} [options.table='positions'] - CSV only: 'positions', 'topics' or 'trades'
+ * @returns {string} CSV or JSON text
+ */
+export function exportPnlReport(report, options = {}) {
+  const { format = 'csv', table = 'positions' } = options;
+
+  if (format === 'json') {
+    return JSON.stringify(report, (key, value) => (key === 'raw' ? undefined : value), 2);
+  }
+  if (format !== 'csv') {
+    throw new ValidationError(`Unknown export format: ${format}. Use 'csv' or 'json'`);
+  }
+
+  const columns = PNL_CSV_COLUMNS[table];
+  if (!columns) {
+    throw new ValidationError(`Unknown report table: ${table}. Use ${Object.keys(PNL_CSV_COLUMNS).join(', ')}`);
+  }
+
+  const rows = table === 'trades'
+    ? (report.trades || []).map(trade => ({
+      ...trade,
+      time: trade.timestamp ? new Date(trade.timestamp * 1000).toISOString() : '',
+      side: trade.side === Side.BUY ? 'BUY' : 'SELL'
+    }))
+    : report[table] || [];
+
+  return toCsv(rows, columns);
+}
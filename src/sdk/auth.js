@@ -0,0 +1,348 @@
+import { ethers } from 'ethers';
+import {
+  API_ENDPOINTS,
+  AUTH_DOMAIN,
+  AUTH_URI,
+  AUTH_STATEMENT
+} from './constants.js';
+import { AuthError, isApiError, createApiError, fromTransportError } from './errors.js';
+import { resolveLogger } from './logger.js';
+
+/**
+ * Wallet login
+ *
+ * Instead of a token copied from the browser, the session signs the site's
+ * login challenge with the SDK signer and exchanges it for a token:
+ *   1. GET  AUTH_NONCE ?address=  -> { nonce } or { message } (a ready-made challenge)
+ *   2. POST AUTH_LOGIN { address, message, signature, chainId } -> { token, expiresAt | expiresIn }
+ * When the challenge only contains a nonce, an EIP-4361 (SIWE) message is built
+ * around it. The token is refreshed before it expires; its expiry comes from
+ * the login response or, failing that, from the JWT `exp` claim.
+ *
+ * The endpoints and the SIWE message layout are not verified against the live
+ * API; override them through the session options if login is rejected.
+ */
+
+// Refresh this long before the token expires
+export const DEFAULT_REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message
+ *
+ * @param {object} params
+ * @param {string} params.address - Signing address
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.nonce - Server nonce
+ * @param {string} [params.domain] - Requesting domain
+ * @param {string} [params.uri] - Requesting URI
+ * @param {string} [params.statement] - Human readable statement
+ * @param {string} [params.issuedAt] - ISO timestamp (default: now)
+ * @param {string} [params.expirationTime] - ISO timestamp
+ * @returns {string} Message to sign
+ */
+export function buildSiweMessage(params) {
+  const {
+    address,
+    chainId,
+    nonce,
+    domain = AUTH_DOMAIN,
+    uri = AUTH_URI,
+    statement = AUTH_STATEMENT,
+    issuedAt = new Date().toISOString(),
+    expirationTime
+  } = params;
+
+  if (!nonce) {
+    throw new AuthError('Login nonce is required');
+  }
+
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read the expiry of a JWT without verifying it
+ *
+ * @param {string} token - JWT, with or without "Bearer " prefix
+ * @returns {number|undefined} Expiry in ms since epoch
+ */
+export function decodeJwtExpiry(token) {
+  const parts = String(token).replace(/^Bearer /, '').split('.');
+  if (parts.length !== 3) {
+    return undefined;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Convert an expiry timestamp in seconds or ms to ms
+ */
+function toMillis(timestamp) {
+  const value = Number(timestamp);
+  if (!Number.isFinite(value) || value <= 0) {
+    return undefined;
+  }
+  return value < 1e12 ? value * 1000 : value;
+}
+
+/**
+ * Extract token and expiry from a login response
+ *
+ * @param {object} data - Login response body
+ * @param {number} now - Current time in ms
+ * @returns {object} { token, expiresAt }
+ */
+export function parseLoginResponse(data, now = Date.now()) {
+  const result = data && data.result !== undefined ? data.result : (data && data.data) || data;
+  const raw = typeof result === 'string'
+    ? result
+    : result && (result.token || result.accessToken || result.access_token);
+
+  if (!raw) {
+    throw new AuthError('Login response does not contain a token', { response: data });
+  }
+
+  const token = String(raw).replace(/^Bearer /, '');
+  let expiresAt;
+  if (result && typeof result === 'object') {
+    if (result.expiresAt !== undefined || result.expireTime !== undefined) {
+      expiresAt = toMillis(result.expiresAt ?? result.expireTime);
+    } else if (result.expiresIn !== undefined || result.expires_in !== undefined) {
+      expiresAt = now + Number(result.expiresIn ?? result.expires_in) * 1000;
+    }
+  }
+
+  return { token, expiresAt: expiresAt ?? decodeJwtExpiry(token) };
+}
+
+/**
+ * Authentication session
+ * Holds the current token, logs in with the signer and refreshes before expiry.
+ */
+export class AuthSession {
+  /**
+   * @param {object} params
+   * @param {HttpTransport} params.transport - HTTP transport
+   * @param {string} params.apiBaseUrl - API base URL
+   * @param {object} [params.signer] - Signer with getAddress() and signMessage(message); required to log in
+   * @param {number} [params.chainId] - Chain ID used in the login message
+   * @param {string} [params.token] - Initial token (e.g. from a previous run)
+   * @param {number} [params.expiresAt] - Expiry of the initial token in ms (default: JWT exp claim)
+   * @param {string} [params.domain] - Login message domain
+   * @param {string} [params.uri] - Login message URI
+   * @param {string} [params.statement] - Login message statement
+   * @param {string} [params.noncePath] - Challenge endpoint (default: API_ENDPOINTS.AUTH_NONCE)
+   * @param {string} [params.loginPath] - Login endpoint (default: API_ENDPOINTS.AUTH_LOGIN)
+   * @param {number} [params.refreshMargin=60000] - Refresh this many ms before expiry
+   * @param {Function} [params.onToken] - Called with ({ token, expiresAt }) after every login
+   * @param {Logger|object} [params.logger] - Logger (default: silent)
+   * @param {Function} [params.now=Date.now] - Clock
+   */
+  constructor(params) {
+    const {
+      transport,
+      apiBaseUrl,
+      signer,
+      chainId,
+      token,
+      expiresAt,
+      domain = AUTH_DOMAIN,
+      uri = AUTH_URI,
+      statement = AUTH_STATEMENT,
+      noncePath = API_ENDPOINTS.AUTH_NONCE,
+      loginPath = API_ENDPOINTS.AUTH_LOGIN,
+      refreshMargin = DEFAULT_REFRESH_MARGIN,
+      onToken,
+      logger,
+      now = Date.now
+    } = params;
+
+    if (!transport || !apiBaseUrl) {
+      throw new Error('AuthSession needs a transport and apiBaseUrl');
+    }
+
+    this.transport = transport;
+    this.apiBaseUrl = apiBaseUrl;
+    this.signer = signer;
+    this.chainId = chainId;
+    this.domain = domain;
+    this.uri = uri;
+    this.statement = statement;
+    this.noncePath = noncePath;
+    this.loginPath = loginPath;
+    this.refreshMargin = refreshMargin;
+    this.onToken = onToken;
+    this.logger = resolveLogger(logger);
+    this.now = now;
+
+    this.setToken(token, expiresAt);
+    this.pendingLogin = null;
+  }
+
+  /**
+   * Whether the session can obtain new tokens by itself
+   */
+  canLogin() {
+    return Boolean(this.signer && typeof this.signer.signMessage === 'function');
+  }
+
+  /**
+   * Whether the current token is usable (present and not about to expire)
+   */
+  hasValidToken() {
+    if (!this.token) {
+      return false;
+    }
+    return this.expiresAt === undefined || this.now() < this.expiresAt - this.refreshMargin;
+  }
+
+  /**
+   * Get a usable token, logging in when it is missing or about to expire
+   * Without a login-capable signer the current token is returned as is.
+   *
+   * @returns {Promise<string|null>} Token without "Bearer " prefix
+   */
+  async getToken() {
+    if (this.hasValidToken() || !this.canLogin()) {
+      return this.token;
+    }
+    return this.login();
+  }
+
+  /**
+   * Authorization headers for a request
+   * @returns {Promise<object>} { Authorization } or {} without token
+   */
+  async getAuthHeaders() {
+    const token = await this.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Replace the current token
+   *
+   * @param {string|null} token - Token, with or without "Bearer " prefix
+   * @param {number} [expiresAt] - Expiry in ms (default: from the JWT `exp` claim)
+   */
+  setToken(token, expiresAt) {
+    this.token = token ? String(token).replace(/^Bearer /, '') : null;
+    this.expiresAt = this.token ? (expiresAt ?? decodeJwtExpiry(this.token)) : undefined;
+  }
+
+  /**
+   * Drop the current token, e.g. after the API rejected it
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = undefined;
+  }
+
+  /**
+   * Log in with the signer
+   * Concurrent callers share one login request.
+   *
+   * @returns {Promise<string>} New token
+   */
+  login() {
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.performLogin().finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  /**
+   * Request a challenge, sign it and exchange it for a token
+   */
+  async performLogin() {
+    if (!this.canLogin()) {
+      throw new AuthError('Login needs a signer that implements signMessage(message)');
+    }
+
+    const address = await this.signer.getAddress();
+    const challenge = await this.request('GET', this.noncePath, { params: { address } });
+    const result = challenge && challenge.result !== undefined ? challenge.result : challenge;
+
+    let message;
+    if (result && typeof result === 'object' && result.message) {
+      message = result.message;
+    } else {
+      const nonce = result && typeof result === 'object' ? result.nonce : result;
+      message = buildSiweMessage({
+        address,
+        chainId: this.chainId,
+        nonce,
+        domain: this.domain,
+        uri: this.uri,
+        statement: this.statement
+      });
+    }
+
+    let signature;
+    try {
+      signature = await this.signer.signMessage(message);
+    } catch (error) {
+      throw new AuthError(`Failed to sign login message: ${error.message}`, { cause: error });
+    }
+
+    const response = await this.request('POST', this.loginPath, {
+      data: { address, message, signature, chainId: this.chainId }
+    });
+    const { token, expiresAt } = parseLoginResponse(response, this.now());
+
+    this.token = token;
+    this.expiresAt = expiresAt;
+    this.logger.info('Logged in', {
+      address,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
+    });
+    if (this.onToken) {
+      this.onToken({ token, expiresAt });
+    }
+    return token;
+  }
+
+  /**
+   * Send an unauthenticated login request and check its errno
+   */
+  async request(method, path, options = {}) {
+    const payload = options.data !== undefined ? options.data : options.params;
+    let data;
+    try {
+      data = await this.transport.request({ method, url: `${this.apiBaseUrl}${path}`, ...options });
+    } catch (error) {
+      throw fromTransportError(error, { payload, context: 'Login' });
+    }
+
+    if (isApiError(data)) {
+      // Any failure of the login flow is an authentication problem for the caller
+      const error = createApiError({ data, payload, context: 'Login' });
+      throw error instanceof AuthError
+        ? error
+        : new AuthError(error.message, { ...error, response: data, cause: error });
+    }
+    return data;
+  }
+}
+
+export default AuthSession;
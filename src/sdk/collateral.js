@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI, OrderStatus, Side, COLLATERAL_TOKEN_DECIMAL } from './constants.js';
+import { toWei, fromWei } from './utils.js';
+import { orderSide } from './orderFilters.js';
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+/**
+ * Collateral (ERC-20) reads and transaction builders
+ */
+
+/**
+ * Read an ERC-20 balance
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} token - Token address
+ * @param {string} owner - Holder address
+ * @returns {Promise<bigint>} Balance in wei
+ */
+export async function getTokenBalance(rpc, token, owner) {
+  const result = await rpc.call({
+    to: token,
+    data: erc20Interface.encodeFunctionData('balanceOf', [owner])
+  });
+  return erc20Interface.decodeFunctionResult('balanceOf', result)[0];
+}
+
+/**
+ * Read an ERC-20 allowance
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} token - Token address
+ * @param {string} owner - Holder address
+ * @param {string} spender - Spender address
+ * @returns {Promise<bigint>} Allowance in wei
+ */
+export async function getTokenAllowance(rpc, token, owner, spender) {
+  const result = await rpc.call({
+    to: token,
+    data: erc20Interface.encodeFunctionData('allowance', [owner, spender])
+  });
+  return erc20Interface.decodeFunctionResult('allowance', result)[0];
+}
+
+/**
+ * Build an ERC-20 approve transaction
+ *
+ * @param {string} token - Token address
+ * @param {string} spender - Spender address
+ * @param {bigint|string} amount - Amount in wei
+ * @returns {object} Transaction request { to, data, value }
+ */
+export function buildApproveTx(token, spender, amount) {
+  return {
+    to: token,
+    data: erc20Interface.encodeFunctionData('approve', [spender, BigInt(amount)]),
+    value: '0'
+  };
+}
+
+/**
+ * Whether a listed field holds a value
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Unfilled shares of a listed order
+ * The order listing reports the size as `amount` and the filled part as `filled`,
+ * both in shares (human-readable decimals, e.g. '10.5'). Rows without `amount`
+ * fall back to `shares`, then to the signed amounts (takerAmount of a BUY,
+ * makerAmount of a SELL, in wei).
+ *
+ * @param {object} order - Order from queryOrders
+ * @param {number} [decimals=18] - Outcome token decimals
+ * @returns {bigint|null} Remaining shares in wei, null if the order has no usable size
+ */
+export function remainingOrderShares(order, decimals = COLLATERAL_TOKEN_DECIMAL) {
+  try {
+    let total;
+    const size = isPresent(order.amount) ? order.amount : order.shares;
+    if (isPresent(size)) {
+      total = BigInt(toWei(String(size), decimals));
+    } else {
+      const side = orderSide(order);
+      const signedAmount = side === Side.BUY ? order.takerAmount : (side === Side.SELL ? order.makerAmount : undefined);
+      if (!isPresent(signedAmount)) {
+        return null;
+      }
+      total = BigInt(signedAmount);
+    }
+    const filled = BigInt(toWei(String(order.filled || '0'), decimals));
+    if (total < 0n || filled < 0n) {
+      return null;
+    }
+    return total > filled ? total - filled : 0n;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Estimate the collateral locked by an open BUY order
+ * Price (on the API's 0-1 scale) times the unfilled shares.
+ * SELL orders and orders that are not open lock no collateral.
+ *
+ * @param {object} order - Order from queryOrders
+ * @param {number} [decimals=18] - Collateral decimals
+ * @returns {bigint|null} Reserved collateral in wei, null if the order cannot be read
+ */
+export function reservedCollateralForOrder(order, decimals = COLLATERAL_TOKEN_DECIMAL) {
+  const side = orderSide(order);
+  if (side === null) {
+    return null;
+  }
+  if (side !== Side.BUY || (order.status !== undefined && Number(order.status) !== OrderStatus.OPEN)) {
+    return 0n;
+  }
+
+  const remaining = remainingOrderShares(order, decimals);
+  if (remaining === null || !isPresent(order.price)) {
+    return null;
+  }
+
+  let price;
+  try {
+    price = BigInt(toWei(String(order.price)));
+  } catch (error) {
+    return null;
+  }
+  if (price < 0n || price > 10n ** 18n) {
+    return null;
+  }
+
+  return remaining * price / (10n ** 18n);
+}
+
+/**
+ * Format a wei amount as { raw, formatted }
+ *
+ * @param {bigint} value - Amount in wei
+ * @param {number} [decimals=18] - Token decimals
+ * @returns {object} { raw: wei string, formatted: decimal string }
+ */
+export function formatAmount(value, decimals = COLLATERAL_TOKEN_DECIMAL) {
+  return {
+    raw: value.toString(),
+    formatted: fromWei(value, decimals)
+  };
+}
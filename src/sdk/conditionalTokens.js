@@ -0,0 +1,196 @@
+import { ethers } from 'ethers';
+import { CONDITIONAL_TOKENS_ABI, BINARY_PARTITION, ZERO_BYTES32 } from './constants.js';
+
+const ctfInterface = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+
+/**
+ * Transaction builders for the conditional tokens contract
+ * All builders return a plain call { to, data, value } to be executed by the Safe.
+ */
+
+/**
+ * Compute a condition ID as the conditional tokens contract does:
+ * keccak256(abi.encodePacked(oracle, questionId, outcomeSlotCount))
+ *
+ * @param {string} oracle - Oracle address
+ * @param {string} questionId - Question ID (bytes32)
+ * @param {number} [outcomeSlotCount=2] - Number of outcomes
+ * @returns {string} Condition ID
+ */
+export function getConditionId(oracle, questionId, outcomeSlotCount = 2) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'bytes32', 'uint256'],
+    [oracle, questionId, outcomeSlotCount]
+  );
+}
+
+// alt_bn128 field modulus and curve constant used by CTHelpers.getCollectionId
+const BN128_P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const BN128_B = 3n;
+
+/**
+ * Modular exponentiation
+ */
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) {
+      result = result * b % modulus;
+    }
+    b = b * b % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Compute a top-level collection ID (parent collection is zero)
+ * `ecPoint` follows the current conditional tokens contract, which maps the hash
+ * to an alt_bn128 point; without it the original keccak-only formula is used.
+ *
+ * @param {string} conditionId - Condition ID
+ * @param {number} indexSet - Outcome index set (1 = first outcome, 2 = second)
+ * @param {object} [options]
+ * @param {boolean} [options.ecPoint=true] - Use the elliptic curve formula
+ * @returns {string} Collection ID (bytes32)
+ */
+export function getCollectionId(conditionId, indexSet, options = {}) {
+  const { ecPoint = true } = options;
+  const hash = ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [conditionId, indexSet]);
+  if (!ecPoint) {
+    return hash;
+  }
+
+  let x = BigInt(hash);
+  const odd = (x >> 255n) !== 0n;
+  let y;
+  let yy;
+  do {
+    x = (x + 1n) % BN128_P;
+    yy = (x * x % BN128_P * x + BN128_B) % BN128_P;
+    // P = 3 mod 4, so a square root is yy^((P + 1) / 4)
+    y = modPow(yy, (BN128_P + 1n) / 4n, BN128_P);
+  } while (y * y % BN128_P !== yy);
+
+  if ((odd && y % 2n === 0n) || (!odd && y % 2n === 1n)) {
+    y = BN128_P - y;
+  }
+  if (y % 2n === 1n) {
+    x ^= 1n << 254n;
+  }
+  return ethers.zeroPadValue(ethers.toBeHex(x), 32);
+}
+
+/**
+ * Compute a position (ERC-1155 token) ID
+ *
+ * @param {string} collateralToken - Collateral token address
+ * @param {string} collectionId - Collection ID
+ * @returns {string} Position ID as a decimal string
+ */
+export function getPositionId(collateralToken, collectionId) {
+  return BigInt(ethers.solidityPackedKeccak256(['address', 'bytes32'], [collateralToken, collectionId])).toString();
+}
+
+/**
+ * Derive the opposite token of a binary condition from a known one
+ * Both contract formulas and both index sets are tried; the token is only derived
+ * when one of them reproduces the known token, so a wrong collateral or condition
+ * ID yields null instead of a wrong token.
+ *
+ * @param {object} params
+ * @param {string} params.collateralToken - Collateral token address
+ * @param {string} params.conditionId - Condition ID
+ * @param {string} params.tokenId - Known position ID (decimal string)
+ * @returns {string|null} Opposite position ID, or null if it cannot be verified
+ */
+export function deriveOppositePositionId(params) {
+  const { collateralToken, conditionId, tokenId } = params;
+  if (!collateralToken || !conditionId || !tokenId) {
+    return null;
+  }
+
+  const known = String(tokenId);
+  for (const ecPoint of [true, false]) {
+    const [first, second] = BINARY_PARTITION.map(indexSet =>
+      getPositionId(collateralToken, getCollectionId(conditionId, indexSet, { ecPoint })));
+    if (first === known) {
+      return second;
+    }
+    if (second === known) {
+      return first;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a splitPosition call: collateral -> one YES + one NO per unit
+ *
+ * @param {object} params
+ * @param {string} params.ctfAddress - Conditional tokens contract
+ * @param {string} params.collateralToken - Collateral token
+ * @param {string} params.conditionId - Condition ID
+ * @param {bigint|string} params.amount - Amount in wei
+ * @returns {object} Call { to, data, value }
+ */
+export function buildSplitPositionTx(params) {
+  const { ctfAddress, collateralToken, conditionId, amount } = params;
+  return {
+    to: ctfAddress,
+    data: ctfInterface.encodeFunctionData('splitPosition', [
+      collateralToken,
+      ZERO_BYTES32,
+      conditionId,
+      BINARY_PARTITION,
+      BigInt(amount)
+    ]),
+    value: '0'
+  };
+}
+
+/**
+ * Build a mergePositions call: one YES + one NO per unit -> collateral
+ *
+ * @param {object} params - Same as buildSplitPositionTx
+ * @returns {object} Call { to, data, value }
+ */
+export function buildMergePositionsTx(params) {
+  const { ctfAddress, collateralToken, conditionId, amount } = params;
+  return {
+    to: ctfAddress,
+    data: ctfInterface.encodeFunctionData('mergePositions', [
+      collateralToken,
+      ZERO_BYTES32,
+      conditionId,
+      BINARY_PARTITION,
+      BigInt(amount)
+    ]),
+    value: '0'
+  };
+}
+
+/**
+ * Build a redeemPositions call for a resolved condition (redeems both outcomes)
+ *
+ * @param {object} params
+ * @param {string} params.ctfAddress - Conditional tokens contract
+ * @param {string} params.collateralToken - Collateral token
+ * @param {string} params.conditionId - Condition ID
+ * @returns {object} Call { to, data, value }
+ */
+export function buildRedeemPositionsTx(params) {
+  const { ctfAddress, collateralToken, conditionId } = params;
+  return {
+    to: ctfAddress,
+    data: ctfInterface.encodeFunctionData('redeemPositions', [
+      collateralToken,
+      ZERO_BYTES32,
+      conditionId,
+      BINARY_PARTITION
+    ]),
+    value: '0'
+  };
+}
@@ -9,17 +9,98 @@ export const CHAIN_ID = 56; // BSC
 export const EXCHANGE_ADDRESS = '0x5F45344126D6488025B0b84A3A8189F2487a7246';
 export const COLLATERAL_TOKEN_ADDRESS = '0x55d398326f99059fF775485246999027B3197955'; // USDT
 
+// Exchange contract functions used by the SDK
+export const EXCHANGE_ABI = [
+  'function incrementNonce()',
+  'function nonces(address) view returns (uint256)',
+  'function getCtf() view returns (address)'
+];
+
+// Conditional tokens (ERC-1155) functions used for position reads
+export const CONDITIONAL_TOKENS_ABI = [
+  'function balanceOf(address owner, uint256 id) view returns (uint256)',
+  'function balanceOfBatch(address[] owners, uint256[] ids) view returns (uint256[])',
+  'function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+  'function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+  'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)'
+];
+
+// Index sets of a binary market: YES = 0b01, NO = 0b10
+export const BINARY_PARTITION = [1, 2];
+
+// Parent collection of top-level positions
+export const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// ERC-20 functions used for collateral checks
+export const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Gnosis Safe functions used to validate the maker account
+export const SAFE_ABI = [
+  'function getOwners() view returns (address[])',
+  'function getThreshold() view returns (uint256)',
+  'function nonce() view returns (uint256)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool)',
+  'function isValidSignature(bytes32 _dataHash, bytes _signature) view returns (bytes4)'
+];
+
+// EIP-712 type of a Safe transaction
+export const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// EIP-1271 magic value returned by isValidSignature(bytes32,bytes)
+export const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
 // Token configuration
 export const COLLATERAL_TOKEN_DECIMAL = 18;
 
+// JSON-RPC endpoint for on-chain reads
+export const RPC_URL = 'https://bsc-dataseed.binance.org';
+
 // API configuration
 export const API_BASE_URL = 'https://proxy.opinion.trade:8443/api/bsc/api';
+export const TOPIC_API_URL = `${API_BASE_URL}/v2/topic`;
 export const API_ENDPOINTS = {
   SUBMIT_ORDER: '/v2/order',
-  QUERY_ORDERS: '/v2/order'
+  QUERY_ORDERS: '/v2/order',
+  CANCEL_ORDER: '/v1/order/cancel/order',
+  ORDER_BOOK: '/v2/order/market/depth',
+  POSITIONS: '/v2/portfolio',
+  // Fills (trades) of a wallet, paginated like QUERY_ORDERS.
+  // Experimental: not verified against the live API. Only getTrades/iterateTrades and source: 'trades'
+  // of getTradeHistory/getPnlReport use it; by default fills are derived from the orders
+  TRADES: '/v2/trade',
+  // Wallet login: fetch a challenge, then exchange the signed challenge for a token.
+  // Experimental: not verified against the live API (see auth.js)
+  AUTH_NONCE: '/v1/user/nonce',
+  AUTH_LOGIN: '/v1/user/login'
 };
 
-// EIP-712 Domain
+// Domain and statement of the wallet login message (EIP-4361 / SIWE).
+// Not verified against the site's login; override them through the login options
+export const AUTH_DOMAIN = 'opinion.trade';
+export const AUTH_URI = 'https://opinion.trade';
+export const AUTH_STATEMENT = 'Sign in to Opinion Trade';
+
+// WebSocket streaming. Experimental: not verified against the live API (see stream.js)
+export const WS_URL = 'wss://proxy.opinion.trade:8443/ws';
+
+// EIP-712 Domain (mainnet, see networks.js for other deployments)
 export const EIP712_DOMAIN = {
   name: 'OPINION CTF Exchange',
   version: '1',
@@ -0,0 +1,250 @@
+/**
+ * Error classes
+ *
+ * Every error thrown by the SDK on purpose is an OpinionError, so bots can
+ * branch on the class instead of matching message strings:
+ *
+ *   try { await sdk.buy(params) }
+ *   catch (error) {
+ *     if (error instanceof RateLimitError) await sleep(error.retryAfter || 1000);
+ *     else if (error instanceof InsufficientBalanceError) ...
+ *   }
+ *
+ * API errors carry the `errno`/`errmsg` returned by the API, the HTTP status,
+ * the request ID (when the API sends one) and the payload that was sent.
+ */
+
+export class OpinionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [details]
+   * @param {number} [details.errno] - API errno
+   * @param {string} [details.errmsg] - API errmsg
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.requestId] - Request ID reported by the API
+   * @param {object} [details.payload] - Request payload / params that caused the error
+   * @param {object} [details.response] - Parsed response body
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.errno = details.errno;
+    this.errmsg = details.errmsg;
+    this.status = details.status;
+    this.requestId = details.requestId;
+    this.payload = details.payload;
+    this.response = details.response;
+  }
+}
+
+/** Invalid parameters or an order payload the API would reject */
+export class ValidationError extends OpinionError {}
+
+/** Signing failed or the signature does not belong to the expected signer */
+export class SigningError extends OpinionError {}
+
+/** Missing, invalid or expired authorization */
+export class AuthError extends OpinionError {}
+
+/** Too many requests */
+export class RateLimitError extends OpinionError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [details] - See OpinionError, plus `retryAfter` in ms
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/** Not enough collateral, allowance or outcome shares */
+export class InsufficientBalanceError extends OpinionError {}
+
+/** Any other error reported by the API */
+export class ApiError extends OpinionError {}
+
+/**
+ * API errno -> error class
+ * The API does not publish its errno list and no errno has been mapped from an
+ * observed response yet, so this starts empty. Register codes as they are seen,
+ * e.g. `ERRNO_ERRORS[10403] = AuthError`; a mapped errno takes precedence over
+ * the HTTP status and errmsg fallbacks below.
+ */
+export const ERRNO_ERRORS = {};
+
+// Fallback when neither the errno nor the HTTP status identifies the error: classify by errmsg
+const ERRMSG_PATTERNS = [
+  [/rate limit|too many requests|too frequent/i, RateLimitError],
+  [/unauthori[sz]ed|forbidden|token (is )?(invalid|expired)|not logged in|login/i, AuthError],
+  [/insufficient|not enough|exceeds? (the )?(balance|allowance)/i, InsufficientBalanceError],
+  [/signature|signer/i, SigningError],
+  [/invalid|required|must be|out of range/i, ValidationError]
+];
+
+// HTTP status -> class for responses without a usable errno
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: AuthError,
+  403: AuthError,
+  429: RateLimitError
+};
+
+/**
+ * Read the request ID from a response body or headers
+ *
+ * @param {object} [data] - Response body
+ * @param {object} [headers] - Response headers
+ * @returns {string|undefined} Request ID
+ */
+export function extractRequestId(data, headers = {}) {
+  const fromBody = data && typeof data === 'object'
+    ? (data.requestId ?? data.request_id ?? data.traceId ?? data.trace_id)
+    : undefined;
+  if (fromBody !== undefined && fromBody !== null) {
+    return String(fromBody);
+  }
+
+  for (const name of ['x-request-id', 'x-trace-id', 'request-id']) {
+    const value = headers && (headers[name] ?? headers[name.toUpperCase()]);
+    if (value) {
+      return String(value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+ *
+ * @param {object} [headers] - Response headers
+ * @returns {number|undefined} Delay in ms
+ */
+export function parseRetryAfter(headers = {}) {
+  const value = headers && (headers['retry-after'] ?? headers['Retry-After']);
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Pick the error class for an errno / errmsg / HTTP status
+ *
+ * @param {object} params
+ * @param {number} [params.errno] - API errno
+ * @param {string} [params.errmsg] - API errmsg
+ * @param {number} [params.status] - HTTP status
+ * @returns {Function} Error class
+ */
+export function errorClassFor({ errno, errmsg, status }) {
+  if (errno !== undefined && ERRNO_ERRORS[errno]) {
+    return ERRNO_ERRORS[errno];
+  }
+  if (status !== undefined && STATUS_ERRORS[status]) {
+    return STATUS_ERRORS[status];
+  }
+  if (errmsg) {
+    const match = ERRMSG_PATTERNS.find(([pattern]) => pattern.test(errmsg));
+    if (match) {
+      return match[1];
+    }
+  }
+  return ApiError;
+}
+
+/**
+ * Whether an API response body reports success
+ * The API wraps every response in { errno, errmsg, result }; errno 0 is the only
+ * success. A missing errno or a body that is not a JSON object (empty, plain
+ * text) counts as an error.
+ *
+ * @param {object} data - Response body
+ * @returns {boolean} True on success
+ */
+export function isApiSuccess(data) {
+  return Boolean(data) && typeof data === 'object' &&
+    data.errno !== undefined && data.errno !== null && data.errno !== '' && Number(data.errno) === 0;
+}
+
+/**
+ * Whether an API response body reports an error (the opposite of isApiSuccess)
+ *
+ * @param {object} data - Response body
+ * @returns {boolean} True on error
+ */
+export function isApiError(data) {
+  return !isApiSuccess(data);
+}
+
+/**
+ * Build a typed error from an API response
+ *
+ * @param {object} params
+ * @param {object} [params.data] - Response body
+ * @param {number} [params.status] - HTTP status
+ * @param {object} [params.headers] - Response headers
+ * @param {object} [params.payload] - Request payload / params
+ * @param {string} [params.context] - Prefix for the message, e.g. 'Submit order'
+ * @param {string} [params.errmsg] - Message to use when the body has none
+ * @param {Error} [params.cause] - Underlying error
+ * @returns {OpinionError} Typed error
+ */
+export function createApiError(params) {
+  const { data, status, headers, payload, context, cause } = params;
+  const body = data && typeof data === 'object' ? data : {};
+  const errno = body.errno !== undefined && body.errno !== null ? Number(body.errno) : undefined;
+  // Plain-text and HTML error pages are cut to keep messages readable
+  const errmsg = body.errmsg || body.message || (typeof data === 'string' && data ? data.slice(0, 200) : undefined) ||
+    params.errmsg || (data && typeof data === 'object' ? (errno === undefined ? 'Response has no errno' : undefined) : 'Malformed response body');
+
+  const ErrorClass = errorClassFor({ errno, errmsg, status });
+  const parts = [];
+  if (errno !== undefined) parts.push(`errno: ${errno}`);
+  if (status !== undefined && (status < 200 || status >= 300)) parts.push(`HTTP ${status}`);
+  const where = parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  const prefix = context ? `${context}: ` : '';
+
+  return new ErrorClass(`${prefix}API error${where}: ${errmsg || 'Unknown error'}`, {
+    errno,
+    errmsg,
+    status,
+    requestId: extractRequestId(body, headers),
+    payload,
+    response: data,
+    retryAfter: parseRetryAfter(headers),
+    cause
+  });
+}
+
+/**
+ * Convert an error thrown by HttpTransport to a typed error
+ * Errors without an HTTP response (network failures, timeouts) and errors that
+ * are already typed are returned unchanged.
+ *
+ * @param {Error} error - Error thrown by the transport
+ * @param {object} [params]
+ * @param {object} [params.payload] - Request payload / params
+ * @param {string} [params.context] - Message prefix
+ * @returns {Error} Typed or original error
+ */
+export function fromTransportError(error, params = {}) {
+  if (error instanceof OpinionError || !error || !error.response) {
+    return error;
+  }
+  return createApiError({
+    data: error.response.data,
+    status: error.response.status,
+    headers: error.response.headers,
+    payload: params.payload,
+    context: params.context,
+    cause: error
+  });
+}
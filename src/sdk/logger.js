@@ -0,0 +1,215 @@
+/**
+ * Logging
+ *
+ * The SDK logs through a Logger that filters by level, redacts secrets and
+ * forwards structured records to a target. The default target discards
+ * everything, so the SDK is silent unless a logger is configured.
+ *
+ * A target is any object with debug/info/warn/error(message, fields) methods.
+ * `fields` is a plain object (topicId, orderId, latencyMs, ...). To forward to
+ * pino, for example: { info: (message, fields) => pino.info(fields, message), ... }
+ */
+
+export const LogLevel = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  SILENT: 'silent'
+};
+
+const LEVEL_VALUES = {
+  [LogLevel.DEBUG]: 10,
+  [LogLevel.INFO]: 20,
+  [LogLevel.WARN]: 30,
+  [LogLevel.ERROR]: 40,
+  [LogLevel.SILENT]: 100
+};
+
+export const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SECRET_KEYS = new Set(['sign', 'authorization', 'privatekey', 'secret', 'password', 'mnemonic', 'cookie']);
+const SECRET_SUFFIXES = ['signature', 'token'];
+
+/**
+ * Whether a field name holds a secret
+ * Matches e.g. signature, sign, authorizationToken, accessToken, privateKey (not tokenId).
+ */
+function isSecretKey(key) {
+  const name = String(key).toLowerCase();
+  return SECRET_KEYS.has(name) || SECRET_SUFFIXES.some(suffix => name.endsWith(suffix));
+}
+
+/**
+ * Copy log fields, replacing secrets with REDACTED
+ * Errors are reduced to name, message and their API details (never the payload).
+ *
+ * @param {any} value - Field value
+ * @param {number} [depth=0] - Current depth (objects deeper than 5 levels are cut)
+ * @returns {any} Safe copy
+ */
+export function redact(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'string') {
+    return /^Bearer\s/i.test(value) ? REDACTED : value;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 5) {
+    return '[Object]';
+  }
+  if (value instanceof Error) {
+    const error = { name: value.name, message: value.message };
+    for (const key of ['errno', 'status', 'requestId', 'code']) {
+      if (value[key] !== undefined) {
+        error[key] = value[key];
+      }
+    }
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSecretKey(key) && item !== undefined && item !== null && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+// Target that drops every record
+export const noopLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Create a target writing to the console
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.json=false] - One JSON object per line instead of "message {fields}"
+ * @param {object} [options.console=globalThis.console] - Console to write to
+ * @returns {object} Logger target
+ */
+export function createConsoleLogger(options = {}) {
+  const { json = false, console: output = globalThis.console } = options;
+
+  const write = (level, message, fields) => {
+    const method = level === LogLevel.DEBUG ? 'log' : level === LogLevel.INFO ? 'info' : level;
+    if (json) {
+      output[method](JSON.stringify({ time: new Date().toISOString(), level, message, ...fields }));
+    } else if (fields && Object.keys(fields).length > 0) {
+      output[method](`[${level}] ${message}`, JSON.stringify(fields));
+    } else {
+      output[method](`[${level}] ${message}`);
+    }
+  };
+
+  return {
+    debug: (message, fields) => write(LogLevel.DEBUG, message, fields),
+    info: (message, fields) => write(LogLevel.INFO, message, fields),
+    warn: (message, fields) => write(LogLevel.WARN, message, fields),
+    error: (message, fields) => write(LogLevel.ERROR, message, fields)
+  };
+}
+
+/**
+ * Level filter and redaction in front of a target
+ */
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.target=noopLogger] - Target with debug/info/warn/error(message, fields)
+   * @param {string} [options.level='info'] - Minimum LogLevel
+   * @param {object} [options.fields] - Fields added to every record (e.g. { component })
+   */
+  constructor(options = {}) {
+    const { target = noopLogger, level = LogLevel.INFO, fields = {} } = options;
+
+    if (LEVEL_VALUES[level] === undefined) {
+      throw new Error(`Invalid log level: ${level}. Must be one of ${Object.keys(LEVEL_VALUES).join(', ')}`);
+    }
+
+    this.target = target;
+    this.level = level;
+    this.fields = fields;
+  }
+
+  /**
+   * Whether records of a level are emitted
+   * @param {string} level - LogLevel value
+   */
+  isEnabled(level) {
+    return this.target !== noopLogger && LEVEL_VALUES[level] >= LEVEL_VALUES[this.level];
+  }
+
+  /**
+   * Emit a record
+   * @param {string} level - LogLevel value
+   * @param {string} message - Message
+   * @param {object} [fields] - Structured fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level) || typeof this.target[level] !== 'function') {
+      return;
+    }
+    try {
+      this.target[level](message, redact({ ...this.fields, ...fields }));
+    } catch (error) {
+      // A failing logger must never break trading
+    }
+  }
+
+  debug(message, fields) {
+    this.log(LogLevel.DEBUG, message, fields);
+  }
+
+  info(message, fields) {
+    this.log(LogLevel.INFO, message, fields);
+  }
+
+  warn(message, fields) {
+    this.log(LogLevel.WARN, message, fields);
+  }
+
+  error(message, fields) {
+    this.log(LogLevel.ERROR, message, fields);
+  }
+
+  /**
+   * Logger with extra fields on every record
+   * @param {object} fields - Fields to add
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ target: this.target, level: this.level, fields: { ...this.fields, ...fields } });
+  }
+}
+
+/**
+ * Build a Logger from the SDK `logger` option
+ *
+ * @param {Logger|object} [logger] - Logger, target, or undefined for silence
+ * @param {string} [level] - Minimum LogLevel (ignored when a Logger is passed)
+ * @returns {Logger} Logger
+ */
+export function resolveLogger(logger, level) {
+  if (logger instanceof Logger) {
+    return logger;
+  }
+  return new Logger({ target: logger || noopLogger, level });
+}
+
+export default Logger;
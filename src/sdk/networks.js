@@ -0,0 +1,99 @@
+import {
+  CHAIN_ID,
+  EXCHANGE_ADDRESS,
+  COLLATERAL_TOKEN_ADDRESS,
+  COLLATERAL_TOKEN_DECIMAL,
+  API_BASE_URL,
+  TOPIC_API_URL,
+  WS_URL,
+  RPC_URL,
+  EIP712_DOMAIN
+} from './constants.js';
+
+/**
+ * Network profiles
+ *
+ * A profile bundles everything that differs between deployments. The SDK,
+ * signer and TopicAPI derive chain ID, contracts, decimals and URLs from the
+ * active profile. Only mainnet is built in: the contracts and API of other
+ * deployments are not public. For a testnet or a local fork, pass a profile
+ * object with the fields of REQUIRED_FIELDS, e.g.
+ *
+ *   new OpinionTradeSDK({ network: { ...NETWORKS.mainnet, name: 'fork', rpcUrl: 'http://127.0.0.1:8545' }, ... })
+ */
+
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    chainId: CHAIN_ID,
+    exchangeAddress: EXCHANGE_ADDRESS,
+    collateralTokenAddress: COLLATERAL_TOKEN_ADDRESS,
+    collateralDecimals: COLLATERAL_TOKEN_DECIMAL,
+    apiBaseUrl: API_BASE_URL,
+    topicApiUrl: TOPIC_API_URL,
+    wsUrl: WS_URL,
+    rpcUrl: RPC_URL,
+    eip712Name: EIP712_DOMAIN.name,
+    eip712Version: EIP712_DOMAIN.version
+  }
+};
+
+// Fields every resolved profile must have
+export const REQUIRED_FIELDS = [
+  'chainId',
+  'exchangeAddress',
+  'collateralTokenAddress',
+  'collateralDecimals',
+  'apiBaseUrl',
+  'topicApiUrl',
+  'rpcUrl'
+];
+
+/**
+ * Resolve a network profile
+ *
+ * @param {string|object} [network='mainnet'] - Profile name or a full profile object
+ * @param {object} [overrides] - Fields replacing the profile values (undefined values are ignored)
+ * @returns {object} Resolved profile
+ */
+export function resolveNetwork(network = 'mainnet', overrides = {}) {
+  let base;
+  if (typeof network === 'string') {
+    base = NETWORKS[network];
+    if (!base) {
+      throw new Error(`Unknown network: ${network}. Available: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+  } else {
+    base = network;
+  }
+
+  const profile = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) {
+      profile[key] = value;
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => profile[field] === undefined || profile[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`Network "${profile.name || 'custom'}" is missing: ${missing.join(', ')}`);
+  }
+
+  profile.chainId = Number(profile.chainId);
+  return profile;
+}
+
+/**
+ * Build the EIP-712 domain used to sign orders on a network
+ *
+ * @param {object} network - Resolved profile
+ * @returns {object} EIP-712 domain
+ */
+export function buildEip712Domain(network) {
+  return {
+    name: network.eip712Name || EIP712_DOMAIN.name,
+    version: network.eip712Version || EIP712_DOMAIN.version,
+    chainId: String(network.chainId),
+    verifyingContract: network.exchangeAddress.toLowerCase()
+  };
+}
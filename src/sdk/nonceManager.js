@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { EXCHANGE_ADDRESS, EXCHANGE_ABI } from './constants.js';
+
+const exchangeInterface = new ethers.Interface(EXCHANGE_ABI);
+
+/**
+ * Nonce manager
+ *
+ * Every signed order carries the maker's exchange nonce. Calling `incrementNonce()`
+ * on the exchange invalidates all outstanding orders signed with a lower nonce,
+ * so new orders must be signed with the new value.
+ *
+ * The nonce is read with `fetchNonce`, or from the exchange's `nonces(maker)` over
+ * JSON-RPC when `rpc` and `maker` are given. Without either it starts at 0.
+ *
+ * Any object with an async `getNonce()` method can be passed to the SDK instead.
+ */
+export class NonceManager {
+  /**
+   * @param {object} [options]
+   * @param {string|number|bigint} [options.nonce] - Initial nonce (default: '0' unless the nonce can be fetched)
+   * @param {Function} [options.fetchNonce] - Async function returning the current exchange nonce
+   * @param {JsonRpcClient} [options.rpc] - JSON-RPC client to read `nonces(maker)` with, when fetchNonce is not given
+   * @param {string} [options.maker] - Maker address, required with rpc
+   * @param {string} [options.exchangeAddress] - Exchange contract address
+   */
+  constructor(options = {}) {
+    const {
+      nonce,
+      rpc,
+      maker,
+      exchangeAddress = EXCHANGE_ADDRESS
+    } = options;
+
+    this.exchangeAddress = exchangeAddress;
+    this.fetchNonce = options.fetchNonce || (rpc && maker
+      ? async () => this.decodeNonceResult(await rpc.call(this.buildNonceQuery(maker)))
+      : undefined);
+    this.nonce = nonce !== undefined ? BigInt(nonce) : (this.fetchNonce ? null : 0n);
+  }
+
+  /**
+   * Get the nonce to sign new orders with
+   * @returns {Promise<string>} Nonce
+   */
+  async getNonce() {
+    if (this.nonce === null) {
+      await this.sync();
+    }
+    return this.nonce.toString();
+  }
+
+  /**
+   * Set the nonce explicitly
+   * @param {string|number|bigint} nonce - Nonce
+   */
+  setNonce(nonce) {
+    this.nonce = BigInt(nonce);
+  }
+
+  /**
+   * Reload the nonce with fetchNonce
+   * @returns {Promise<string>} Current nonce
+   */
+  async sync() {
+    if (!this.fetchNonce) {
+      throw new Error('fetchNonce is not configured');
+    }
+    this.nonce = BigInt(await this.fetchNonce());
+    return this.nonce.toString();
+  }
+
+  /**
+   * Advance the nonce after an incrementNonce transaction
+   * Call this once the transaction has been mined. A nonce that was never loaded
+   * is read with fetchNonce instead, since the chain already holds the new value.
+   * @returns {Promise<string>} New nonce
+   */
+  async bump() {
+    if (this.nonce === null) {
+      return this.sync();
+    }
+    this.nonce += 1n;
+    return this.nonce.toString();
+  }
+
+  /**
+   * Build the transaction that bumps the exchange nonce
+   * The transaction must be sent from the maker (Gnosis Safe)
+   *
+   * @returns {object} Transaction request { to, data, value }
+   */
+  buildIncrementNonceTx() {
+    return {
+      to: this.exchangeAddress,
+      data: exchangeInterface.encodeFunctionData('incrementNonce', []),
+      value: '0'
+    };
+  }
+
+  /**
+   * Encode a `nonces(maker)` call for reading the current nonce over JSON-RPC
+   *
+   * @param {string} maker - Maker address
+   * @returns {object} Call request { to, data }
+   */
+  buildNonceQuery(maker) {
+    return {
+      to: this.exchangeAddress,
+      data: exchangeInterface.encodeFunctionData('nonces', [maker])
+    };
+  }
+
+  /**
+   * Decode the result of a `nonces(maker)` call
+   *
+   * @param {string} result - Hex result of eth_call
+   * @returns {string} Nonce
+   */
+  decodeNonceResult(result) {
+    return exchangeInterface.decodeFunctionResult('nonces', result)[0].toString();
+  }
+}
+
+export default NonceManager;
@@ -0,0 +1,266 @@
+import { toWei, fromWei } from './utils.js';
+
+/**
+ * Local order book model
+ *
+ * Prices and sizes are kept as decimal strings exactly as the API returns them
+ * (prices on the API's 0-1 scale). All arithmetic is done on BigInt values scaled
+ * by 10^18 so no precision is lost to floating point.
+ */
+
+export const BookSide = {
+  BID: 'bid',
+  ASK: 'ask'
+};
+
+/**
+ * Parse a decimal string to a BigInt scaled by 10^18
+ * @param {string|number} value - Decimal value
+ * @returns {bigint} Scaled value
+ */
+function toScaled(value) {
+  return BigInt(toWei(String(value)));
+}
+
+/**
+ * Format a BigInt scaled by 10^18 as a trimmed decimal string
+ * @param {bigint} value - Scaled value
+ * @returns {string} Decimal string
+ */
+function fromScaled(value) {
+  return fromWei(value).replace(/\.0$/, '');
+}
+
+/**
+ * Convert an order book price (0-1) to the SDK's limitPrice scale (0-100)
+ *
+ * @param {string|number} price - Order book price, e.g. '0.525'
+ * @returns {string} Limit price, e.g. '52.5'
+ */
+export function toLimitPrice(price) {
+  return fromScaled(toScaled(price) * 100n);
+}
+
+/**
+ * Normalize a single price level
+ * Accepts { price, size }, { price, amount }, { price, quantity } or [price, size]
+ *
+ * @param {object|Array} level - Raw level
+ * @returns {object|null} { price, size } or null for empty levels
+ */
+export function normalizeLevel(level) {
+  const price = Array.isArray(level) ? level[0] : level.price;
+  const size = Array.isArray(level)
+    ? level[1]
+    : (level.size ?? level.amount ?? level.quantity ?? level.shares);
+
+  if (price === undefined || size === undefined) {
+    throw new Error(`Invalid order book level: ${JSON.stringify(level)}`);
+  }
+
+  const priceScaled = toScaled(price);
+  const sizeScaled = toScaled(size);
+  if (sizeScaled <= 0n) {
+    return null;
+  }
+
+  return {
+    price: fromScaled(priceScaled),
+    size: fromScaled(sizeScaled)
+  };
+}
+
+/**
+ * Normalize a list of levels: merge equal prices, drop empty levels and sort
+ *
+ * @param {Array} levels - Raw levels
+ * @param {string} side - BookSide.BID (descending) or BookSide.ASK (ascending)
+ * @returns {Array<object>} Sorted { price, size } levels
+ */
+function normalizeLevels(levels = [], side) {
+  const merged = new Map();
+
+  for (const raw of levels) {
+    const level = normalizeLevel(raw);
+    if (!level) {
+      continue;
+    }
+    const key = toScaled(level.price);
+    merged.set(key, (merged.get(key) || 0n) + toScaled(level.size));
+  }
+
+  const prices = [...merged.keys()].sort((a, b) => {
+    if (a === b) return 0;
+    const ascending = a < b ? -1 : 1;
+    return side === BookSide.BID ? -ascending : ascending;
+  });
+
+  return prices.map(price => ({
+    price: fromScaled(price),
+    size: fromScaled(merged.get(price))
+  }));
+}
+
+/**
+ * Order book for one token (YES or NO position) of a topic
+ */
+export class OrderBook {
+  /**
+   * @param {object} params
+   * @param {string|number} [params.topicId] - Topic ID
+   * @param {string} [params.position] - Position: 'YES' or 'NO'
+   * @param {string} [params.outcome] - Outcome label (differs from position in multi-outcome markets)
+   * @param {string} [params.tokenId] - Token ID
+   * @param {Array} [params.bids] - Bid levels
+   * @param {Array} [params.asks] - Ask levels
+   * @param {number} [params.timestamp] - Snapshot time in ms
+   */
+  constructor(params = {}) {
+    const {
+      topicId,
+      position,
+      outcome = position,
+      tokenId,
+      bids = [],
+      asks = [],
+      timestamp = Date.now()
+    } = params;
+
+    this.topicId = topicId;
+    this.position = position;
+    this.outcome = outcome;
+    this.tokenId = tokenId;
+    this.bids = normalizeLevels(bids, BookSide.BID);
+    this.asks = normalizeLevels(asks, BookSide.ASK);
+    this.timestamp = timestamp;
+  }
+
+  /**
+   * Build an order book from an API response
+   * Accepts { bids, asks } or { buy, sell } at the top level or under result/data
+   *
+   * @param {object} data - API response
+   * @param {object} [meta] - Extra fields (topicId, position, outcome, tokenId)
+   * @returns {OrderBook} Order book
+   */
+  static fromApi(data, meta = {}) {
+    const result = data.result || data.data || data;
+    const book = result.data && !result.bids && !result.buy ? result.data : result;
+
+    return new OrderBook({
+      ...meta,
+      bids: book.bids || book.buy || [],
+      asks: book.asks || book.sell || [],
+      timestamp: book.timestamp ? Number(book.timestamp) : Date.now()
+    });
+  }
+
+  /**
+   * Get the levels of one side
+   * @param {string} side - BookSide.BID or BookSide.ASK
+   * @returns {Array<object>} Levels, best first
+   */
+  getLevels(side) {
+    if (side === BookSide.BID) return this.bids;
+    if (side === BookSide.ASK) return this.asks;
+    throw new Error(`Invalid book side: ${side}. Must be 'bid' or 'ask'`);
+  }
+
+  /**
+   * Best (highest) bid level
+   * @returns {object|null} { price, size }
+   */
+  bestBid() {
+    return this.bids[0] || null;
+  }
+
+  /**
+   * Best (lowest) ask level
+   * @returns {object|null} { price, size }
+   */
+  bestAsk() {
+    return this.asks[0] || null;
+  }
+
+  /**
+   * Spread between best ask and best bid
+   * @returns {string|null} Spread, or null if either side is empty
+   */
+  spread() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    if (!bid || !ask) {
+      return null;
+    }
+    return fromScaled(toScaled(ask.price) - toScaled(bid.price));
+  }
+
+  /**
+   * Mid price between best bid and best ask
+   * @returns {string|null} Mid price, or null if either side is empty
+   */
+  midPrice() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    if (!bid || !ask) {
+      return null;
+    }
+    return fromScaled((toScaled(ask.price) + toScaled(bid.price)) / 2n);
+  }
+
+  /**
+   * Size resting at exactly one price
+   *
+   * @param {string} side - BookSide.BID or BookSide.ASK
+   * @param {string|number} price - Price
+   * @returns {string} Size ('0' if there is no level at that price)
+   */
+  depthAtPrice(side, price) {
+    const target = toScaled(price);
+    const level = this.getLevels(side).find(l => toScaled(l.price) === target);
+    return level ? level.size : '0';
+  }
+
+  /**
+   * Cumulative size from the top of the book down to a price (inclusive)
+   * For bids this counts levels >= price, for asks levels <= price.
+   * Without a price the whole side is summed.
+   *
+   * @param {string} side - BookSide.BID or BookSide.ASK
+   * @param {string|number} [price] - Price limit
+   * @returns {string} Cumulative size
+   */
+  cumulativeSize(side, price) {
+    const limit = price === undefined ? null : toScaled(price);
+    let total = 0n;
+
+    for (const level of this.getLevels(side)) {
+      const levelPrice = toScaled(level.price);
+      if (limit !== null) {
+        const beyond = side === BookSide.BID ? levelPrice < limit : levelPrice > limit;
+        if (beyond) {
+          break;
+        }
+      }
+      total += toScaled(level.size);
+    }
+
+    return fromScaled(total);
+  }
+
+  /**
+   * Cumulative depth per level, best first
+   *
+   * @param {string} side - BookSide.BID or BookSide.ASK
+   * @returns {Array<object>} { price, size, cumulative } levels
+   */
+  cumulativeLevels(side) {
+    let total = 0n;
+    return this.getLevels(side).map(level => {
+      total += toScaled(level.size);
+      return { ...level, cumulative: fromScaled(total) };
+    });
+  }
+}
+
+export default OrderBook;
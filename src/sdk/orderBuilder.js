@@ -1,5 +1,26 @@
-import { Side, VolumeType } from './constants.js';
-import { calculateOrderAmounts } from './utils.js';
+import {
+  Side,
+  VolumeType,
+  TradingMethod,
+  SignatureType,
+  EIP712_DOMAIN,
+  COLLATERAL_TOKEN_DECIMAL
+} from './constants.js';
+import {
+  calculateOrderAmounts,
+  calculateMarketOrderAmounts,
+  toWei,
+  fromWei,
+  isValidAddress
+} from './utils.js';
+import { ValidationError } from './errors.js';
+import { verifyOrderSignature } from './signer.js';
+
+// Default max slippage for market orders, in price points (same 0-100 scale as limitPrice)
+export const DEFAULT_MAX_SLIPPAGE = '2';
+
+// Smallest price step (prices have at most 1 decimal place)
+export const MIN_PRICE_TICK = '0.1';
 
 /**
  * Build order parameters for signing
@@ -16,6 +37,9 @@ import { calculateOrderAmounts } from './utils.js';
  * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
  * @param {string} [params.expiration='0'] - Expiration timestamp
  * @param {string} [params.feeRateBps='0'] - Fee rate in bps
+ * @param {string} [params.nonce='0'] - Exchange nonce of the maker
+ * @param {string} [params.salt] - Order salt (default: random)
+ * @param {number} [params.decimals=18] - Collateral (and outcome token) decimals
  * @returns {object} Order parameters ready for signing
  */
 export function buildOrderParams(params) {
@@ -30,23 +54,26 @@ export function buildOrderParams(params) {
     buyInputVal = '0',
     isStableCoin = true,
     expiration = '0',
-    feeRateBps = '0'
+    feeRateBps = '0',
+    nonce = '0',
+    salt,
+    decimals = COLLATERAL_TOKEN_DECIMAL
   } = params;
 
   // Validate required parameters
   if (!maker || !signer || !tokenId || !limitPrice || !shares) {
-    throw new Error('Missing required parameters: maker, signer, tokenId, limitPrice, shares');
+    throw new ValidationError('Missing required parameters: maker, signer, tokenId, limitPrice, shares');
   }
 
   // Validate side
   if (side !== Side.BUY && side !== Side.SELL) {
-    throw new Error(`Invalid side: ${side}. Must be ${Side.BUY} (BUY) or ${Side.SELL} (SELL)`);
+    throw new ValidationError(`Invalid side: ${side}. Must be ${Side.BUY} (BUY) or ${Side.SELL} (SELL)`);
   }
 
   // Validate limit price (0-100, max 1 decimal place)
   const price = parseFloat(limitPrice);
   if (isNaN(price) || price < 0 || price > 100) {
-    throw new Error('Limit price must be between 0 and 100');
+    throw new ValidationError('Limit price must be between 0 and 100');
   }
 
   // Calculate makerAmount and takerAmount
@@ -56,7 +83,8 @@ export function buildOrderParams(params) {
     limitPrice,
     volumeType,
     buyInputVal,
-    isStableCoin
+    isStableCoin,
+    decimals
   });
 
   // Build order parameters
@@ -68,12 +96,148 @@ export function buildOrderParams(params) {
     takerAmount,
     side,
     expiration,
-    feeRateBps
+    feeRateBps,
+    nonce,
+    salt
   };
 
   return orderParams;
 }
 
+/**
+ * Calculate the worst acceptable price of a market order
+ * BUY: price + slippage rounded up, SELL: price - slippage rounded down (1 decimal place,
+ * clamped to MIN_PRICE_TICK-100 so a SELL never gives its shares away for nothing)
+ *
+ * @param {string} price - Reference price (0-100)
+ * @param {string} maxSlippage - Max slippage in price points
+ * @param {number} side - Order side (0: BUY, 1: SELL)
+ * @returns {string} Worst price with 1 decimal place
+ */
+export function calculateWorstPrice(price, maxSlippage, side) {
+  const priceWei = BigInt(toWei(price));
+  const slippageWei = BigInt(toWei(maxSlippage));
+  const tenth = BigInt(toWei(MIN_PRICE_TICK));
+  const max = BigInt(toWei('100'));
+
+  if (slippageWei < 0n) {
+    throw new ValidationError('Max slippage must not be negative');
+  }
+
+  let worst;
+  if (side === Side.BUY) {
+    worst = ((priceWei + slippageWei + tenth - 1n) / tenth) * tenth;
+    worst = worst > max ? max : worst;
+  } else {
+    worst = priceWei > slippageWei ? ((priceWei - slippageWei) / tenth) * tenth : 0n;
+    worst = worst < tenth ? tenth : worst;
+  }
+
+  return Number(fromWei(worst)).toFixed(1);
+}
+
+/**
+ * Build market order parameters for signing
+ *
+ * @param {object} params
+ * @param {string} params.maker - Maker address (Gnosis Safe)
+ * @param {string} params.signer - Signer address (Owner)
+ * @param {string} params.tokenId - Token ID (YES or NO position)
+ * @param {number} params.side - Order side (0: BUY, 1: SELL)
+ * @param {string} [params.price] - Reference price (0-100), required unless priceLimit is given
+ * @param {string} [params.maxSlippage='2'] - Max slippage in price points
+ * @param {string} [params.priceLimit] - Explicit worst price (0-100), overrides price/maxSlippage
+ * @param {string} [params.shares] - Number of shares (volumeType 'Shares')
+ * @param {string} [params.volumeType='Shares'] - Volume type ('Shares' or 'Amount')
+ * @param {string} [params.buyInputVal] - Amount in currency (volumeType 'Amount')
+ * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
+ * @param {string} [params.expiration='0'] - Expiration timestamp
+ * @param {string} [params.feeRateBps='0'] - Fee rate in bps
+ * @param {string} [params.nonce='0'] - Exchange nonce of the maker
+ * @param {string} [params.salt] - Order salt (default: random)
+ * @param {number} [params.decimals=18] - Collateral (and outcome token) decimals
+ * @returns {object} Order parameters ready for signing, plus `worstPrice`
+ */
+export function buildMarketOrderParams(params) {
+  const {
+    maker,
+    signer,
+    tokenId,
+    side,
+    price,
+    maxSlippage = DEFAULT_MAX_SLIPPAGE,
+    priceLimit,
+    shares,
+    volumeType = VolumeType.SHARES,
+    buyInputVal,
+    isStableCoin = true,
+    expiration = '0',
+    feeRateBps = '0',
+    nonce = '0',
+    salt,
+    decimals = COLLATERAL_TOKEN_DECIMAL
+  } = params;
+
+  // Validate required parameters
+  if (!maker || !signer || !tokenId) {
+    throw new ValidationError('Missing required parameters: maker, signer, tokenId');
+  }
+
+  // Validate side
+  if (side !== Side.BUY && side !== Side.SELL) {
+    throw new ValidationError(`Invalid side: ${side}. Must be ${Side.BUY} (BUY) or ${Side.SELL} (SELL)`);
+  }
+
+  // Validate size
+  if (volumeType === VolumeType.SHARES && !(parseFloat(shares) > 0)) {
+    throw new ValidationError('Shares must be greater than 0');
+  }
+  if (volumeType === VolumeType.AMOUNT && !(parseFloat(buyInputVal) > 0)) {
+    throw new ValidationError('buyInputVal must be greater than 0 when volumeType is Amount');
+  }
+
+  // Determine the worst acceptable price
+  const bound = priceLimit !== undefined ? priceLimit : price;
+  const boundValue = parseFloat(bound);
+  if (isNaN(boundValue) || boundValue < 0 || boundValue > 100) {
+    throw new ValidationError('Market orders need a price or priceLimit between 0 and 100');
+  }
+  if (priceLimit !== undefined && !/^\d+(\.\d)?$/.test(String(priceLimit).trim())) {
+    throw new ValidationError(`priceLimit must have at most 1 decimal place, got ${priceLimit}`);
+  }
+  if (priceLimit !== undefined && boundValue < Number(MIN_PRICE_TICK)) {
+    throw new ValidationError(`priceLimit must be at least ${MIN_PRICE_TICK}, got ${priceLimit}`);
+  }
+  const worstPrice = priceLimit !== undefined
+    ? String(priceLimit).trim()
+    : calculateWorstPrice(String(price), String(maxSlippage), side);
+
+  // Calculate makerAmount and takerAmount
+  const { makerAmount, takerAmount } = calculateMarketOrderAmounts({
+    side,
+    worstPrice,
+    volumeType,
+    shares,
+    buyInputVal,
+    isStableCoin,
+    decimals
+  });
+
+  return {
+    maker,
+    signer,
+    tokenId,
+    makerAmount,
+    takerAmount,
+    side,
+    expiration,
+    feeRateBps,
+    nonce,
+    salt,
+    worstPrice
+  };
+}
+
 /**
  * Convert price to API format using high-precision BigInt arithmetic
  * Divides by 100 and rounds to 3 decimal places
@@ -118,6 +282,7 @@ function formatPriceWithBigInt(limitPrice) {
  * @param {number} params.chainId - Chain ID
  * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
  * @param {string} [params.safeRate='0'] - Safe rate
+ * @param {number} [params.tradingMethod=2] - Trading method (1: MARKET, 2: LIMIT)
  * @returns {object} API request payload
  */
 export function buildApiPayload(params) {
@@ -128,7 +293,8 @@ export function buildApiPayload(params) {
     collateralTokenAddr,
     chainId,
     isStableCoin = true,
-    safeRate = '0'
+    safeRate = '0',
+    tradingMethod = TradingMethod.LIMIT
   } = params;
 
   // Calculate price for API (line 320 in readme)
@@ -142,7 +308,7 @@ export function buildApiPayload(params) {
     topicId: parseInt(topicId), // Convert to number
     contractAddress: '',
     price: apiPrice,
-    tradingMethod: 2, // 2 = LIMIT (line 326)
+    tradingMethod, // 1 = MARKET, 2 = LIMIT (line 326)
     salt: signedOrder.salt,
     maker: signedOrder.maker,
     signer: signedOrder.signer,
@@ -166,3 +332,136 @@ export function buildApiPayload(params) {
 
   return payload;
 }
+
+/**
+ * Precision step of a share quantity in wei: the largest power of ten dividing it, at most one share
+ */
+function shareStep(sharesWei) {
+  const one = 10n ** 18n;
+  let step = 1n;
+  while (step < one && sharesWei % (step * 10n) === 0n) {
+    step *= 10n;
+  }
+  return step;
+}
+
+/**
+ * Check that the fields of an API payload agree with each other
+ *
+ * @param {object} payload - Payload from buildApiPayload
+ * @param {object} [options]
+ * @param {boolean} [options.isStableCoin=true] - Whether collateral is stablecoin (enables the price check)
+ * @param {string} [options.priceTolerance='0.001'] - Allowed difference between price and makerAmount/takerAmount
+ * @param {string} [options.volumeType='Shares'] - Volume type of the order. With 'Amount' the amount is the
+ *   user's input rather than shares × price, so the shares may be off by one step of the precision they were given in
+ * @param {boolean} [options.verifySignature=true] - Recover the signer from the signature
+ * @param {object} [options.domain] - EIP-712 domain (default: EIP712_DOMAIN)
+ * @returns {Array<string>} Problems found (empty if consistent)
+ */
+export function checkPayloadConsistency(payload, options = {}) {
+  const {
+    isStableCoin = true,
+    priceTolerance = '0.001',
+    volumeType = VolumeType.SHARES,
+    verifySignature = true,
+    domain = EIP712_DOMAIN
+  } = options;
+
+  const problems = [];
+
+  // Signature fields
+  if (!payload.signature) {
+    problems.push('signature is missing');
+  } else if (!/^0x[0-9a-fA-F]{130}$/.test(payload.signature)) {
+    problems.push('signature is not a 65-byte hex string');
+  }
+  if (payload.sign !== payload.signature) {
+    problems.push('sign does not match signature');
+  }
+
+  // Addresses
+  if (!isValidAddress(payload.maker)) {
+    problems.push(`maker is not a valid address: ${payload.maker}`);
+  }
+  if (!isValidAddress(payload.signer)) {
+    problems.push(`signer is not a valid address: ${payload.signer}`);
+  }
+
+  // Side and signature type
+  if (payload.side !== String(Side.BUY) && payload.side !== String(Side.SELL)) {
+    problems.push(`side must be "${Side.BUY}" or "${Side.SELL}", got ${payload.side}`);
+  }
+  if (payload.signatureType !== String(SignatureType.POLY_GNOSIS_SAFE)) {
+    problems.push(`signatureType must be "${SignatureType.POLY_GNOSIS_SAFE}", got ${payload.signatureType}`);
+  }
+  if (payload.tradingMethod !== TradingMethod.LIMIT && payload.tradingMethod !== TradingMethod.MARKET) {
+    problems.push(`tradingMethod must be ${TradingMethod.MARKET} or ${TradingMethod.LIMIT}, got ${payload.tradingMethod}`);
+  }
+
+  // Expiration
+  if (String(payload.orderExpTime) !== String(payload.expiration)) {
+    problems.push('orderExpTime does not match expiration');
+  }
+
+  // Amounts
+  const amountsValid = ['makerAmount', 'takerAmount'].every(field => {
+    if (!/^\d+$/.test(String(payload[field])) || BigInt(payload[field]) === 0n) {
+      problems.push(`${field} must be a positive integer string, got ${payload[field]}`);
+      return false;
+    }
+    return true;
+  });
+
+  // Price vs amounts: price = amount / shares (stablecoin prices are on the 0-1 scale)
+  if (amountsValid && isStableCoin && (payload.side === '0' || payload.side === '1')) {
+    const makerAmount = BigInt(payload.makerAmount);
+    const takerAmount = BigInt(payload.takerAmount);
+    const [amount, shares] = payload.side === String(Side.BUY)
+      ? [makerAmount, takerAmount]
+      : [takerAmount, makerAmount];
+    const implied = amount * (10n ** 18n) / shares;
+
+    // Range of prices the amounts can stand for once rounding of the shares is allowed for
+    let low = implied;
+    let high = implied;
+    if (volumeType === VolumeType.AMOUNT) {
+      const step = shareStep(shares);
+      low = amount * (10n ** 18n) / (shares + step);
+      high = shares > step ? amount * (10n ** 18n) / (shares - step) : null;
+    }
+
+    let price = null;
+    try {
+      price = BigInt(toWei(String(payload.price)));
+    } catch (error) {
+      problems.push(`price is not a decimal: ${payload.price}`);
+    }
+
+    if (price !== null) {
+      const tolerance = BigInt(toWei(priceTolerance));
+      if (price + tolerance < low || (high !== null && price > high + tolerance)) {
+        problems.push(`price ${payload.price} does not match makerAmount/takerAmount (implied ${fromWei(implied)})`);
+      }
+    }
+  }
+
+  // Signature recovers to the signer
+  if (verifySignature && payload.signature && problems.length === 0 && !verifyOrderSignature(payload, domain)) {
+    problems.push('signature was not produced by signer');
+  }
+
+  return problems;
+}
+
+/**
+ * Throw if an API payload is not consistent (see checkPayloadConsistency)
+ *
+ * @param {object} payload - Payload from buildApiPayload
+ * @param {object} [options] - Options for checkPayloadConsistency
+ */
+export function assertPayloadConsistency(payload, options = {}) {
+  const problems = checkPayloadConsistency(payload, options);
+  if (problems.length > 0) {
+    throw new ValidationError(`Inconsistent order payload: ${problems.join('; ')}`, { payload });
+  }
+}
@@ -0,0 +1,155 @@
+import { Side } from './constants.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Client-side order filters
+ *
+ * The order query endpoint only filters by topic, so side, outcome, status,
+ * price and date filters are applied to the listed orders after fetching.
+ */
+
+/**
+ * Convert a value to a list
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Convert a Date or Unix timestamp (seconds or ms) to Unix seconds
+ *
+ * @param {Date|number|string} value - Timestamp
+ * @returns {number|undefined} Unix seconds, undefined if missing or invalid
+ */
+export function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? undefined : Math.floor(parsed / 1000);
+  }
+  // Values this large are milliseconds
+  return number > 1e11 ? Math.floor(number / 1000) : number;
+}
+
+/**
+ * Creation time of a listed order
+ *
+ * @param {object} order - Order from queryOrders
+ * @returns {number|undefined} Unix seconds
+ */
+export function getOrderTimestamp(order) {
+  return toUnixSeconds(order.createdAt ?? order.createTime ?? order.ctime);
+}
+
+/**
+ * Normalize a side ('BUY', 'sell', 0, 1) to a Side value
+ *
+ * @param {string|number} side - Side
+ * @returns {number} Side.BUY or Side.SELL
+ */
+export function normalizeSide(side) {
+  if (typeof side === 'string' && Side[side.trim().toUpperCase()] !== undefined) {
+    return Side[side.trim().toUpperCase()];
+  }
+  const value = Number(side);
+  if (side === null || side === '' || (value !== Side.BUY && value !== Side.SELL)) {
+    throw new ValidationError(`Invalid side: ${side}. Must be BUY (0) or SELL (1)`);
+  }
+  return value;
+}
+
+/**
+ * Side of a listed order
+ * The listing may report the side as a number (0/1) or a label ('BUY'/'SELL').
+ *
+ * @param {object} order - Order from queryOrders
+ * @returns {number|null} Side.BUY or Side.SELL, null if unreadable
+ */
+export function orderSide(order) {
+  try {
+    return normalizeSide(order.side);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a price bound
+ */
+function parsePrice(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price)) {
+    throw new ValidationError(`${name} must be a number, got ${value}`);
+  }
+  return price;
+}
+
+/**
+ * Build an order predicate from filter options
+ * All given conditions must match. List values match any of their entries.
+ *
+ * @param {object} [filter]
+ * @param {number|string|Array} [filter.side] - Side.BUY/Side.SELL or 'BUY'/'SELL'
+ * @param {string|Array<string>} [filter.outcome] - Outcome label as listed by the API (e.g. 'YES'), case-insensitive
+ * @param {number|Array<number>} [filter.status] - OrderStatus value(s)
+ * @param {string|number} [filter.minPrice] - Lowest price, inclusive, on the scale of order.price
+ * @param {string|number} [filter.maxPrice] - Highest price, inclusive, on the scale of order.price
+ * @param {Date|number} [filter.since] - Created at or after (Date or Unix timestamp)
+ * @param {Date|number} [filter.until] - Created at or before (Date or Unix timestamp)
+ * @returns {Function} (order) => boolean
+ */
+export function createOrderFilter(filter = {}) {
+  const { side, outcome, status, minPrice, maxPrice, since, until } = filter;
+
+  const sides = side === undefined || side === null ? null : toList(side).map(normalizeSide);
+  const outcomes = outcome === undefined || outcome === null
+    ? null
+    : toList(outcome).map(value => String(value).trim().toLowerCase());
+  const statuses = status === undefined || status === null ? null : toList(status).map(Number);
+  const min = parsePrice(minPrice, 'minPrice');
+  const max = parsePrice(maxPrice, 'maxPrice');
+  const from = toUnixSeconds(since);
+  const to = toUnixSeconds(until);
+
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new ValidationError(`minPrice ${minPrice} is above maxPrice ${maxPrice}`);
+  }
+  if ((since !== undefined && from === undefined) || (until !== undefined && to === undefined)) {
+    throw new ValidationError('since and until must be Dates or Unix timestamps');
+  }
+
+  return (order) => {
+    if (sides && !sides.includes(orderSide(order))) {
+      return false;
+    }
+    if (outcomes && !outcomes.includes(String(order.outcome ?? '').trim().toLowerCase())) {
+      return false;
+    }
+    if (statuses && !statuses.includes(Number(order.status))) {
+      return false;
+    }
+    if (min !== undefined || max !== undefined) {
+      const price = Number(order.price);
+      if (!Number.isFinite(price) || (min !== undefined && price < min) || (max !== undefined && price > max)) {
+        return false;
+      }
+    }
+    if (from !== undefined || to !== undefined) {
+      // Orders without a creation time cannot match a date range
+      const createdAt = getOrderTimestamp(order);
+      if (createdAt === undefined || (from !== undefined && createdAt < from) || (to !== undefined && createdAt > to)) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
@@ -0,0 +1,166 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Market outcomes
+ *
+ * A binary topic has two outcomes, YES and NO, each with its own token.
+ * A categorical topic groups several child markets under one parent; every
+ * child is itself a binary market (e.g. "Candidate A", "Candidate B", ...), so
+ * an outcome of the parent is traded through the YES token of its child and
+ * bet against through the child's NO token.
+ *
+ * Outcomes are stored on the topic info as
+ *   binary:      { index, label: 'YES'|'NO', tokenId }
+ *   categorical: { index, label, topicId, questionId, conditionId, tokenId (YES), noTokenId }
+ */
+
+export const OutcomeType = {
+  BINARY: 'binary',
+  CATEGORICAL: 'categorical'
+};
+
+const POSITIONS = ['YES', 'NO'];
+
+/**
+ * Build the outcome list of a normalized topic
+ *
+ * @param {object} topicInfo - Topic info with yesToken/noToken and, for categorical topics, markets
+ * @returns {Array<object>} Outcomes
+ */
+export function buildOutcomes(topicInfo) {
+  if (topicInfo.markets && topicInfo.markets.length > 0) {
+    return topicInfo.markets.map((market, index) => ({
+      index,
+      label: market.title,
+      topicId: market.topicId,
+      questionId: market.questionId,
+      conditionId: market.conditionId,
+      tokenId: market.yesToken,
+      noTokenId: market.noToken
+    }));
+  }
+
+  return [
+    { index: 0, label: 'YES', tokenId: topicInfo.yesToken },
+    { index: 1, label: 'NO', tokenId: topicInfo.noToken }
+  ];
+}
+
+/**
+ * Find an outcome by label (case-insensitive) or index
+ * A label match wins over an index, so a market with an outcome called "2" still works.
+ *
+ * @param {Array<object>} outcomes - Outcomes of a topic
+ * @param {string|number} outcome - Label or zero-based index
+ * @returns {object|undefined} Outcome
+ */
+export function findOutcome(outcomes, outcome) {
+  if (typeof outcome === 'string') {
+    const label = outcome.trim().toLowerCase();
+    const match = outcomes.find(item => String(item.label).trim().toLowerCase() === label);
+    if (match || !/^\d+$/.test(label)) {
+      return match;
+    }
+  }
+
+  const index = Number(outcome);
+  return Number.isInteger(index) ? outcomes.find(item => item.index === index) : undefined;
+}
+
+/**
+ * Resolve an outcome selection to the token to trade
+ *
+ * Binary topics take the outcome ('YES'/'NO' or 0/1) in `outcome` or `position`;
+ * giving both with different values is rejected.
+ * Categorical topics take the outcome (label or index) in `outcome`, and
+ * `position` 'YES' (default) to buy into it or 'NO' to bet against it.
+ *
+ * @param {object} topicInfo - Topic info (see TopicAPI.getTopicMetadata)
+ * @param {object} selection
+ * @param {string|number} [selection.outcome] - Outcome label or index
+ * @param {string} [selection.position] - 'YES' or 'NO'
+ * @returns {object} { tokenId, topicId, questionId, outcome, index, position }
+ */
+export function resolveOutcomeToken(topicInfo, selection) {
+  const { outcome, position } = selection;
+  const topicId = topicInfo.topicId;
+  const outcomes = topicInfo.outcomes || buildOutcomes(topicInfo);
+  const labels = outcomes.map(item => item.label).join(', ');
+
+  if (topicInfo.outcomeType !== OutcomeType.CATEGORICAL) {
+    const selected = outcome ?? position;
+    if (selected === undefined || selected === null || selected === '') {
+      throw new ValidationError(`Outcome is required for topic ${topicId} (${labels})`);
+    }
+
+    const match = findOutcome(outcomes, selected);
+    if (!match) {
+      throw new ValidationError('Position must be "YES" or "NO"');
+    }
+    if (outcome !== undefined && outcome !== null && outcome !== '' &&
+        position !== undefined && position !== null && position !== '' &&
+        findOutcome(outcomes, position) !== match) {
+      throw new ValidationError(`Conflicting outcome "${outcome}" and position "${position}" for binary topic ${topicId}`);
+    }
+    if (!match.tokenId) {
+      throw new ValidationError(`${match.label} token ID not found for topic ${topicId}`);
+    }
+    return {
+      tokenId: match.tokenId,
+      topicId,
+      questionId: topicInfo.questionId,
+      outcome: match.label,
+      index: match.index,
+      position: match.label
+    };
+  }
+
+  if (outcome === undefined || outcome === null || outcome === '') {
+    throw new ValidationError(`Topic ${topicId} has several outcomes, choose one of: ${labels}`);
+  }
+
+  const positionUpper = String(position ?? 'YES').toUpperCase();
+  if (!POSITIONS.includes(positionUpper)) {
+    throw new ValidationError('Position must be "YES" or "NO"');
+  }
+
+  const match = findOutcome(outcomes, outcome);
+  if (!match) {
+    throw new ValidationError(`Unknown outcome "${outcome}" for topic ${topicId}, choose one of: ${labels}`);
+  }
+
+  const tokenId = positionUpper === 'YES' ? match.tokenId : match.noTokenId;
+  if (!tokenId) {
+    throw new ValidationError(`${positionUpper} token ID not found for outcome "${match.label}" of topic ${topicId}`);
+  }
+
+  return {
+    tokenId,
+    topicId: match.topicId ?? topicId,
+    questionId: match.questionId,
+    outcome: match.label,
+    index: match.index,
+    position: positionUpper
+  };
+}
+
+/**
+ * All tradable tokens of a topic
+ *
+ * @param {object} topicInfo - Topic info (see TopicAPI.getTopicMetadata)
+ * @returns {Array<object>} { topicId, outcome, position, tokenId }, tokens without ID are skipped
+ */
+export function listOutcomeTokens(topicInfo) {
+  const outcomes = topicInfo.outcomes || buildOutcomes(topicInfo);
+
+  if (topicInfo.outcomeType !== OutcomeType.CATEGORICAL) {
+    return outcomes
+      .filter(item => item.tokenId)
+      .map(item => ({ topicId: topicInfo.topicId, outcome: item.label, position: item.label, tokenId: item.tokenId }));
+  }
+
+  return outcomes.flatMap(item => [
+    { topicId: item.topicId ?? topicInfo.topicId, outcome: item.label, position: 'YES', tokenId: item.tokenId },
+    { topicId: item.topicId ?? topicInfo.topicId, outcome: item.label, position: 'NO', tokenId: item.noTokenId }
+  ]).filter(item => item.tokenId);
+}
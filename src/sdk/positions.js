@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+import {
+  CONDITIONAL_TOKENS_ABI,
+  EXCHANGE_ABI,
+  OrderStatus,
+  Side,
+  COLLATERAL_TOKEN_DECIMAL
+} from './constants.js';
+import { remainingOrderShares } from './collateral.js';
+import { orderSide } from './orderFilters.js';
+
+const ctfInterface = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+const exchangeInterface = new ethers.Interface(EXCHANGE_ABI);
+
+/**
+ * Outcome token (ERC-1155 conditional token) reads
+ */
+
+/**
+ * Look up the conditional tokens contract used by the exchange
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} exchangeAddress - Exchange address
+ * @returns {Promise<string>} Conditional tokens contract address
+ */
+export async function getConditionalTokensAddress(rpc, exchangeAddress) {
+  const result = await rpc.call({
+    to: exchangeAddress,
+    data: exchangeInterface.encodeFunctionData('getCtf', [])
+  });
+  return exchangeInterface.decodeFunctionResult('getCtf', result)[0];
+}
+
+/**
+ * Read the balances of several outcome tokens for one holder
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} ctfAddress - Conditional tokens contract address
+ * @param {string} owner - Holder address
+ * @param {Array<string>} tokenIds - Token IDs
+ * @returns {Promise<Array<bigint>>} Balances in wei, same order as tokenIds
+ */
+export async function getOutcomeBalances(rpc, ctfAddress, owner, tokenIds) {
+  if (tokenIds.length === 0) {
+    return [];
+  }
+
+  const result = await rpc.call({
+    to: ctfAddress,
+    data: ctfInterface.encodeFunctionData('balanceOfBatch', [
+      tokenIds.map(() => owner),
+      tokenIds.map(id => BigInt(id))
+    ])
+  });
+  return [...ctfInterface.decodeFunctionResult('balanceOfBatch', result)[0]];
+}
+
+/**
+ * Estimate the shares locked by an open SELL order
+ * Only orders that carry a tokenId can be matched to a position.
+ *
+ * @param {object} order - Order from queryOrders
+ * @param {string} tokenId - Token ID of the position
+ * @param {number} [decimals=18] - Outcome token decimals
+ * @returns {bigint|null} Reserved shares in wei, null if the order has no usable size
+ */
+export function reservedSharesForOrder(order, tokenId, decimals = COLLATERAL_TOKEN_DECIMAL) {
+  if (orderSide(order) !== Side.SELL || String(order.tokenId) !== String(tokenId)) {
+    return 0n;
+  }
+  if (order.status !== undefined && Number(order.status) !== OrderStatus.OPEN) {
+    return 0n;
+  }
+
+  return remainingOrderShares(order, decimals);
+}
+
+/**
+ * Whether an order is a SELL the listing gave no tokenId for
+ * Such orders lock shares of some position, but reservedSharesForOrder cannot tell which.
+ *
+ * @param {object} order - Order from queryOrders
+ * @returns {boolean} True if the order's reserved shares cannot be attributed
+ */
+export function isUnattributedSellOrder(order) {
+  const tokenId = order.tokenId;
+  return orderSide(order) === Side.SELL && (tokenId === undefined || tokenId === null || tokenId === '');
+}
+
+/**
+ * Pick the average cost from an API position entry
+ *
+ * @param {object} [entry] - API position entry
+ * @returns {string|null} Average cost, or null if the API does not expose it
+ */
+export function extractAverageCost(entry) {
+  if (!entry) {
+    return null;
+  }
+  const value = entry.avgPrice ?? entry.averagePrice ?? entry.avgCost ?? entry.averageCost;
+  return value === undefined || value === null ? null : String(value);
+}
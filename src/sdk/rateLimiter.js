@@ -0,0 +1,233 @@
+/**
+ * Client-side rate limiting
+ *
+ * Requests are queued per budget (reads and writes are limited separately) and
+ * released by a token bucket, so tight loops wait instead of being throttled by
+ * the API. Within a budget, higher priority requests (lower number) run first;
+ * cancels use RequestPriority.HIGH so they overtake queued new orders.
+ */
+
+export const RequestPriority = {
+  HIGH: 0,   // Cancels
+  NORMAL: 1, // Everything else
+  LOW: 2     // Background work, e.g. expiry sweeps
+};
+
+export const RateLimitBudget = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
+// Default budgets. The API does not publish its limits, so these are
+// conservative; override them in the SDK config if your account allows more.
+export const DEFAULT_RATE_LIMITS = {
+  [RateLimitBudget.READ]: { capacity: 20, refillPerSecond: 10 },
+  [RateLimitBudget.WRITE]: { capacity: 10, refillPerSecond: 5 }
+};
+
+/**
+ * Token bucket
+ * Holds up to `capacity` tokens and refills `refillPerSecond` tokens per second.
+ */
+export class TokenBucket {
+  /**
+   * @param {object} params
+   * @param {number} params.capacity - Max tokens (burst size)
+   * @param {number} params.refillPerSecond - Tokens added per second
+   * @param {Function} [params.now=Date.now] - Clock
+   */
+  constructor(params) {
+    const { capacity, refillPerSecond, now = Date.now } = params;
+
+    if (!(capacity >= 1)) {
+      throw new Error(`Token bucket capacity must be at least 1, got ${capacity}`);
+    }
+    if (!(refillPerSecond > 0)) {
+      throw new Error(`Token bucket refill rate must be positive, got ${refillPerSecond}`);
+    }
+
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.lastRefill = now();
+  }
+
+  /**
+   * Add the tokens accumulated since the last refill
+   */
+  refill() {
+    const now = this.now();
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take one token if available
+   * @returns {boolean} Whether a token was taken
+   */
+  tryTake() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Time until one token is available
+   * @returns {number} Delay in ms
+   */
+  timeUntilAvailable() {
+    this.refill();
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+}
+
+/**
+ * Empty metrics of one budget
+ */
+function createMetrics() {
+  return {
+    queueDepth: 0,
+    maxQueueDepth: 0,
+    processed: 0,
+    totalWaitMs: 0,
+    maxWaitMs: 0,
+    lastWaitMs: 0
+  };
+}
+
+/**
+ * Request scheduler with one token bucket per budget
+ */
+export class RateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.read] - Read budget { capacity, refillPerSecond }
+   * @param {object} [options.write] - Write budget { capacity, refillPerSecond }
+   * @param {Function} [options.now=Date.now] - Clock
+   */
+  constructor(options = {}) {
+    const { now = Date.now } = options;
+
+    this.now = now;
+    this.buckets = {};
+    this.queues = {};
+    this.timers = {};
+    this.metrics = {};
+
+    for (const budget of Object.values(RateLimitBudget)) {
+      const limits = { ...DEFAULT_RATE_LIMITS[budget], ...(options[budget] || {}) };
+      this.buckets[budget] = new TokenBucket({ ...limits, now });
+      this.queues[budget] = [];
+      this.timers[budget] = null;
+      this.metrics[budget] = createMetrics();
+    }
+  }
+
+  /**
+   * Queue a request and run it once its budget allows
+   *
+   * @param {Function} fn - Async function performing the request
+   * @param {object} [options]
+   * @param {string} [options.budget='read'] - RateLimitBudget value
+   * @param {number} [options.priority=RequestPriority.NORMAL] - Lower runs first
+   * @returns {Promise<any>} Result of fn
+   */
+  schedule(fn, options = {}) {
+    const { budget = RateLimitBudget.READ, priority = RequestPriority.NORMAL } = options;
+    const queue = this.queues[budget];
+    if (!queue) {
+      throw new Error(`Unknown rate limit budget: ${budget}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        fn,
+        priority,
+        enqueuedAt: this.now(),
+        resolve,
+        reject
+      };
+
+      // Keep the queue ordered by priority, FIFO within a priority
+      const index = queue.findIndex(queued => queued.priority > priority);
+      if (index === -1) {
+        queue.push(job);
+      } else {
+        queue.splice(index, 0, job);
+      }
+
+      const metrics = this.metrics[budget];
+      metrics.queueDepth = queue.length;
+      metrics.maxQueueDepth = Math.max(metrics.maxQueueDepth, queue.length);
+
+      this.drain(budget);
+    });
+  }
+
+  /**
+   * Start as many queued requests as the bucket allows, then wait for the next token
+   * @param {string} budget - RateLimitBudget value
+   */
+  drain(budget) {
+    const queue = this.queues[budget];
+    const bucket = this.buckets[budget];
+    const metrics = this.metrics[budget];
+
+    while (queue.length > 0 && bucket.tryTake()) {
+      const job = queue.shift();
+      const waited = this.now() - job.enqueuedAt;
+
+      metrics.processed++;
+      metrics.totalWaitMs += waited;
+      metrics.maxWaitMs = Math.max(metrics.maxWaitMs, waited);
+      metrics.lastWaitMs = waited;
+
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject);
+    }
+    metrics.queueDepth = queue.length;
+
+    if (queue.length > 0 && !this.timers[budget]) {
+      this.timers[budget] = setTimeout(() => {
+        this.timers[budget] = null;
+        this.drain(budget);
+      }, bucket.timeUntilAvailable());
+    }
+  }
+
+  /**
+   * Queue depth and wait time per budget
+   * @returns {object} { read, write } each with queueDepth, maxQueueDepth, processed,
+   *   totalWaitMs, maxWaitMs, lastWaitMs and avgWaitMs
+   */
+  getMetrics() {
+    const result = {};
+    for (const [budget, metrics] of Object.entries(this.metrics)) {
+      result[budget] = {
+        ...metrics,
+        avgWaitMs: metrics.processed > 0 ? metrics.totalWaitMs / metrics.processed : 0
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Reset counters (queue depth is kept)
+   */
+  resetMetrics() {
+    for (const budget of Object.keys(this.metrics)) {
+      this.metrics[budget] = { ...createMetrics(), queueDepth: this.queues[budget].length };
+    }
+  }
+}
+
+export default RateLimiter;
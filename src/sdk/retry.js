@@ -0,0 +1,164 @@
+import { OpinionError, RateLimitError } from './errors.js';
+
+/**
+ * Retry policy
+ *
+ * Reads are retried with exponential backoff and jitter. Writes are not retried
+ * blindly: an order submission that failed after it may have reached the API is
+ * only resubmitted once the order is confirmed missing (see
+ * OpinionTradeSDK.submitOrder).
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,       // Retries after the first attempt
+  minDelay: 250,    // Delay before the first retry, in ms
+  maxDelay: 5000,   // Upper bound of a single delay, in ms
+  factor: 2,        // Backoff multiplier
+  jitter: true      // Randomize delays so clients do not retry in lockstep
+};
+
+// Transport error codes meaning the request never reached the server
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Transport error codes meaning the connection failed, possibly after sending
+const NETWORK_CODES = new Set([
+  ...NOT_SENT_CODES,
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'ERR_NETWORK'
+]);
+
+/**
+ * Resolve retry options against the defaults
+ *
+ * @param {object|boolean} [options] - Policy fields, `false` to disable retries
+ * @returns {object} Retry policy
+ */
+export function resolveRetryPolicy(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  }
+  return { ...DEFAULT_RETRY_POLICY, ...(options || {}) };
+}
+
+/**
+ * Whether an error is a network failure or timeout (no HTTP response)
+ *
+ * @param {Error} error - Error
+ * @returns {boolean} True for network errors
+ */
+export function isNetworkError(error) {
+  if (!error || error instanceof OpinionError || error.response) {
+    return false;
+  }
+  if (NETWORK_CODES.has(error.code)) {
+    return true;
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return true;
+  }
+  // undici reports network failures as TypeError('fetch failed')
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message);
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * Network errors, rate limits and 5xx responses are transient; validation,
+ * auth, signing and balance errors are not.
+ *
+ * @param {Error} error - Error
+ * @returns {boolean} True if the request may succeed when retried
+ */
+export function isRetryableError(error) {
+  if (error instanceof RateLimitError) {
+    return true;
+  }
+  if (error instanceof OpinionError) {
+    return error.status !== undefined && error.status >= 500;
+  }
+  return isNetworkError(error);
+}
+
+/**
+ * Whether a failed write may still have been applied by the API
+ * True for timeouts, dropped connections and 5xx responses.
+ *
+ * @param {Error} error - Error
+ * @returns {boolean} True if the outcome is unknown
+ */
+export function isAmbiguousError(error) {
+  if (error instanceof RateLimitError) {
+    return false;
+  }
+  if (error instanceof OpinionError) {
+    return error.status !== undefined && error.status >= 500;
+  }
+  return isNetworkError(error) && !NOT_SENT_CODES.has(error.code);
+}
+
+/**
+ * Delay before a retry
+ * Rate limit errors wait at least their `retryAfter`.
+ *
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {object} policy - Retry policy
+ * @param {Error} [error] - Error that triggered the retry
+ * @returns {number} Delay in ms
+ */
+export function computeRetryDelay(attempt, policy, error) {
+  const base = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** attempt);
+  // Equal jitter: keep half the delay, randomize the other half
+  const delay = Math.round(policy.jitter ? base / 2 + Math.random() * (base / 2) : base);
+
+  if (error && error.retryAfter !== undefined) {
+    return Math.max(delay, error.retryAfter);
+  }
+  return delay;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async function, retrying transient failures
+ *
+ * @param {Function} fn - Async (attempt) => result
+ * @param {object} [options]
+ * @param {object} [options.policy] - Retry policy (default: DEFAULT_RETRY_POLICY)
+ * @param {Function} [options.shouldRetry=isRetryableError] - (error, attempt) => boolean
+ * @param {Function} [options.onRetry] - Called with ({ attempt, delay, error }) before waiting
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    policy = DEFAULT_RETRY_POLICY,
+    shouldRetry = isRetryableError,
+    onRetry
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= policy.retries || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+
+      const delay = computeRetryDelay(attempt, policy, error);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, delay, error });
+      }
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { HttpTransport } from './transport.js';
+
+/**
+ * Minimal JSON-RPC client for on-chain reads
+ * Requests go through HttpTransport, so a local JSON-RPC stub can be used in tests
+ */
+export class JsonRpcClient {
+  /**
+   * @param {object} params
+   * @param {string} params.url - JSON-RPC endpoint
+   * @param {HttpTransport} [params.transport] - HTTP transport (default: new HttpTransport)
+   */
+  constructor(params) {
+    const { url, transport = new HttpTransport() } = params;
+
+    if (!url) {
+      throw new Error('RPC url is required');
+    }
+
+    this.url = url;
+    this.transport = transport;
+    this.requestId = 0;
+  }
+
+  /**
+   * Send a JSON-RPC request
+   *
+   * @param {string} method - RPC method
+   * @param {Array} [params] - RPC params
+   * @returns {Promise<any>} Result
+   */
+  async request(method, params = []) {
+    const response = await this.transport.post(this.url, {
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    });
+
+    if (!response) {
+      throw new Error(`RPC ${method}: empty response`);
+    }
+    if (response.error) {
+      const message = response.error.message || JSON.stringify(response.error);
+      throw new Error(`RPC ${method} error: ${message}`);
+    }
+    return response.result;
+  }
+
+  /**
+   * Execute a read-only contract call
+   *
+   * @param {object} tx - { to, data }
+   * @param {string} [block='latest'] - Block tag
+   * @returns {Promise<string>} Hex result
+   */
+  async call(tx, block = 'latest') {
+    return this.request('eth_call', [{ to: tx.to, data: tx.data }, block]);
+  }
+
+  /**
+   * Get the bytecode at an address
+   *
+   * @param {string} address - Address
+   * @returns {Promise<string>} Hex bytecode ('0x' for accounts without code)
+   */
+  async getCode(address) {
+    return this.request('eth_getCode', [address, 'latest']);
+  }
+
+  /**
+   * Get the chain ID of the node
+   *
+   * @returns {Promise<number>} Chain ID
+   */
+  async getChainId() {
+    return Number(await this.request('eth_chainId'));
+  }
+}
+
+export default JsonRpcClient;
@@ -0,0 +1,218 @@
+import { ethers } from 'ethers';
+import { SAFE_ABI, SAFE_TX_TYPES, EIP1271_MAGIC_VALUE, ZERO_ADDRESS } from './constants.js';
+
+const safeInterface = new ethers.Interface(SAFE_ABI);
+
+/**
+ * Helpers for the maker's Gnosis Safe
+ */
+
+/**
+ * Read the owners of a Safe
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} safeAddress - Safe address
+ * @returns {Promise<Array<string>>} Owner addresses (lowercase)
+ */
+export async function getSafeOwners(rpc, safeAddress) {
+  const result = await rpc.call({
+    to: safeAddress,
+    data: safeInterface.encodeFunctionData('getOwners', [])
+  });
+  const [owners] = safeInterface.decodeFunctionResult('getOwners', result);
+  return owners.map(owner => owner.toLowerCase());
+}
+
+/**
+ * Read the signature threshold of a Safe
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} safeAddress - Safe address
+ * @returns {Promise<number>} Threshold
+ */
+export async function getSafeThreshold(rpc, safeAddress) {
+  const result = await rpc.call({
+    to: safeAddress,
+    data: safeInterface.encodeFunctionData('getThreshold', [])
+  });
+  const [threshold] = safeInterface.decodeFunctionResult('getThreshold', result);
+  return Number(threshold);
+}
+
+/**
+ * Read the current nonce of a Safe
+ *
+ * @param {JsonRpcClient} rpc - JSON-RPC client
+ * @param {string} safeAddress - Safe address
+ * @returns {Promise<bigint>} Safe nonce
+ */
+export async function getSafeNonce(rpc, safeAddress) {
+  const result = await rpc.call({
+    to: safeAddress,
+    data: safeInterface.encodeFunctionData('nonce', [])
+  });
+  return safeInterface.decodeFunctionResult('nonce', result)[0];
+}
+
+/**
+ * Wrap a call into a signed Safe execTransaction
+ * The signer must be an owner of a Safe with threshold 1. The returned request
+ * can be sent by any account that pays the gas, usually the signer itself.
+ *
+ * @param {object} params
+ * @param {JsonRpcClient} params.rpc - JSON-RPC client
+ * @param {string} params.safeAddress - Safe address
+ * @param {number} params.chainId - Chain ID
+ * @param {object} params.signer - Signer with signTypedData(domain, types, value)
+ * @param {object} params.tx - Inner call { to, data, value }
+ * @param {bigint|number} [params.nonce] - Safe nonce (default: read from chain)
+ * @returns {Promise<object>} { to, data, value, safeTx, signature }
+ */
+export async function buildSafeExecTransaction(params) {
+  const { rpc, safeAddress, chainId, signer, tx } = params;
+  const nonce = params.nonce !== undefined ? BigInt(params.nonce) : await getSafeNonce(rpc, safeAddress);
+
+  const safeTx = {
+    to: tx.to,
+    value: BigInt(tx.value || 0),
+    data: tx.data,
+    operation: 0, // CALL
+    safeTxGas: 0n,
+    baseGas: 0n,
+    gasPrice: 0n,
+    gasToken: ZERO_ADDRESS,
+    refundReceiver: ZERO_ADDRESS,
+    nonce
+  };
+
+  // A 65-byte ECDSA signature over the SafeTx typed data is a valid owner signature
+  const signature = await signer.signTypedData(
+    { chainId, verifyingContract: safeAddress },
+    SAFE_TX_TYPES,
+    safeTx
+  );
+
+  const data = safeInterface.encodeFunctionData('execTransaction', [
+    safeTx.to,
+    safeTx.value,
+    safeTx.data,
+    safeTx.operation,
+    safeTx.safeTxGas,
+    safeTx.baseGas,
+    safeTx.gasPrice,
+    safeTx.gasToken,
+    safeTx.refundReceiver,
+    signature
+  ]);
+
+  return {
+    to: safeAddress,
+    data,
+    value: '0',
+    safeTx: { ...safeTx, value: safeTx.value.toString(), nonce: nonce.toString(), safeTxGas: '0', baseGas: '0', gasPrice: '0' },
+    signature
+  };
+}
+
+/**
+ * Ask the Safe whether a signer signature is valid for it (EIP-1271)
+ * The signer signs the Safe's SafeMessage typed data for a random probe hash;
+ * only meaningful when the threshold is 1.
+ *
+ * @param {object} params
+ * @param {JsonRpcClient} params.rpc - JSON-RPC client
+ * @param {string} params.safeAddress - Safe address
+ * @param {object} params.signer - Signer with signTypedData(domain, types, value)
+ * @param {number} params.chainId - Chain ID
+ * @returns {Promise<boolean>} Whether the Safe returned the EIP-1271 magic value
+ */
+export async function checkSafeSignature(params) {
+  const { rpc, safeAddress, signer, chainId } = params;
+
+  const dataHash = ethers.hexlify(ethers.randomBytes(32));
+  const message = ethers.AbiCoder.defaultAbiCoder().encode(['bytes32'], [dataHash]);
+  const signature = await signer.signTypedData(
+    { chainId, verifyingContract: safeAddress },
+    { SafeMessage: [{ name: 'message', type: 'bytes' }] },
+    { message }
+  );
+
+  try {
+    const result = await rpc.call({
+      to: safeAddress,
+      data: safeInterface.encodeFunctionData('isValidSignature', [dataHash, signature])
+    });
+    const [magic] = safeInterface.decodeFunctionResult('isValidSignature', result);
+    return magic.toLowerCase() === EIP1271_MAGIC_VALUE;
+  } catch (error) {
+    // Safes revert on invalid signatures
+    return false;
+  }
+}
+
+/**
+ * Validate that a signer controls a Safe
+ *
+ * @param {object} params
+ * @param {JsonRpcClient} params.rpc - JSON-RPC client
+ * @param {string} params.safeAddress - Safe (maker) address
+ * @param {string} params.signerAddress - Signer address
+ * @param {number} params.chainId - Expected chain ID
+ * @param {object} [params.signer] - Signer, required when checkSignature is set
+ * @param {boolean} [params.checkSignature=false] - Also run the EIP-1271 check
+ * @returns {Promise<object>} { valid, problems, owners, threshold, isOwner, signatureValid }
+ */
+export async function validateSafeAccount(params) {
+  const {
+    rpc,
+    safeAddress,
+    signerAddress,
+    chainId,
+    signer,
+    checkSignature = false
+  } = params;
+
+  const problems = [];
+  const report = {
+    maker: safeAddress.toLowerCase(),
+    signer: signerAddress.toLowerCase(),
+    owners: [],
+    threshold: null,
+    isOwner: false,
+    signatureValid: null
+  };
+
+  const rpcChainId = await rpc.getChainId();
+  if (rpcChainId !== Number(chainId)) {
+    problems.push(`RPC chain ID ${rpcChainId} does not match SDK chain ID ${chainId}`);
+  }
+
+  const code = await rpc.getCode(safeAddress);
+  if (!code || code === '0x') {
+    problems.push(`No contract deployed at maker address ${safeAddress}`);
+    return { ...report, valid: false, problems };
+  }
+
+  report.owners = await getSafeOwners(rpc, safeAddress);
+  report.threshold = await getSafeThreshold(rpc, safeAddress);
+  report.isOwner = report.owners.includes(report.signer);
+
+  if (!report.isOwner) {
+    problems.push(`Signer ${signerAddress} is not an owner of Safe ${safeAddress}`);
+  }
+  if (report.threshold > 1) {
+    problems.push(`Safe threshold is ${report.threshold}, a single owner signature is not enough`);
+  }
+
+  if (checkSignature) {
+    if (!signer) {
+      throw new Error('signer is required for the signature check');
+    }
+    report.signatureValid = await checkSafeSignature({ rpc, safeAddress, signer, chainId });
+    if (!report.signatureValid) {
+      problems.push('Safe rejected a signature from the signer (EIP-1271)');
+    }
+  }
+
+  return { ...report, valid: problems.length === 0, problems };
+}
@@ -6,6 +6,7 @@ import {
   ZERO_ADDRESS
 } from './constants.js';
 import { generateSalt, encodeGnosisSafeSignature } from './utils.js';
+import { SigningError } from './errors.js';
 
 /**
  * Create an order object for signing
@@ -19,6 +20,8 @@ import { generateSalt, encodeGnosisSafeSignature } from './utils.js';
  * @param {number} params.side - Order side (0: BUY, 1: SELL)
  * @param {string} params.expiration - Expiration timestamp (default: '0')
  * @param {string} params.feeRateBps - Fee rate in bps (default: '0')
+ * @param {string} [params.nonce='0'] - Exchange nonce of the maker
+ * @param {string} [params.salt] - Order salt (default: random, see generateSalt)
  * @returns {object} Order object ready for signing
  */
 export function createOrder(params) {
@@ -30,12 +33,11 @@ export function createOrder(params) {
     takerAmount,
     side,
     expiration = '0',
-    feeRateBps = '0'
+    feeRateBps = '0',
+    nonce = '0',
+    salt = generateSalt()
   } = params;
 
-  // Generate salt (timestamp in milliseconds)
-  const salt = generateSalt();
-
   // Create order object matching the EIP-712 structure
   const order = {
     salt,
@@ -46,7 +48,7 @@ export function createOrder(params) {
     makerAmount,
     takerAmount,
     expiration,
-    nonce: '0',
+    nonce: String(nonce),
     feeRateBps,
     side,
     signatureType: SignatureType.POLY_GNOSIS_SAFE
@@ -58,16 +60,21 @@ export function createOrder(params) {
 /**
  * Sign an order using EIP-712
  *
- * @param {ethers.Wallet} wallet - Ethers wallet instance
+ * @param {object} signer - Ethers wallet or any signer with signTypedData(domain, types, value)
  * @param {object} order - Order object to sign
+ * @param {object} [domain] - EIP-712 domain (default: mainnet EIP712_DOMAIN, see buildEip712Domain)
  * @returns {Promise<object>} Signed order with signature
  */
-export async function signOrder(wallet, order) {
+export async function signOrder(signer, order, domain = EIP712_DOMAIN) {
+  if (!signer || typeof signer.signTypedData !== 'function') {
+    throw new SigningError('Failed to sign order: signer does not implement signTypedData');
+  }
+
   try {
     // Sign the typed data using EIP-712
     // This corresponds to the SignTypeDataV4 function in the original code (lines 170-203 in readme)
-    const signature = await wallet.signTypedData(
-      EIP712_DOMAIN,
+    const signature = await signer.signTypedData(
+      domain,
       { Order: EIP712_TYPES.Order },
       order
     );
@@ -79,23 +86,77 @@ export async function signOrder(wallet, order) {
       signature
     };
   } catch (error) {
-    throw new Error(`Failed to sign order: ${error.message}`);
+    throw new SigningError(`Failed to sign order: ${error.message}`, { payload: order, cause: error });
   }
 }
 
 /**
  * Build and sign a complete order
  *
- * @param {ethers.Wallet} wallet - Ethers wallet instance
+ * @param {object} signer - Ethers wallet or any signer with signTypedData(domain, types, value)
  * @param {object} orderParams - Order parameters
+ * @param {object} [domain] - EIP-712 domain (default: mainnet EIP712_DOMAIN)
  * @returns {Promise<object>} Signed order object
  */
-export async function buildSignedOrder(wallet, orderParams) {
+export async function buildSignedOrder(signer, orderParams, domain = EIP712_DOMAIN) {
   // Create the order structure
   const order = createOrder(orderParams);
 
   // Sign the order
-  const signedOrder = await signOrder(wallet, order);
+  const signedOrder = await signOrder(signer, order, domain);
 
   return signedOrder;
 }
+
+/**
+ * Extract the EIP-712 order fields from a signed order or API payload
+ *
+ * @param {object} order - Signed order or API payload
+ * @returns {object} Typed data value
+ */
+function toTypedOrder(order) {
+  const value = {};
+  for (const { name } of EIP712_TYPES.Order) {
+    if (order[name] === undefined || order[name] === null) {
+      throw new Error(`Order is missing field: ${name}`);
+    }
+    value[name] = order[name];
+  }
+  return value;
+}
+
+/**
+ * Recover the address that signed an order
+ *
+ * @param {object} signedOrder - Signed order or API payload (with `signature`)
+ * @param {object} [domain] - EIP-712 domain (default: EIP712_DOMAIN)
+ * @returns {string} Recovered signer address (checksummed)
+ */
+export function recoverOrderSigner(signedOrder, domain = EIP712_DOMAIN) {
+  if (!signedOrder || !signedOrder.signature) {
+    throw new SigningError('Order has no signature');
+  }
+
+  return ethers.verifyTypedData(
+    domain,
+    { Order: EIP712_TYPES.Order },
+    toTypedOrder(signedOrder),
+    signedOrder.signature
+  );
+}
+
+/**
+ * Verify that an order was signed by its `signer` field
+ *
+ * @param {object} signedOrder - Signed order or API payload (with `signature`)
+ * @param {object} [domain] - EIP-712 domain (default: EIP712_DOMAIN)
+ * @returns {boolean} Whether the signature matches the signer
+ */
+export function verifyOrderSignature(signedOrder, domain = EIP712_DOMAIN) {
+  try {
+    const recovered = recoverOrderSigner(signedOrder, domain);
+    return recovered.toLowerCase() === String(signedOrder.signer).toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { HttpTransport } from './transport.js';
+
+/**
+ * Signer backends
+ *
+ * The SDK signs orders with any object implementing the ethers Signer subset:
+ *   getAddress() => Promise<string>
+ *   signTypedData(domain, types, value) => Promise<string>
+ * An ethers Wallet or JsonRpcSigner works as is. The helpers below adapt
+ * callbacks and remote JSON-RPC signers to the same interface.
+ * Wallet login (auth.js) additionally needs signMessage(message) => Promise<string>.
+ */
+
+/**
+ * Check that an object can be used as an order signer
+ *
+ * @param {object} signer - Signer candidate
+ * @returns {object} The same signer
+ */
+export function assertSigner(signer) {
+  if (!signer || typeof signer.getAddress !== 'function' || typeof signer.signTypedData !== 'function') {
+    throw new Error('Signer must implement getAddress() and signTypedData(domain, types, value)');
+  }
+  return signer;
+}
+
+/**
+ * Create a signer from a private key
+ *
+ * @param {string} privateKey - Private key
+ * @returns {ethers.Wallet} Wallet signer
+ */
+export function createPrivateKeySigner(privateKey) {
+  return new ethers.Wallet(privateKey);
+}
+
+/**
+ * Create a signer backed by a callback, e.g. a KMS or HSM client
+ *
+ * @param {object} params
+ * @param {string} params.address - Signer address
+ * @param {Function} params.signTypedData - Async (domain, types, value) => signature
+ * @param {Function} [params.signMessage] - Async (message) => signature, needed for wallet login
+ * @returns {object} Signer
+ */
+export function createCallbackSigner(params) {
+  const { address, signTypedData, signMessage } = params;
+
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid signer address: ${address}`);
+  }
+  if (typeof signTypedData !== 'function') {
+    throw new Error('signTypedData callback is required');
+  }
+
+  const signer = {
+    address,
+    async getAddress() {
+      return address;
+    },
+    async signTypedData(domain, types, value) {
+      return signTypedData(domain, types, value);
+    }
+  };
+
+  if (typeof signMessage === 'function') {
+    signer.signMessage = async (message) => signMessage(message);
+  }
+  return signer;
+}
+
+/**
+ * Create a signer that delegates to a remote JSON-RPC endpoint via eth_signTypedData_v4
+ * (e.g. a remote signer service or a node with an unlocked account)
+ *
+ * @param {object} params
+ * @param {string} params.url - JSON-RPC endpoint
+ * @param {string} params.address - Account to sign with
+ * @param {HttpTransport} [params.transport] - HTTP transport (default: new HttpTransport)
+ * @returns {object} Signer
+ */
+export function createJsonRpcSigner(params) {
+  const { url, address, transport = new HttpTransport() } = params;
+
+  if (!url) {
+    throw new Error('JSON-RPC url is required');
+  }
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid signer address: ${address}`);
+  }
+
+  let requestId = 0;
+
+  const call = async (method, rpcParams) => {
+    const response = await transport.post(url, {
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method,
+      params: rpcParams
+    });
+
+    if (response.error) {
+      throw new Error(`Remote signer error: ${response.error.message || JSON.stringify(response.error)}`);
+    }
+    return response.result;
+  };
+
+  return {
+    address,
+    async getAddress() {
+      return address;
+    },
+    async signTypedData(domain, types, value) {
+      // eth_signTypedData_v4 expects the full typed data including EIP712Domain
+      const typedData = ethers.TypedDataEncoder.getPayload(domain, types, value);
+      return call('eth_signTypedData_v4', [address, JSON.stringify(typedData)]);
+    },
+    async signMessage(message) {
+      // personal_sign takes the message as hex-encoded bytes
+      return call('personal_sign', [ethers.hexlify(ethers.toUtf8Bytes(message)), address]);
+    }
+  };
+}
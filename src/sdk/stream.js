@@ -0,0 +1,424 @@
+import { EventEmitter } from 'events';
+import { WS_URL, OrderStatus } from './constants.js';
+
+/**
+ * Real-time streaming client
+ *
+ * Wire protocol (JSON text frames):
+ *   client -> server  { action: 'SUBSCRIBE' | 'UNSUBSCRIBE', channel, ...params }
+ *   server -> client  { channel, seq, data }
+ * `seq` increases by one per message of a subscription; a jump is reported as a gap.
+ *
+ * The frame layout and the default URL (WS_URL) are not verified against the live
+ * API; pass `url` and adapt the frames if the server speaks a different protocol.
+ *
+ * Events:
+ *   'open', 'close', 'error', 'reconnect' ({ attempt })
+ *   'orderbook' (data, meta)  - order book delta
+ *   'trade' (data, meta)      - public trade
+ *   'order' (data, meta)      - own order update
+ *   'orderStatus' ({ orderId, previousStatus, status, order }) - own order status transition
+ *   'gap' ({ key, channel, expected, received }) - missing sequence numbers
+ *   'message' (message)       - every parsed message
+ */
+
+export const StreamChannel = {
+  ORDER_BOOK: 'orderbook',
+  TRADES: 'trades',
+  ORDERS: 'orders'
+};
+
+// Channel name -> event name emitted for its messages
+const CHANNEL_EVENTS = {
+  [StreamChannel.ORDER_BOOK]: 'orderbook',
+  [StreamChannel.TRADES]: 'trade',
+  [StreamChannel.ORDERS]: 'order'
+};
+
+// WebSocket readyState OPEN
+const WS_OPEN = 1;
+
+/**
+ * Build the key identifying a subscription
+ * @param {string} channel - Channel name
+ * @param {object} params - Subscription parameters
+ * @returns {string} Subscription key
+ */
+function subscriptionKey(channel, params = {}) {
+  const parts = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${params[key]}`);
+  return [channel, ...parts].join(':');
+}
+
+/**
+ * WebSocket subscription client with automatic reconnect and resubscribe
+ */
+export class OpinionStream extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - WebSocket URL
+   * @param {Function} [options.WebSocket] - WebSocket constructor (default: globalThis.WebSocket, or pass `ws`)
+   * @param {string|Function} [options.authorizationToken] - Token for private channels, or a
+   *   (possibly async) function returning the current token, called for every subscribe frame
+   * @param {boolean} [options.reconnect=true] - Reconnect automatically when the socket drops
+   * @param {number} [options.reconnectDelay=1000] - Initial reconnect delay in ms
+   * @param {number} [options.maxReconnectDelay=30000] - Max reconnect delay in ms
+   * @param {number} [options.maxReconnectAttempts=Infinity] - Give up after this many attempts
+   */
+  constructor(options = {}) {
+    super();
+
+    const {
+      url = WS_URL,
+      WebSocket: WebSocketImpl = globalThis.WebSocket,
+      authorizationToken,
+      reconnect = true,
+      reconnectDelay = 1000,
+      maxReconnectDelay = 30000,
+      maxReconnectAttempts = Infinity
+    } = options;
+
+    if (typeof WebSocketImpl !== 'function') {
+      // Node.js has a global WebSocket from version 22 on
+      throw new Error(`WebSocket implementation is not available in Node.js ${process.version}, pass options.WebSocket (e.g. the "ws" package)`);
+    }
+
+    this.url = url;
+    this.WebSocket = WebSocketImpl;
+    this.authorizationToken = authorizationToken;
+    this.reconnect = reconnect;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+
+    this.socket = null;
+    this.subscriptions = new Map(); // key -> { channel, params }
+    this.sequences = new Map();     // key -> last seq
+    this.orderStatuses = new Map(); // orderId -> last status
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.closedByUser = false;
+    this.hasConnected = false;      // auto-reconnect starts after the first successful open
+  }
+
+  /**
+   * Whether the socket is open
+   */
+  isConnected() {
+    return Boolean(this.socket && this.socket.readyState === WS_OPEN);
+  }
+
+  /**
+   * Open the connection, closing the current socket if there is one
+   * A failed first connection rejects without reconnecting; once a connection
+   * has opened, dropped sockets are reconnected automatically.
+   *
+   * @returns {Promise<void>} Resolves once the socket is open
+   */
+  connect() {
+    this.closedByUser = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const previous = this.socket;
+      this.socket = null;
+      previous.close();
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url);
+      this.socket = socket;
+      let opened = false;
+      // Events of a replaced socket must not touch the current one
+      const isCurrent = () => this.socket === socket;
+
+      socket.onopen = () => {
+        if (!isCurrent()) {
+          socket.close();
+          reject(new Error('WebSocket connection was replaced'));
+          return;
+        }
+        opened = true;
+        this.hasConnected = true;
+        const attempt = this.reconnectAttempts;
+        this.reconnectAttempts = 0;
+        this.resubscribe();
+        this.emit('open');
+        if (attempt > 0) {
+          this.emit('reconnect', { attempt });
+        }
+        resolve();
+      };
+
+      socket.onmessage = (event) => {
+        if (isCurrent()) {
+          this.handleMessage(event.data);
+        }
+      };
+
+      socket.onerror = (event) => {
+        const error = event && event.error ? event.error : new Error('WebSocket error');
+        if (!opened) {
+          reject(error);
+        }
+        if (isCurrent() && this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      };
+
+      socket.onclose = (event) => {
+        if (!opened) {
+          reject(new Error('WebSocket closed before opening'));
+        }
+        if (!isCurrent()) {
+          return;
+        }
+        this.socket = null;
+        this.emit('close', { code: event && event.code, reason: event && event.reason });
+        if (!this.closedByUser && this.reconnect && this.hasConnected) {
+          this.scheduleReconnect();
+        }
+      };
+    });
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.reconnectAttempts >= this.maxReconnectAttempts) {
+      return;
+    }
+
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(() => {
+        // onclose schedules the next attempt
+      });
+    }, delay);
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    this.closedByUser = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Send a JSON frame if the socket is open
+   * @param {object} message - Message to send
+   * @returns {boolean} Whether the message was sent
+   */
+  send(message) {
+    if (!this.isConnected()) {
+      return false;
+    }
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Subscribe to a channel
+   * The subscription is remembered and re-sent after every reconnect
+   *
+   * @param {string} channel - StreamChannel value
+   * @param {object} [params] - Channel parameters (e.g. { topicId, tokenId })
+   * @returns {string} Subscription key
+   */
+  subscribe(channel, params = {}) {
+    if (!CHANNEL_EVENTS[channel]) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+
+    const key = subscriptionKey(channel, params);
+    this.subscriptions.set(key, { channel, params });
+    this.sequences.delete(key);
+    this.sendSubscribe(channel, params);
+    return key;
+  }
+
+  /**
+   * Unsubscribe from a channel
+   *
+   * @param {string} channel - StreamChannel value
+   * @param {object} [params] - Same parameters used to subscribe
+   */
+  unsubscribe(channel, params = {}) {
+    const key = subscriptionKey(channel, params);
+    this.subscriptions.delete(key);
+    this.sequences.delete(key);
+    this.send({ action: 'UNSUBSCRIBE', channel, ...params });
+  }
+
+  /**
+   * Subscribe to order book deltas of a token
+   */
+  subscribeOrderBook(params) {
+    return this.subscribe(StreamChannel.ORDER_BOOK, params);
+  }
+
+  /**
+   * Subscribe to public trades of a topic
+   */
+  subscribeTrades(params) {
+    return this.subscribe(StreamChannel.TRADES, params);
+  }
+
+  /**
+   * Subscribe to own order updates of a wallet
+   */
+  subscribeOrders(params) {
+    return this.subscribe(StreamChannel.ORDERS, params);
+  }
+
+  /**
+   * Send a subscribe frame, adding the current token for private channels
+   */
+  sendSubscribe(channel, params) {
+    const message = { action: 'SUBSCRIBE', channel, ...params };
+    if (channel !== StreamChannel.ORDERS || !this.authorizationToken) {
+      this.send(message);
+      return;
+    }
+
+    const token = typeof this.authorizationToken === 'function'
+      ? this.authorizationToken()
+      : this.authorizationToken;
+    Promise.resolve(token)
+      .then((value) => {
+        if (value) {
+          message.token = String(value).replace(/^Bearer /, '');
+        }
+        this.send(message);
+      })
+      .catch((error) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+  }
+
+  /**
+   * Re-send all remembered subscriptions (after connect/reconnect)
+   * Sequence tracking restarts because the server starts a new stream
+   */
+  resubscribe() {
+    this.sequences.clear();
+    for (const { channel, params } of this.subscriptions.values()) {
+      this.sendSubscribe(channel, params);
+    }
+  }
+
+  /**
+   * Handle an incoming frame
+   * @param {string|Buffer} raw - Frame payload
+   */
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', new Error(`Invalid stream message: ${String(raw).slice(0, 200)}`));
+      }
+      return;
+    }
+
+    this.emit('message', message);
+
+    const channel = message.channel || message.type;
+    const event = CHANNEL_EVENTS[channel];
+    if (!event) {
+      return;
+    }
+
+    const key = this.findSubscriptionKey(channel, message);
+    this.checkSequence(key, channel, message.seq);
+
+    const data = message.data !== undefined ? message.data : message;
+    this.emit(event, data, { key, channel, seq: message.seq });
+
+    if (channel === StreamChannel.ORDERS) {
+      const orders = Array.isArray(data) ? data : [data];
+      orders.forEach(order => this.trackOrderStatus(order));
+    }
+  }
+
+  /**
+   * Find the subscription a message belongs to
+   * Falls back to the channel name when the message does not echo its parameters
+   */
+  findSubscriptionKey(channel, message) {
+    for (const [key, sub] of this.subscriptions) {
+      if (sub.channel !== channel) {
+        continue;
+      }
+      const matches = Object.entries(sub.params)
+        .every(([name, value]) => message[name] === undefined || String(message[name]) === String(value));
+      if (matches) {
+        return key;
+      }
+    }
+    return channel;
+  }
+
+  /**
+   * Detect gaps in the sequence numbers of a subscription
+   */
+  checkSequence(key, channel, seq) {
+    if (seq === undefined || seq === null) {
+      return;
+    }
+
+    const current = Number(seq);
+    const last = this.sequences.get(key);
+    if (last !== undefined && current !== last + 1) {
+      this.emit('gap', { key, channel, expected: last + 1, received: current });
+    }
+    this.sequences.set(key, current);
+  }
+
+  /**
+   * Emit 'orderStatus' when an order moves between OrderStatus values
+   */
+  trackOrderStatus(order) {
+    if (!order || order.orderId === undefined || order.status === undefined) {
+      return;
+    }
+
+    const status = Number(order.status);
+    const previousStatus = this.orderStatuses.get(order.orderId);
+    if (previousStatus === status) {
+      return;
+    }
+
+    if (status === OrderStatus.FILLED || status === OrderStatus.CANCELLED) {
+      this.orderStatuses.delete(order.orderId);
+    } else {
+      this.orderStatuses.set(order.orderId, status);
+    }
+
+    this.emit('orderStatus', {
+      orderId: order.orderId,
+      previousStatus: previousStatus === undefined ? null : previousStatus,
+      status,
+      order
+    });
+  }
+}
+
+export default OpinionStream;
@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Topic cache stores
+ *
+ * A store keeps JSON-serializable entries by key and implements:
+ *   get(key) => Promise<entry|null>
+ *   set(key, entry) => Promise<void>
+ *   delete(key) => Promise<void>
+ *   clear() => Promise<void>
+ *   keys() => Promise<string[]>
+ * Any object with these methods (e.g. backed by Redis) can be passed to TopicAPI.
+ */
+
+// Topic fields that never change once a topic exists
+export const IMMUTABLE_TOPIC_FIELDS = [
+  'topicId',
+  'title',
+  'chainId',
+  'questionId',
+  'conditionId',
+  'yesToken',
+  'noToken',
+  'cutoffTime',
+  'outcomeType',
+  'outcomes'
+];
+
+// Topic fields that move with the market
+export const VOLATILE_TOPIC_FIELDS = [
+  'status',
+  'yesPrice',
+  'noPrice',
+  'volume',
+  'totalPrice',
+  'markets',
+  'raw'
+];
+
+export const DEFAULT_TOPIC_CACHE_TTL = {
+  immutable: 7 * 24 * 60 * 60 * 1000, // 7 days
+  volatile: 30 * 1000                 // 30 seconds
+};
+
+/**
+ * Copy a subset of fields
+ *
+ * @param {object} source - Source object
+ * @param {Array<string>} fields - Field names
+ * @returns {object} Object with only those fields
+ */
+export function pickFields(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * In-memory store (per process)
+ */
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(String(key));
+    // Copies keep callers from mutating cached entries
+    return entry === undefined ? null : structuredClone(entry);
+  }
+
+  async set(key, entry) {
+    this.entries.set(String(key), structuredClone(entry));
+  }
+
+  async delete(key) {
+    this.entries.delete(String(key));
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * File store: one JSON file per key
+ * Writes go to a temporary file that is renamed over the target, so a reader
+ * or a concurrent writer (in this or another process) never sees a partial file.
+ * Writes to the same key from this process are additionally serialized.
+ */
+export class FileCacheStore {
+  /**
+   * @param {object} params
+   * @param {string} params.dir - Cache directory
+   * @param {string} [params.prefix='topic_'] - File name prefix
+   */
+  constructor(params) {
+    const { dir, prefix = 'topic_' } = params;
+
+    if (!dir) {
+      throw new Error('FileCacheStore needs a directory');
+    }
+
+    this.dir = dir;
+    this.prefix = prefix;
+    this.pending = new Map(); // key -> tail of the write queue
+  }
+
+  /**
+   * File path of a key
+   */
+  pathFor(key) {
+    const safeKey = String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, `${this.prefix}${safeKey}.json`);
+  }
+
+  /**
+   * Run an operation after the previous operations on the same key
+   */
+  serialize(key, operation) {
+    const id = String(key);
+    const previous = this.pending.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    const tail = next.catch(() => {});
+    this.pending.set(id, tail);
+    tail.then(() => {
+      if (this.pending.get(id) === tail) {
+        this.pending.delete(id);
+      }
+    });
+    return next;
+  }
+
+  async get(key) {
+    try {
+      const content = await fs.readFile(this.pathFor(key), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      // Missing or unreadable files are cache misses
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    return this.serialize(key, async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const target = this.pathFor(key);
+      const temp = `${target}.${process.pid}.${randomUUID()}.tmp`;
+      try {
+        await fs.writeFile(temp, JSON.stringify(entry, null, 2), 'utf-8');
+        await fs.rename(temp, target);
+      } catch (error) {
+        await fs.unlink(temp).catch(() => {});
+        throw error;
+      }
+    });
+  }
+
+  async delete(key) {
+    return this.serialize(key, async () => {
+      try {
+        await fs.unlink(this.pathFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    });
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.delete(key)));
+  }
+
+  async keys() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+    return files
+      .filter(file => file.startsWith(this.prefix) && file.endsWith('.json'))
+      .map(file => file.slice(this.prefix.length, -'.json'.length));
+  }
+}
+
+/**
+ * Create a store from the TopicAPI `cache` option
+ *
+ * @param {string|object} cache - 'file', 'memory' or a store object
+ * @param {string} dir - Directory for the file store
+ * @returns {object} Store
+ */
+export function createCacheStore(cache, dir) {
+  if (cache && typeof cache === 'object') {
+    for (const method of ['get', 'set', 'delete', 'clear', 'keys']) {
+      if (typeof cache[method] !== 'function') {
+        throw new Error(`Cache store must implement ${method}()`);
+      }
+    }
+    return cache;
+  }
+  if (cache === 'memory') {
+    return new MemoryCacheStore();
+  }
+  if (cache === undefined || cache === 'file') {
+    return new FileCacheStore({ dir });
+  }
+  throw new Error(`Unknown cache store: ${cache}. Use 'file', 'memory' or a store object`);
+}
@@ -0,0 +1,257 @@
+import https from 'https';
+import axios from 'axios';
+
+/**
+ * HTTP transport shared by every Opinion Trade API call
+ *
+ * An adapter is an async function that performs a single request:
+ *   adapter({ method, url, headers, body, timeout }) => { status, headers, data }
+ * `body` is a JSON string (or undefined) and `data` may be a string or an
+ * already-parsed object. Adapters make it possible to run the SDK against a
+ * local mock server or to reuse an existing HTTP client.
+ */
+
+export const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Create an adapter backed by axios
+ *
+ * @param {object} [options]
+ * @param {object} [options.instance] - axios instance (default: axios)
+ * @param {boolean} [options.rejectUnauthorized=true] - Verify TLS certificates
+ * @returns {Function} Transport adapter
+ */
+export function createAxiosAdapter(options = {}) {
+  const { instance = axios, rejectUnauthorized = true } = options;
+  const httpsAgent = new https.Agent({ rejectUnauthorized });
+
+  return async (request) => {
+    const response = await instance.request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.body,
+      timeout: request.timeout,
+      httpsAgent,
+      // Status handling and JSON parsing are done by HttpTransport
+      validateStatus: () => true,
+      transformResponse: [(data) => data],
+      responseType: 'text'
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data
+    };
+  };
+}
+
+/**
+ * Create an adapter backed by a fetch implementation
+ * Note: TLS options are not applied, configure them on the fetch implementation itself
+ *
+ * @param {Function} [fetchImpl] - fetch implementation (default: globalThis.fetch)
+ * @returns {Function} Transport adapter
+ */
+export function createFetchAdapter(fetchImpl = globalThis.fetch) {
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('fetch implementation is not available');
+  }
+
+  return async (request) => {
+    const response = await fetchImpl(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: request.timeout ? AbortSignal.timeout(request.timeout) : undefined
+    });
+
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    return {
+      status: response.status,
+      headers,
+      data: await response.text()
+    };
+  };
+}
+
+/**
+ * Append query parameters to a URL, skipping null/undefined values
+ *
+ * @param {string} url - Base URL
+ * @param {object} [params] - Query parameters
+ * @returns {string} URL with encoded query string
+ */
+export function buildUrl(url, params) {
+  if (!params) {
+    return url;
+  }
+
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      search.append(key, String(value));
+    }
+  }
+
+  const query = search.toString();
+  if (!query) {
+    return url;
+  }
+  return url + (url.includes('?') ? '&' : '?') + query;
+}
+
+/**
+ * HTTP transport
+ */
+export class HttpTransport {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.adapter] - Custom adapter (see module docs)
+   * @param {Function} [options.fetch] - fetch implementation to use instead of axios
+   * @param {object} [options.axios] - axios instance to use
+   * @param {number} [options.timeout=30000] - Request timeout in ms
+   * @param {object} [options.headers] - Headers sent with every request
+   * @param {boolean} [options.rejectUnauthorized=true] - Verify TLS certificates (axios adapter)
+   */
+  constructor(options = {}) {
+    const {
+      adapter,
+      fetch: fetchImpl,
+      axios: axiosInstance,
+      timeout = DEFAULT_TIMEOUT,
+      headers = {},
+      rejectUnauthorized = true
+    } = options;
+
+    if (adapter) {
+      this.adapter = adapter;
+    } else if (fetchImpl) {
+      this.adapter = createFetchAdapter(fetchImpl);
+    } else {
+      this.adapter = createAxiosAdapter({ instance: axiosInstance, rejectUnauthorized });
+    }
+
+    this.timeout = timeout;
+    this.headers = { ...headers };
+  }
+
+  /**
+   * Send a request and return the parsed JSON body
+   *
+   * @param {object} request
+   * @param {string} [request.method='GET'] - HTTP method
+   * @param {string} request.url - Absolute URL
+   * @param {object} [request.params] - Query parameters
+   * @param {object} [request.data] - JSON body
+   * @param {object} [request.headers] - Extra headers for this request
+   * @param {number} [request.timeout] - Timeout override in ms
+   * @param {boolean} [request.fullResponse=false] - Resolve with { status, headers, data } instead of the body
+   * @returns {Promise<object>} Parsed response body
+   */
+  async request(request) {
+    const {
+      method = 'GET',
+      url,
+      params,
+      data,
+      headers = {},
+      timeout = this.timeout,
+      fullResponse = false
+    } = request;
+
+    if (!url) {
+      throw new Error('Request URL is required');
+    }
+
+    const body = data === undefined ? undefined : JSON.stringify(data);
+    const response = await this.adapter({
+      method: method.toUpperCase(),
+      url: buildUrl(url, params),
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.headers,
+        ...headers
+      },
+      body,
+      timeout
+    });
+
+    // Check the status before parsing: error pages (429, 502...) are often not JSON
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`HTTP ${response.status} from ${method.toUpperCase()} ${url}`);
+      error.status = response.status;
+      // Same shape as axios errors so callers can inspect error.response
+      error.response = {
+        status: response.status,
+        headers: response.headers,
+        data: parseErrorBody(response.data),
+        text: typeof response.data === 'string' ? response.data : undefined
+      };
+      throw error;
+    }
+
+    let responseData;
+    try {
+      responseData = parseBody(response.data);
+    } catch (error) {
+      error.status = response.status;
+      error.response = { status: response.status, headers: response.headers, data: response.data, text: response.data };
+      throw error;
+    }
+
+    if (fullResponse) {
+      return { status: response.status, headers: response.headers || {}, data: responseData };
+    }
+    return responseData;
+  }
+
+  /**
+   * Send a GET request
+   */
+  async get(url, options = {}) {
+    return this.request({ ...options, method: 'GET', url });
+  }
+
+  /**
+   * Send a POST request with a JSON body
+   */
+  async post(url, data, options = {}) {
+    return this.request({ ...options, method: 'POST', url, data });
+  }
+}
+
+/**
+ * Parse a response body as JSON when it is a string
+ */
+function parseBody(data) {
+  if (typeof data !== 'string') {
+    return data;
+  }
+  if (data === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Invalid JSON response: ${data.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Parse an error response body: JSON when possible, otherwise the raw text
+ */
+function parseErrorBody(data) {
+  try {
+    return parseBody(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+export default HttpTransport;
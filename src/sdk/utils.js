@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { COLLATERAL_TOKEN_DECIMAL } from './constants.js';
+import { ValidationError } from './errors.js';
 
 /**
  * Convert human-readable amount to wei format
@@ -30,11 +31,28 @@ export function fromWei(wei, decimals = COLLATERAL_TOKEN_DECIMAL) {
 }
 
 /**
- * Generate order salt (timestamp in milliseconds)
+ * Generate a cryptographically random order salt
+ * Kept below 2^53 so it survives JSON number parsing on the server side
  * @returns {string} Salt value
  */
 export function generateSalt() {
-  return Date.now().toString();
+  const bytes = ethers.randomBytes(8);
+  const value = BigInt(ethers.hexlify(bytes)) & ((1n << 53n) - 1n);
+  return value.toString();
+}
+
+/**
+ * Create a salt generator that is strictly increasing within this process
+ * Salts start at the current time in microseconds, so they also increase across restarts
+ * @returns {Function} Generator returning a salt string on every call
+ */
+export function createMonotonicSaltGenerator() {
+  let last = 0n;
+  return () => {
+    const now = BigInt(Date.now()) * 1000n;
+    last = now > last ? now : last + 1n;
+    return last.toString();
+  };
 }
 
 /**
@@ -89,6 +107,19 @@ function calculateAmountWithBigInt(shares, price) {
   return resultInt + '.' + trimmedDec;
 }
 
+/**
+ * Drop decimal places a token cannot represent (rounds toward zero)
+ *
+ * @param {string} value - Decimal string
+ * @param {number} decimals - Max decimal places
+ * @returns {string} Truncated decimal string
+ */
+function truncateDecimals(value, decimals) {
+  const [intPart, decPart = ''] = value.toString().split('.');
+  const kept = decPart.slice(0, decimals).replace(/0+$/, '');
+  return kept ? `${intPart}.${kept}` : intPart;
+}
+
 /**
  * Calculate makerAmount and takerAmount based on order parameters
  * According to the code in readme.md (lines 76-90)
@@ -100,10 +131,19 @@ function calculateAmountWithBigInt(shares, price) {
  * @param {string} params.volumeType - Volume type ('Shares' or 'Amount')
  * @param {string} params.buyInputVal - Buy input value (amount in currency)
  * @param {boolean} params.isStableCoin - Whether the collateral is stablecoin
+ * @param {number} [params.decimals=18] - Collateral (and outcome token) decimals
  * @returns {object} { makerAmount, takerAmount }
  */
 export function calculateOrderAmounts(params) {
-  const { side, shares, limitPrice, volumeType, buyInputVal, isStableCoin } = params;
+  const {
+    side,
+    shares,
+    limitPrice,
+    volumeType,
+    buyInputVal,
+    isStableCoin,
+    decimals = COLLATERAL_TOKEN_DECIMAL
+  } = params;
 
   // Convert price: if not stablecoin, multiply by 100 (as per line 82 in readme)
   const price = isStableCoin ? limitPrice : String(100 * Number(limitPrice));
@@ -114,7 +154,7 @@ export function calculateOrderAmounts(params) {
   if (volumeType === 'Shares') {
     // Calculate amount from shares and price using BigInt for precision
     // amount = shares * price / 100
-    amount = calculateAmountWithBigInt(shares, price);
+    amount = truncateDecimals(calculateAmountWithBigInt(shares, price), decimals);
   } else {
     // Use the buyInputVal directly
     amount = buyInputVal;
@@ -125,12 +165,12 @@ export function calculateOrderAmounts(params) {
   // Side 0 = BUY, Side 1 = SELL (lines 84-90 in readme)
   if (side === 0) { // BUY
     // BUY: maker provides amount, taker provides shares
-    makerAmount = toWei(amount);
-    takerAmount = toWei(shares);
+    makerAmount = toWei(amount, decimals);
+    takerAmount = toWei(shares, decimals);
   } else { // SELL
     // SELL: maker provides shares, taker provides amount
-    makerAmount = toWei(shares);
-    takerAmount = toWei(amount);
+    makerAmount = toWei(shares, decimals);
+    takerAmount = toWei(amount, decimals);
   }
 
   return {
@@ -139,6 +179,69 @@ export function calculateOrderAmounts(params) {
   };
 }
 
+/**
+ * Calculate makerAmount and takerAmount for a market order
+ * Amounts are bounded by the worst acceptable price so the order can fill immediately
+ *
+ * @param {object} params
+ * @param {number} params.side - Order side (0: BUY, 1: SELL)
+ * @param {string} params.worstPrice - Worst acceptable price (0-100)
+ * @param {string} params.volumeType - Volume type ('Shares' or 'Amount')
+ * @param {string} [params.shares] - Number of shares (volumeType 'Shares')
+ * @param {string} [params.buyInputVal] - Amount in currency (volumeType 'Amount')
+ * @param {boolean} params.isStableCoin - Whether the collateral is stablecoin
+ * @param {number} [params.decimals=18] - Collateral (and outcome token) decimals
+ * @returns {object} { makerAmount, takerAmount }
+ */
+export function calculateMarketOrderAmounts(params) {
+  const {
+    side,
+    worstPrice,
+    volumeType,
+    shares,
+    buyInputVal,
+    isStableCoin,
+    decimals = COLLATERAL_TOKEN_DECIMAL
+  } = params;
+
+  // Same price convention as calculateOrderAmounts (price scaled by 10^18)
+  const price = isStableCoin ? worstPrice : String(100 * Number(worstPrice));
+  const priceWei = BigInt(toWei(price));
+  const hundredWei = BigInt(toWei('100'));
+
+  let amountWei, sharesWei;
+
+  if (volumeType === 'Shares') {
+    sharesWei = BigInt(toWei(shares, decimals));
+    // BUY rounds the spend up, SELL rounds the proceeds down
+    const product = sharesWei * priceWei;
+    amountWei = side === 0
+      ? (product + hundredWei - 1n) / hundredWei
+      : product / hundredWei;
+  } else {
+    if (priceWei === 0n) {
+      throw new Error('Worst price must be greater than 0 for amount-based market orders');
+    }
+    amountWei = BigInt(toWei(buyInputVal, decimals));
+    // BUY receives at least, SELL gives at most this many shares
+    const product = amountWei * hundredWei;
+    sharesWei = side === 0
+      ? product / priceWei
+      : (product + priceWei - 1n) / priceWei;
+  }
+
+  if (side === 0) { // BUY
+    return {
+      makerAmount: amountWei.toString(),
+      takerAmount: sharesWei.toString()
+    };
+  }
+  return { // SELL
+    makerAmount: sharesWei.toString(),
+    takerAmount: amountWei.toString()
+  };
+}
+
 /**
  * Encode Gnosis Safe signature
  * According to line 197 in readme: encodePacked([{ signer, data }])
@@ -178,6 +281,52 @@ export function normalizeAddress(address) {
   return address.toLowerCase();
 }
 
+/**
+ * Resolve the order expiration timestamp from expiresAt/ttlSeconds
+ *
+ * @param {object} [params]
+ * @param {Date|number|string} [params.expiresAt] - Expiry as a Date or Unix timestamp in seconds
+ *   (values above 1e11 are taken as milliseconds)
+ * @param {number} [params.ttlSeconds] - Time to live in seconds from now
+ * @param {number} [params.now] - Current Unix timestamp in seconds (default: now)
+ * @returns {string} Expiration in seconds, '0' for good-till-cancelled
+ */
+export function resolveExpiration(params = {}) {
+  const { expiresAt, ttlSeconds, now = getCurrentTimestamp() } = params;
+
+  if (expiresAt !== undefined && expiresAt !== null && ttlSeconds !== undefined && ttlSeconds !== null) {
+    throw new ValidationError('Use either expiresAt or ttlSeconds, not both');
+  }
+
+  let expiration;
+  if (expiresAt instanceof Date) {
+    expiration = Math.floor(expiresAt.getTime() / 1000);
+  } else if (expiresAt !== undefined && expiresAt !== null) {
+    expiration = Number(expiresAt);
+    // Values this large are milliseconds (e.g. Date.now() based)
+    if (expiration > 1e11) {
+      expiration = Math.floor(expiration / 1000);
+    }
+  } else if (ttlSeconds !== undefined && ttlSeconds !== null) {
+    const ttl = Number(ttlSeconds);
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      throw new ValidationError(`ttlSeconds must be a positive number, got ${ttlSeconds}`);
+    }
+    expiration = now + Math.ceil(ttl);
+  } else {
+    return '0';
+  }
+
+  if (!Number.isInteger(expiration)) {
+    throw new ValidationError(`Invalid expiration: ${expiresAt}`);
+  }
+  if (expiration <= now) {
+    throw new ValidationError(`Expiration ${expiration} is not in the future (now: ${now})`);
+  }
+
+  return String(expiration);
+}
+
 /**
  * Get current timestamp in seconds
  * @returns {number} Current Unix timestamp
@@ -185,3 +334,86 @@ export function normalizeAddress(address) {
 export function getCurrentTimestamp() {
   return Math.round(Date.now() / 1000);
 }
+
+/**
+ * Map over items with at most `limit` promises in flight
+ * Results keep the order of the input items
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrency, a positive integer
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError(`Concurrency must be a positive integer, got ${limit}`);
+  }
+
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Iterate over the items of a paginated listing
+ * Items are deduplicated by key. When the reported total shrinks between pages
+ * (items removed while iterating), pages already read are read again, because
+ * later items have slid onto them. Without a total, iteration stops at a short
+ * page or at a page that brings nothing new.
+ *
+ * @param {Function} fetchPage - Async (page) => { list, total, size }, total undefined when unknown,
+ *   size the row count of the page when items were filtered out of list (default list.length)
+ * @param {object} params
+ * @param {number} params.limit - Items per page
+ * @param {Function} [params.key] - (item) => dedup key, undefined to never skip the item
+ * @param {number} [params.page=1] - First page
+ * @returns {AsyncGenerator} Items
+ */
+export async function* paginate(fetchPage, params) {
+  const { limit, key = () => undefined, page: firstPage = 1 } = params;
+  const seen = new Set();
+  let lastTotal;
+
+  for (let page = firstPage; ;) {
+    const response = await fetchPage(page);
+    const list = response.list || [];
+    const reported = response.total === null || response.total === '' ? undefined : Number(response.total);
+    const total = Number.isFinite(reported) ? reported : undefined;
+    let fresh = 0;
+
+    for (const item of list) {
+      const id = key(item);
+      if (id !== undefined && id !== null) {
+        if (seen.has(String(id))) {
+          continue;
+        }
+        seen.add(String(id));
+      }
+      fresh++;
+      yield item;
+    }
+
+    const removed = lastTotal !== undefined && total !== undefined && total < lastTotal ? lastTotal - total : 0;
+    lastTotal = total;
+    if (removed > 0 && page > firstPage) {
+      page = Math.max(firstPage, page - Math.ceil(removed / limit));
+      continue;
+    }
+
+    if ((response.size ?? list.length) < limit || (total !== undefined ? page * limit >= total : fresh === 0)) {
+      break;
+    }
+    page++;
+  }
+}
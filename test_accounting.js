@@ -0,0 +1,97 @@
+/**
+ * Test script for PnL accounting and the CSV export
+ */
+
+import { normalizeTrades, tradesFromOrders, computePnl, exportPnlReport, buildMarkPrices } from './src/sdk/accounting.js';
+
+const trade = (fields) => ({ topicId: 1, tokenId: 'yes', outcome: 'YES', fee: '0', ...fields });
+
+const tests = [
+  {
+    name: 'realized PnL uses the average entry price',
+    run: async () => {
+      const { trades } = normalizeTrades([
+        trade({ tradeId: 'a', side: 'BUY', price: '0.4', shares: '10', createdAt: 1 }),
+        trade({ tradeId: 'b', side: 'BUY', price: '0.6', shares: '10', createdAt: 2 }),
+        trade({ tradeId: 'c', side: 'SELL', price: '0.7', shares: '10', createdAt: 3, fee: '0.1' })
+      ]);
+      const { positions, totals } = computePnl(trades, { marks: { yes: '0.55' } });
+      const [position] = positions;
+      return position.shares === '10.0' && position.avgEntryPrice === '0.5' && position.realizedPnl === '2.0'
+        && position.unrealizedPnl === '0.5' && totals.totalPnl === '2.4';
+    }
+  },
+  {
+    name: 'open positions without a mark stay unmarked',
+    run: async () => {
+      const { trades } = normalizeTrades([trade({ side: 'BUY', price: '0.5', shares: '4' })]);
+      const { positions, totals } = computePnl(trades);
+      return positions[0].unrealizedPnl === null && totals.unrealizedPnl === null && totals.unmarked === 1;
+    }
+  },
+  {
+    name: 'shares sold beyond the recorded buys are unmatched, not realized',
+    run: async () => {
+      const { trades } = normalizeTrades([
+        trade({ side: 'BUY', price: '0.5', shares: '2', createdAt: 1 }),
+        trade({ side: 'SELL', price: '0.8', shares: '5', createdAt: 2 })
+      ]);
+      const [position] = computePnl(trades).positions;
+      return position.unmatchedShares === '3.0' && position.realizedPnl === '0.6';
+    }
+  },
+  {
+    name: 'marks by outcome apply to trades without a token ID',
+    run: async () => {
+      const marks = buildMarkPrices({ topicId: 2, yesPrice: '0.3', noPrice: '0.7' });
+      const { trades } = normalizeTrades([{ topicId: 2, outcome: 'no', side: 'BUY', price: '0.5', shares: '10' }]);
+      return computePnl(trades, { marks }).positions[0].unrealizedPnl === '2.0';
+    }
+  },
+  {
+    name: 'unreadable rows are skipped and counted',
+    run: async () => {
+      const { trades, skipped } = normalizeTrades([
+        trade({ side: 'BUY', price: '0.5', shares: '1' }),
+        trade({ side: 'HOLD', price: '0.5', shares: '1' }),
+        trade({ side: 'SELL', price: 'n/a', shares: '1' })
+      ]);
+      const fromOrders = tradesFromOrders([
+        { orderId: 1, side: 'BUY', price: '0.5', filled: '2' },
+        { orderId: 2, side: 'BUY', price: '0.5', filled: '0' },
+        { orderId: 3, side: '?', price: '0.5', filled: '1' }
+      ]);
+      return trades.length === 1 && skipped === 2 && fromOrders.trades.length === 1 && fromOrders.skipped === 1;
+    }
+  },
+  {
+    name: 'CSV export quotes fields and neutralizes formulas',
+    run: async () => {
+      const { trades } = normalizeTrades([
+        trade({ tradeId: 't1', side: 'BUY', price: '0.5', shares: '1', title: '=HYPERLINK("x"), "y"' }),
+        trade({ tradeId: '-1', side: 'SELL', price: '0.5', shares: '1', title: '@SUM(A1)' })
+      ]);
+      const lines = exportPnlReport({ ...computePnl(trades), trades }, { table: 'trades' }).split('\r\n');
+      return lines[1].includes(`"'=HYPERLINK(""x""), ""y"""`) && lines[2].includes(",-1,") && lines[2].includes(",'@SUM(A1),");
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
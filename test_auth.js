@@ -0,0 +1,176 @@
+/**
+ * Test script for wallet login sessions against a stub login API
+ * Covers refresh before expiry, shared concurrent logins and the single retry on 401
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { AuthSession, buildSiweMessage } from './src/sdk/auth.js';
+import { AuthError } from './src/sdk/errors.js';
+import { API_ENDPOINTS } from './src/sdk/constants.js';
+
+const API = 'http://api.test';
+const TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Login API stub
+ * Issues a nonce, checks the signed message and hands out numbered tokens.
+ * Authenticated order queries fail with 401 unless they carry the latest token.
+ */
+class StubTransport {
+  constructor(options = {}) {
+    this.rejectAll = options.rejectAll ?? false;
+    this.logins = 0;
+    this.orderQueries = 0;
+    this.token = null;
+  }
+
+  async request({ method, url, params, data, headers = {}, fullResponse }) {
+    const path = url.slice(API.length);
+    let status = 200;
+    let body;
+
+    if (path === API_ENDPOINTS.AUTH_NONCE) {
+      body = { errno: 0, result: { nonce: `nonce-${params.address.slice(2, 8)}` } };
+    } else if (path === API_ENDPOINTS.AUTH_LOGIN && method === 'POST') {
+      if (ethers.verifyMessage(data.message, data.signature) !== data.address) {
+        status = 401;
+      } else {
+        this.logins++;
+        this.token = `token-${this.logins}`;
+        body = { errno: 0, result: { token: this.token, expiresIn: TOKEN_TTL_SECONDS } };
+      }
+    } else if (path === API_ENDPOINTS.QUERY_ORDERS) {
+      this.orderQueries++;
+      if (this.rejectAll || headers.Authorization !== `Bearer ${this.token}`) {
+        status = 401;
+      } else {
+        body = { errno: 0, result: { list: [], total: 0 } };
+      }
+    } else {
+      status = 404;
+    }
+
+    if (status !== 200) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.status = status;
+      error.response = { status, headers: {}, data: null, text: 'Unauthorized' };
+      throw error;
+    }
+    return fullResponse ? { status, headers: {}, data: body } : body;
+  }
+}
+
+function createSession(transport, clock) {
+  return new AuthSession({
+    transport,
+    apiBaseUrl: API,
+    chainId: 56,
+    signer: ethers.Wallet.createRandom(),
+    now: () => clock.now
+  });
+}
+
+function createSdk(transport, fields = {}) {
+  return new OpinionTradeSDK({
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    makerAddress: '0x2222222222222222222222222222222222222222',
+    apiBaseUrl: API,
+    transport,
+    login: true,
+    rateLimit: false,
+    retry: false,
+    ...fields
+  });
+}
+
+const tests = [
+  {
+    name: 'login message is a SIWE message for the signer',
+    run: async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const message = buildSiweMessage({ address: wallet.address, chainId: 56, nonce: 'abc', issuedAt: '2026-01-01T00:00:00.000Z' });
+      const lines = message.split('\n');
+      return lines[1] === wallet.address && lines.includes('Chain ID: 56') && lines.includes('Nonce: abc');
+    }
+  },
+  {
+    name: 'token is reused until it is about to expire, then refreshed',
+    run: async () => {
+      const clock = { now: 1_000_000 };
+      const transport = new StubTransport();
+      const session = createSession(transport, clock);
+      const first = await session.getToken();
+      clock.now += (TOKEN_TTL_SECONDS - 120) * 1000;
+      const reused = await session.getToken();
+      clock.now += 61 * 1000;
+      const refreshed = await session.getToken();
+      return first === 'token-1' && reused === 'token-1' && refreshed === 'token-2' && transport.logins === 2;
+    }
+  },
+  {
+    name: 'concurrent callers share one login',
+    run: async () => {
+      const transport = new StubTransport();
+      const session = createSession(transport, { now: 0 });
+      const tokens = await Promise.all([session.getToken(), session.getToken(), session.login()]);
+      return transport.logins === 1 && tokens.every(token => token === 'token-1') && session.pendingLogin === null;
+    }
+  },
+  {
+    name: 'SDK logs in again and retries once when the API returns 401',
+    run: async () => {
+      const transport = new StubTransport();
+      const sdk = createSdk(transport, { authorizationToken: 'revoked' });
+      // The pasted token has no expiry, so the first request uses it and is rejected
+      const result = await sdk.getOpenOrders();
+      return Array.isArray(result.list) && transport.logins === 1 && transport.orderQueries === 2
+        && sdk.authorizationToken === 'token-1';
+    }
+  },
+  {
+    name: 'SDK does not retry a second 401',
+    run: async () => {
+      const transport = new StubTransport({ rejectAll: true });
+      const sdk = createSdk(transport, { authorizationToken: 'revoked' });
+      try {
+        await sdk.getOpenOrders();
+        return false;
+      } catch (error) {
+        return error instanceof AuthError && transport.logins === 1 && transport.orderQueries === 2;
+      }
+    }
+  },
+  {
+    name: 'SDK without login keeps the pasted token and does not log in',
+    run: async () => {
+      const transport = new StubTransport();
+      const sdk = createSdk(transport, { authorizationToken: 'revoked', login: false });
+      try {
+        await sdk.getOpenOrders();
+        return false;
+      } catch (error) {
+        return error instanceof AuthError && transport.logins === 0 && transport.orderQueries === 1;
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
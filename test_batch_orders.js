@@ -0,0 +1,108 @@
+/**
+ * Test script for batch order placement
+ * Orders are submitted to a stub transport; one bad order or an unreachable RPC
+ * must still return one result per order.
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { Side } from './src/sdk/constants.js';
+import { NonceManager } from './src/sdk/nonceManager.js';
+
+const TOKEN_ID = '1001';
+
+/**
+ * Order API stub: accepts every submit, lists no open orders
+ */
+class StubTransport {
+  constructor() {
+    this.submits = 0;
+  }
+
+  async request({ method }) {
+    if (method === 'POST') {
+      this.submits++;
+      return { status: 200, headers: {}, data: { errno: 0, errmsg: '', result: { orderId: `o-${this.submits}` } } };
+    }
+    return { status: 200, headers: {}, data: { errno: 0, result: { list: [], total: 0 } } };
+  }
+}
+
+function createSdk(options = {}) {
+  const transport = new StubTransport();
+  const sdk = new OpinionTradeSDK({
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    makerAddress: '0x2222222222222222222222222222222222222222',
+    authorizationToken: 'test',
+    transport,
+    rateLimit: false,
+    retry: false,
+    // Fixed nonce, so building orders needs no RPC
+    nonceManager: new NonceManager({ nonce: 0 }),
+    ...options
+  });
+  return { sdk, transport };
+}
+
+const order = (fields) => ({ topicId: 7, tokenId: TOKEN_ID, side: Side.BUY, limitPrice: '50', shares: '10', ...fields });
+
+const tests = [
+  {
+    name: 'a bad order fails alone, results keep input order',
+    run: async () => {
+      const { sdk, transport } = createSdk();
+      const results = await sdk.createOrders([order(), order({ limitPrice: '150' }), order({ side: Side.SELL })]);
+      return results.map(result => result.success).join() === 'true,false,true'
+        && results.map(result => result.index).join() === '0,1,2'
+        && transport.submits === 2;
+    }
+  },
+  {
+    name: 'an unreachable RPC fails every order instead of rejecting the batch',
+    run: async () => {
+      const rpc = {
+        call: async () => { throw new Error('rpc down'); },
+        getCode: async () => { throw new Error('rpc down'); },
+        getChainId: async () => { throw new Error('rpc down'); }
+      };
+      const { sdk, transport } = createSdk({ rpc, checkBalanceBeforeOrder: true });
+      const results = await sdk.createOrders([order(), order({ side: Side.SELL }), order({ limitPrice: '150' })]);
+      return results.length === 3
+        && results.every(result => !result.success)
+        && results[0].error.message === 'rpc down' && results[1].error.message === 'rpc down'
+        && results[2].error.message !== 'rpc down'
+        && transport.submits === 0;
+    }
+  },
+  {
+    name: 'invalid concurrency is rejected before anything is built',
+    run: async () => {
+      const { sdk } = createSdk();
+      try {
+        await sdk.createOrders([order()], { concurrency: 0 });
+        return false;
+      } catch (error) {
+        return /concurrency must be a positive integer/.test(error.message);
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
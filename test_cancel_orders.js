@@ -0,0 +1,135 @@
+/**
+ * Test script for cancelling orders
+ * Open orders are listed from memory; the stub fails the cancel of one order,
+ * which must not stop the cancels after it
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { API_ENDPOINTS } from './src/sdk/constants.js';
+import { ApiError, ValidationError } from './src/sdk/errors.js';
+
+const OPEN_ORDERS = [
+  { orderId: 'o-1', topicId: 7, status: 1 },
+  { orderId: 'o-2', topicId: 7, status: 1 },
+  { orderId: 'o-3', topicId: 8, status: 1 },
+  { orderId: 'o-4', topicId: 7, status: 1 }
+];
+
+/**
+ * Order API stub: lists OPEN_ORDERS page by page, rejects cancels of `failing`
+ */
+class StubTransport {
+  constructor(options = {}) {
+    this.failing = options.failing || [];
+    this.cancelled = [];
+    this.attempts = [];
+  }
+
+  async request({ method, url, params, data }) {
+    if (method === 'POST' && url.endsWith(API_ENDPOINTS.CANCEL_ORDER)) {
+      this.attempts.push(data.orderId);
+      if (this.failing.includes(data.orderId)) {
+        return { status: 200, headers: {}, data: { errno: 10010, errmsg: 'order not found' } };
+      }
+      this.cancelled.push(data.orderId);
+      return { status: 200, headers: {}, data: { errno: 0, errmsg: '', result: { orderId: data.orderId } } };
+    }
+
+    const matching = OPEN_ORDERS.filter(order => params.topicId === undefined || order.topicId === Number(params.topicId));
+    const list = matching.slice((params.page - 1) * params.limit, params.page * params.limit);
+    return { status: 200, headers: {}, data: { errno: 0, result: { list, total: matching.length } } };
+  }
+}
+
+function createSdk(transport) {
+  return new OpinionTradeSDK({
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    makerAddress: '0x2222222222222222222222222222222222222222',
+    authorizationToken: 'test',
+    transport,
+    rateLimit: false,
+    retry: false
+  });
+}
+
+const tests = [
+  {
+    name: 'cancelOrder returns the response on success',
+    run: async () => {
+      const transport = new StubTransport();
+      const result = await createSdk(transport).cancelOrder('o-1');
+      return result.orderId === 'o-1' && result.success === true && result.response.result.orderId === 'o-1'
+        && result.error === undefined;
+    }
+  },
+  {
+    name: 'cancelOrder returns the error instead of throwing',
+    run: async () => {
+      const transport = new StubTransport({ failing: ['o-1'] });
+      const result = await createSdk(transport).cancelOrder('o-1');
+      return result.orderId === 'o-1' && result.success === false && result.error instanceof ApiError
+        && result.error.errno === 10010 && result.response === undefined;
+    }
+  },
+  {
+    name: 'cancelOrder needs an orderId',
+    run: async () => {
+      try {
+        await createSdk(new StubTransport()).cancelOrder('');
+        return false;
+      } catch (error) {
+        return error instanceof ValidationError;
+      }
+    }
+  },
+  {
+    name: 'a failed cancel does not stop the rest of the topic',
+    run: async () => {
+      const transport = new StubTransport({ failing: ['o-2'] });
+      const results = await createSdk(transport).cancelOrdersByTopic(7);
+      return results.map(result => `${result.orderId}:${result.success}`).join() === 'o-1:true,o-2:false,o-4:true'
+        && transport.cancelled.join() === 'o-1,o-4';
+    }
+  },
+  {
+    name: 'cancelAllOrders cancels the open orders of every topic',
+    run: async () => {
+      const transport = new StubTransport({ failing: ['o-1'] });
+      const results = await createSdk(transport).cancelAllOrders();
+      return transport.attempts.join() === 'o-1,o-2,o-3,o-4'
+        && results.filter(result => result.success).length === 3
+        && results[0].error.message.includes('Cancel order o-1');
+    }
+  },
+  {
+    name: 'cancelOrdersByTopic needs a topicId',
+    run: async () => {
+      try {
+        await createSdk(new StubTransport()).cancelOrdersByTopic();
+        return false;
+      } catch (error) {
+        return error instanceof ValidationError;
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,121 @@
+/**
+ * Test script for the funds reserved by open orders
+ * Rows are shaped like the order listing (amount, filled, price; see query_orders_example.js)
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { remainingOrderShares, reservedCollateralForOrder } from './src/sdk/collateral.js';
+import { reservedSharesForOrder } from './src/sdk/positions.js';
+import { OrderStatus, Side } from './src/sdk/constants.js';
+
+const wei = value => ethers.parseUnits(value, 18);
+
+const listed = (fields) => ({
+  orderId: 'o-1',
+  topicId: 7,
+  topicTitle: 'Test topic',
+  outcome: 'YES',
+  side: Side.BUY,
+  status: OrderStatus.OPEN,
+  price: '0.25',
+  amount: '40',
+  filled: '10',
+  ...fields
+});
+
+const tests = [
+  {
+    name: 'listed amount minus filled gives the remaining shares',
+    run: async () => remainingOrderShares(listed()) === wei('30')
+  },
+  {
+    name: 'open BUY row reserves price times remaining shares',
+    run: async () => reservedCollateralForOrder(listed()) === wei('7.5')
+  },
+  {
+    name: 'side labels are read like side numbers',
+    run: async () => reservedCollateralForOrder(listed({ side: 'BUY' })) === wei('7.5')
+      && reservedCollateralForOrder(listed({ side: 'SELL' })) === 0n
+  },
+  {
+    name: 'SELL and closed orders reserve no collateral',
+    run: async () => reservedCollateralForOrder(listed({ side: Side.SELL })) === 0n
+      && reservedCollateralForOrder(listed({ status: OrderStatus.FILLED })) === 0n
+  },
+  {
+    name: 'fully filled orders reserve nothing',
+    run: async () => reservedCollateralForOrder(listed({ filled: '40' })) === 0n
+  },
+  {
+    name: 'signed amounts are used when the row has no amount',
+    run: async () => remainingOrderShares(listed({ amount: undefined, takerAmount: wei('20').toString(), filled: '5' })) === wei('15')
+  },
+  {
+    name: 'rows without size, with a bad side or an out-of-range price are unreadable',
+    run: async () => reservedCollateralForOrder(listed({ amount: undefined })) === null
+      && reservedCollateralForOrder(listed({ side: 'HOLD' })) === null
+      && reservedCollateralForOrder(listed({ price: '55' })) === null
+  },
+  {
+    name: 'SDK sums the reserved collateral of listed open orders',
+    run: async () => {
+      const sdk = new OpinionTradeSDK({
+        privateKey: ethers.Wallet.createRandom().privateKey,
+        makerAddress: '0x2222222222222222222222222222222222222222',
+        rateLimit: false
+      });
+      const reserved = await sdk.getReservedCollateral([
+        listed(),
+        listed({ orderId: 'o-2', price: '0.5', amount: '4', filled: '0' }),
+        listed({ orderId: 'o-3', side: Side.SELL })
+      ]);
+      return reserved === wei('9.5');
+    }
+  },
+  {
+    name: 'open SELL rows reserve the remaining shares of their token',
+    run: async () => reservedSharesForOrder(listed({ side: 'SELL', tokenId: '11' }), '11') === wei('30')
+      && reservedSharesForOrder(listed({ side: Side.SELL, tokenId: '11' }), '12') === 0n
+      && reservedSharesForOrder(listed({ side: 'BUY', tokenId: '11' }), '11') === 0n
+  },
+  {
+    name: 'SDK warns about open SELL orders it cannot match to a token',
+    run: async () => {
+      const warnings = [];
+      const sdk = new OpinionTradeSDK({
+        privateKey: ethers.Wallet.createRandom().privateKey,
+        makerAddress: '0x2222222222222222222222222222222222222222',
+        rateLimit: false,
+        logger: { debug() {}, info() {}, warn: (message, meta) => warnings.push({ message, meta }), error() {} }
+      });
+      sdk.getPositionBalance = async () => wei('100');
+      const available = await sdk.getAvailablePosition('11', [
+        listed({ side: 'SELL', tokenId: '11' }),
+        listed({ orderId: 'o-2', side: 'SELL' }),
+        listed({ orderId: 'o-3', tokenId: '11' })
+      ]);
+      return available === wei('70') && warnings.length === 1
+        && /without tokenId/.test(warnings[0].message) && warnings[0].meta.orderIds.join() === 'o-2';
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,84 @@
+/**
+ * Test script for API response checks and typed errors
+ */
+
+import {
+  isApiSuccess,
+  isApiError,
+  createApiError,
+  ERRNO_ERRORS,
+  ApiError,
+  AuthError,
+  RateLimitError,
+  ValidationError,
+  InsufficientBalanceError
+} from './src/sdk/errors.js';
+
+const tests = [
+  {
+    name: 'only errno 0 is success',
+    run: async () => isApiSuccess({ errno: 0, result: {} }) && isApiSuccess({ errno: '0' })
+      && !isApiSuccess({ result: {} }) && !isApiSuccess({ errno: 10001 })
+      && !isApiSuccess('') && !isApiSuccess(null) && !isApiSuccess({ errno: '' })
+  },
+  {
+    name: 'isApiError is the opposite of isApiSuccess',
+    run: async () => [{ errno: 0 }, { result: {} }, { errno: 5 }, 'text', null]
+      .every(body => isApiError(body) === !isApiSuccess(body))
+  },
+  {
+    name: 'a body without errno is reported as such',
+    run: async () => {
+      const error = createApiError({ data: { result: {} }, context: 'Query orders' });
+      return error instanceof ApiError && /Query orders: API error: Response has no errno/.test(error.message);
+    }
+  },
+  {
+    name: 'HTTP status classifies unmapped errnos',
+    run: async () => createApiError({ data: { errno: 10001, errmsg: 'denied' }, status: 401 }) instanceof AuthError
+      && createApiError({ data: 'Too Many Requests', status: 429, headers: { 'retry-after': '3' } }).retryAfter === 3000
+  },
+  {
+    name: 'errmsg classifies errors the errno and status do not',
+    run: async () => createApiError({ data: { errno: 10002, errmsg: 'Insufficient balance' }, status: 200 }) instanceof InsufficientBalanceError
+      && createApiError({ data: { errno: 10003, errmsg: 'price must be between 0.1 and 99.9' } }) instanceof ValidationError
+  },
+  {
+    name: 'a registered errno takes precedence over status and errmsg',
+    run: async () => {
+      ERRNO_ERRORS[10004] = RateLimitError;
+      try {
+        const error = createApiError({ data: { errno: 10004, errmsg: 'invalid request' }, status: 400 });
+        return error instanceof RateLimitError && error.errno === 10004 && error.status === 400;
+      } finally {
+        delete ERRNO_ERRORS[10004];
+      }
+    }
+  },
+  {
+    name: 'HTML error pages are cut in the message',
+    run: async () => {
+      const error = createApiError({ data: `<html>${'x'.repeat(500)}</html>`, status: 502 });
+      return error instanceof ApiError && error.errmsg.length === 200 && error.status === 502;
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
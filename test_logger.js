@@ -0,0 +1,77 @@
+/**
+ * Test script for log redaction and level filtering
+ */
+
+import { Logger, LogLevel, REDACTED, redact } from './src/sdk/logger.js';
+import { ApiError } from './src/sdk/errors.js';
+
+const tests = [
+  {
+    name: 'secret fields are redacted at any depth',
+    run: async () => {
+      const copy = redact({
+        payload: { signature: '0xsig', sign: '0xsig', salt: '1', tokenId: '42' },
+        headers: { Authorization: 'Bearer abc' },
+        authorizationToken: 'abc',
+        privateKey: '0xkey'
+      });
+      return copy.payload.signature === REDACTED && copy.payload.sign === REDACTED
+        && copy.payload.salt === '1' && copy.payload.tokenId === '42'
+        && copy.headers.Authorization === REDACTED && copy.authorizationToken === REDACTED
+        && copy.privateKey === REDACTED;
+    }
+  },
+  {
+    name: 'bearer strings are redacted under any key',
+    run: async () => redact({ note: 'Bearer abc', list: ['bearer xyz', 'plain'] }).list.join() === `${REDACTED},plain`
+  },
+  {
+    name: 'errors keep API details but drop the payload',
+    run: async () => {
+      const error = new ApiError('rejected', { errno: 10001, status: 400, payload: { signature: '0xsig' } });
+      const copy = redact({ error }).error;
+      return copy.message === 'rejected' && copy.errno === 10001 && copy.status === 400 && copy.payload === undefined;
+    }
+  },
+  {
+    name: 'bigints become strings and deep objects are cut',
+    run: async () => {
+      const deep = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+      const copy = redact({ amount: 10n ** 18n, deep });
+      return copy.amount === '1000000000000000000' && copy.deep.a.b.c.d.e === '[Object]';
+    }
+  },
+  {
+    name: 'logger filters by level and redacts fields',
+    run: async () => {
+      const records = [];
+      const target = {};
+      for (const level of ['debug', 'info', 'warn', 'error']) {
+        target[level] = (message, fields) => records.push({ level, message, fields });
+      }
+      const logger = new Logger({ target, level: LogLevel.WARN });
+      logger.info('hidden');
+      logger.warn('shown', { signature: '0xsig' });
+      return records.length === 1 && records[0].message === 'shown' && records[0].fields.signature === REDACTED;
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
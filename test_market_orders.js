@@ -0,0 +1,146 @@
+/**
+ * Test script for market order amounts
+ * Checks the rounding direction of BUY and SELL amounts, the worst price clamps
+ * and the priceLimit checks
+ */
+
+import { calculateMarketOrderAmounts } from './src/sdk/utils.js';
+import { calculateWorstPrice, buildMarketOrderParams } from './src/sdk/orderBuilder.js';
+import { Side, VolumeType } from './src/sdk/constants.js';
+import { ValidationError } from './src/sdk/errors.js';
+
+const BASE = {
+  maker: '0x2222222222222222222222222222222222222222',
+  signer: '0x3333333333333333333333333333333333333333',
+  tokenId: '1001'
+};
+
+function throwsValidation(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof ValidationError && pattern.test(error.message);
+  }
+}
+
+const tests = [
+  {
+    name: 'share-based BUY rounds the spend up, SELL rounds the proceeds down',
+    run: async () => {
+      // 7 wei of shares at 33.3 cost 2.331 wei of collateral
+      const params = { worstPrice: '33.3', volumeType: VolumeType.SHARES, shares: '0.000000000000000007', isStableCoin: true };
+      const buy = calculateMarketOrderAmounts({ ...params, side: Side.BUY });
+      const sell = calculateMarketOrderAmounts({ ...params, side: Side.SELL });
+      return buy.makerAmount === '3' && buy.takerAmount === '7'
+        && sell.makerAmount === '7' && sell.takerAmount === '2';
+    }
+  },
+  {
+    name: 'amount-based BUY receives at least, SELL gives at most the rounded shares',
+    run: async () => {
+      const params = { worstPrice: '30', volumeType: VolumeType.AMOUNT, buyInputVal: '10', isStableCoin: true };
+      const buy = calculateMarketOrderAmounts({ ...params, side: Side.BUY });
+      const sell = calculateMarketOrderAmounts({ ...params, side: Side.SELL });
+      return buy.makerAmount === '10000000000000000000' && buy.takerAmount === '33333333333333333333'
+        && sell.makerAmount === '33333333333333333334' && sell.takerAmount === '10000000000000000000';
+    }
+  },
+  {
+    name: 'exact amounts are not rounded',
+    run: async () => {
+      const { makerAmount, takerAmount } = calculateMarketOrderAmounts({
+        side: Side.BUY, worstPrice: '50.5', volumeType: VolumeType.SHARES, shares: '3', isStableCoin: true
+      });
+      return makerAmount === '1515000000000000000' && takerAmount === '3000000000000000000';
+    }
+  },
+  {
+    name: 'amount-based orders need a worst price above 0',
+    run: async () => {
+      try {
+        calculateMarketOrderAmounts({ side: Side.BUY, worstPrice: '0', volumeType: VolumeType.AMOUNT, buyInputVal: '10', isStableCoin: true });
+        return false;
+      } catch (error) {
+        return /greater than 0/.test(error.message);
+      }
+    }
+  },
+  {
+    name: 'worst price adds slippage for BUY and subtracts it for SELL',
+    run: async () => calculateWorstPrice('50', '2', Side.BUY) === '52.0'
+      && calculateWorstPrice('50', '2', Side.SELL) === '48.0'
+  },
+  {
+    name: 'worst price rounds BUY up and SELL down to one decimal',
+    run: async () => calculateWorstPrice('50.05', '0', Side.BUY) === '50.1'
+      && calculateWorstPrice('50.05', '0', Side.SELL) === '50.0'
+  },
+  {
+    name: 'worst price is clamped to 100 for BUY and 0.1 for SELL',
+    run: async () => calculateWorstPrice('99.5', '2', Side.BUY) === '100.0'
+      && calculateWorstPrice('1', '2', Side.SELL) === '0.1'
+      && calculateWorstPrice('0.15', '0', Side.SELL) === '0.1'
+  },
+  {
+    name: 'negative slippage is rejected',
+    run: async () => throwsValidation(() => calculateWorstPrice('50', '-1', Side.BUY), /must not be negative/)
+  },
+  {
+    name: 'priceLimit with more than one decimal place is rejected',
+    run: async () => throwsValidation(
+      () => buildMarketOrderParams({ ...BASE, side: Side.BUY, shares: '10', priceLimit: '50.55' }),
+      /at most 1 decimal place/
+    )
+  },
+  {
+    name: 'priceLimit below 0.1 is rejected',
+    run: async () => throwsValidation(
+      () => buildMarketOrderParams({ ...BASE, side: Side.SELL, shares: '10', priceLimit: '0' }),
+      /at least 0.1/
+    )
+  },
+  {
+    name: 'priceLimit overrides price and slippage',
+    run: async () => {
+      const params = buildMarketOrderParams({ ...BASE, side: Side.BUY, shares: '10', price: '50', priceLimit: ' 45.5' });
+      return params.worstPrice === '45.5' && params.makerAmount === '4550000000000000000';
+    }
+  },
+  {
+    name: 'amount-based market order derives the shares from the worst price',
+    run: async () => {
+      const params = buildMarketOrderParams({
+        ...BASE, side: Side.BUY, volumeType: VolumeType.AMOUNT, buyInputVal: '10', price: '38', maxSlippage: '2'
+      });
+      return params.worstPrice === '40.0'
+        && params.makerAmount === '10000000000000000000' && params.takerAmount === '25000000000000000000';
+    }
+  },
+  {
+    name: 'amount-based market order needs buyInputVal',
+    run: async () => throwsValidation(
+      () => buildMarketOrderParams({ ...BASE, side: Side.BUY, volumeType: VolumeType.AMOUNT, price: '50' }),
+      /buyInputVal must be greater than 0/
+    )
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
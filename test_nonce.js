@@ -0,0 +1,100 @@
+/**
+ * Test script for the exchange nonce manager
+ * The nonce is read from a stub JSON-RPC client answering `nonces(maker)`
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { NonceManager } from './src/sdk/nonceManager.js';
+import { EXCHANGE_ABI, EXCHANGE_ADDRESS } from './src/sdk/constants.js';
+
+const MAKER = '0x2222222222222222222222222222222222222222';
+const exchangeInterface = new ethers.Interface(EXCHANGE_ABI);
+
+/**
+ * Exchange stub: answers nonces(maker) with the current on-chain nonce
+ */
+class StubRpc {
+  constructor(nonce) {
+    this.nonce = nonce;
+    this.calls = [];
+  }
+
+  async call(tx) {
+    this.calls.push(tx);
+    const [maker] = exchangeInterface.decodeFunctionData('nonces', tx.data);
+    if (maker.toLowerCase() !== MAKER || tx.to.toLowerCase() !== EXCHANGE_ADDRESS.toLowerCase()) {
+      throw new Error('unexpected call');
+    }
+    return exchangeInterface.encodeFunctionResult('nonces', [this.nonce]);
+  }
+}
+
+const tests = [
+  {
+    name: 'nonce is read from the exchange once, then cached',
+    run: async () => {
+      const rpc = new StubRpc(7n);
+      const manager = new NonceManager({ rpc, maker: MAKER });
+      const first = await manager.getNonce();
+      const second = await manager.getNonce();
+      return first === '7' && second === '7' && rpc.calls.length === 1;
+    }
+  },
+  {
+    name: 'bump before the nonce was loaded reads the chain instead of starting at 0',
+    run: async () => {
+      const rpc = new StubRpc(8n);
+      const manager = new NonceManager({ rpc, maker: MAKER });
+      return (await manager.bump()) === '8';
+    }
+  },
+  {
+    name: 'bump after loading advances by one',
+    run: async () => {
+      const manager = new NonceManager({ rpc: new StubRpc(7n), maker: MAKER });
+      await manager.getNonce();
+      return (await manager.bump()) === '8' && (await manager.getNonce()) === '8';
+    }
+  },
+  {
+    name: 'without rpc or fetchNonce the nonce starts at 0',
+    run: async () => {
+      const manager = new NonceManager();
+      return (await manager.getNonce()) === '0' && (await manager.bump()) === '1';
+    }
+  },
+  {
+    name: 'SDK signs with the on-chain nonce by default',
+    run: async () => {
+      const rpc = new StubRpc(7n);
+      const sdk = new OpinionTradeSDK({
+        privateKey: ethers.Wallet.createRandom().privateKey,
+        makerAddress: MAKER,
+        rpc,
+        rateLimit: false
+      });
+      const payload = await sdk.prepareLimitOrder({ topicId: 1, tokenId: '1001', side: 0, limitPrice: '50', shares: '10' });
+      return String(payload.nonce) === '7' && rpc.calls.length === 1;
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,137 @@
+/**
+ * Test script for the local order book model
+ * Levels come in the shapes the API has been seen to use
+ */
+
+import { OrderBook, BookSide, normalizeLevel, toLimitPrice } from './src/sdk/orderBook.js';
+
+const book = new OrderBook({
+  bids: [
+    { price: '0.48', size: '10' },
+    { price: '0.5', size: '5' },
+    { price: '0.50', size: '2.5' },
+    { price: '0.45', size: '0' },
+    { price: '0.49', size: '1' }
+  ],
+  asks: [
+    { price: '0.53', size: '4' },
+    { price: '0.52', size: '3' },
+    { price: '0.55', size: '0.1' }
+  ]
+});
+
+const tests = [
+  {
+    name: 'levels with the same price are merged and empty levels dropped',
+    run: async () => book.bids.length === 3 && book.bids[0].price === '0.5' && book.bids[0].size === '7.5'
+  },
+  {
+    name: 'bids are sorted descending, asks ascending',
+    run: async () => book.bids.map(level => level.price).join() === '0.5,0.49,0.48'
+      && book.asks.map(level => level.price).join() === '0.52,0.53,0.55'
+  },
+  {
+    name: 'every level shape is read',
+    run: async () => [
+      { price: '0.5', size: '2' },
+      { price: '0.5', amount: '2' },
+      { price: '0.5', quantity: '2' },
+      { price: '0.5', shares: '2' },
+      ['0.5', '2'],
+      [0.5, 2]
+    ].every(level => {
+      const normalized = normalizeLevel(level);
+      return normalized.price === '0.5' && normalized.size === '2';
+    })
+  },
+  {
+    name: 'a level without a size is rejected',
+    run: async () => {
+      try {
+        normalizeLevel({ price: '0.5' });
+        return false;
+      } catch (error) {
+        return /Invalid order book level/.test(error.message);
+      }
+    }
+  },
+  {
+    name: 'fromApi reads bids/asks and buy/sell under result or data',
+    run: async () => {
+      const levels = { bids: [['0.4', '1']], asks: [['0.6', '2']] };
+      const buySell = { buy: [['0.4', '1']], sell: [['0.6', '2']], timestamp: '1700000000000' };
+      const books = [
+        OrderBook.fromApi(levels),
+        OrderBook.fromApi({ errno: 0, result: levels }),
+        OrderBook.fromApi({ errno: 0, result: { data: buySell } }),
+        OrderBook.fromApi({ data: buySell }, { topicId: 7, position: 'YES' })
+      ];
+      return books.every(item => item.bestBid().price === '0.4' && item.bestAsk().size === '2')
+        && books[2].timestamp === 1700000000000
+        && books[3].topicId === 7 && books[3].outcome === 'YES';
+    }
+  },
+  {
+    name: 'spread and mid price are exact',
+    run: async () => book.spread() === '0.02' && book.midPrice() === '0.51' && toLimitPrice(book.midPrice()) === '51'
+  },
+  {
+    name: 'spread is null when a side is empty',
+    run: async () => {
+      const oneSided = new OrderBook({ bids: [['0.4', '1']] });
+      return oneSided.spread() === null && oneSided.midPrice() === null && oneSided.bestAsk() === null;
+    }
+  },
+  {
+    name: 'depthAtPrice matches the price numerically',
+    run: async () => book.depthAtPrice(BookSide.BID, '0.50') === '7.5'
+      && book.depthAtPrice(BookSide.ASK, 0.53) === '4'
+      && book.depthAtPrice(BookSide.ASK, '0.54') === '0'
+  },
+  {
+    name: 'cumulativeSize includes the level at the price limit',
+    run: async () => book.cumulativeSize(BookSide.BID, '0.49') === '8.5'
+      && book.cumulativeSize(BookSide.ASK, '0.53') === '7'
+  },
+  {
+    name: 'cumulativeSize is 0 before the best level and the whole side without a limit',
+    run: async () => book.cumulativeSize(BookSide.BID, '0.51') === '0'
+      && book.cumulativeSize(BookSide.ASK, '0.51') === '0'
+      && book.cumulativeSize(BookSide.BID) === '18.5'
+      && book.cumulativeSize(BookSide.ASK, '1') === '7.1'
+  },
+  {
+    name: 'cumulativeLevels runs the total best first',
+    run: async () => book.cumulativeLevels(BookSide.ASK).map(level => level.cumulative).join() === '3,7,7.1'
+  },
+  {
+    name: 'an unknown side is rejected',
+    run: async () => {
+      try {
+        book.cumulativeSize('buy');
+        return false;
+      } catch (error) {
+        return /Invalid book side/.test(error.message);
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,126 @@
+/**
+ * Test script for binary and multi-outcome markets
+ * Topics are normalized from API-shaped data, then resolved to tokens
+ */
+
+import { ethers } from 'ethers';
+import { TopicAPI } from './src/sdk/TopicAPI.js';
+import { OutcomeType, findOutcome, resolveOutcomeToken, listOutcomeTokens } from './src/sdk/outcomes.js';
+import { getCollectionId, getPositionId } from './src/sdk/conditionalTokens.js';
+import { ValidationError } from './src/sdk/errors.js';
+
+const COLLATERAL = '0x55d398326f99059fF775485246999027B3197955';
+
+const warnings = [];
+const topicAPI = new TopicAPI(undefined, {
+  cache: 'memory',
+  collateralToken: COLLATERAL,
+  logger: { debug() {}, info() {}, warn: (message) => warnings.push(message), error() {} }
+});
+
+const binary = topicAPI.normalizeTopic({ topicId: 1, title: 'Rain?', yesPos: '11', noPos: '12', questionId: '0xq1' });
+
+const categorical = topicAPI.normalizeTopic({
+  topicId: 2,
+  title: 'Who wins?',
+  childList: [
+    { topicId: 21, title: 'Alice', yesPos: '211', noPos: '212', questionId: '0xq21' },
+    { topicId: 22, title: 'Bob', yesPos: '221', noPos: '222', questionId: '0xq22' },
+    { topicId: 23, title: '2', yesPos: '231', noPos: '232', questionId: '0xq23' }
+  ]
+});
+
+function throwsValidation(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof ValidationError && pattern.test(error.message);
+  }
+}
+
+const tests = [
+  {
+    name: 'topics with child markets are categorical, others binary',
+    run: async () => binary.outcomeType === OutcomeType.BINARY && categorical.outcomeType === OutcomeType.CATEGORICAL
+      && categorical.outcomes.map(item => item.label).join() === 'Alice,Bob,2'
+  },
+  {
+    name: 'child markets are read from the other candidate fields',
+    run: async () => {
+      const topic = topicAPI.normalizeTopic({ topicId: 3, children: [{ topicId: 31, title: 'X', yesPos: '311', noPos: '312' }] });
+      return topic.outcomeType === OutcomeType.CATEGORICAL && topic.outcomes[0].noTokenId === '312';
+    }
+  },
+  {
+    name: 'a topic without YES token or recognized children warns',
+    run: async () => {
+      warnings.length = 0;
+      const topic = topicAPI.normalizeTopic({ topicId: 4, title: 'Unknown', options: [{ title: 'A' }] });
+      return topic.outcomeType === OutcomeType.BINARY && warnings.includes('Topic has no YES token and no recognized child markets');
+    }
+  },
+  {
+    name: 'findOutcome matches labels case-insensitively, then indexes',
+    run: async () => findOutcome(categorical.outcomes, 'alice').index === 0
+      && findOutcome(categorical.outcomes, 1).label === 'Bob'
+      && findOutcome(categorical.outcomes, '2').label === '2'
+      && findOutcome(categorical.outcomes, 'Carol') === undefined
+  },
+  {
+    name: 'binary outcome and position resolve to the same token',
+    run: async () => resolveOutcomeToken(binary, { outcome: 'YES' }).tokenId === '11'
+      && resolveOutcomeToken(binary, { position: 'no' }).tokenId === '12'
+      && resolveOutcomeToken(binary, { outcome: 1, position: 'NO' }).tokenId === '12'
+  },
+  {
+    name: 'conflicting binary outcome and position are rejected',
+    run: async () => throwsValidation(() => resolveOutcomeToken(binary, { outcome: 'YES', position: 'NO' }), /Conflicting outcome/)
+  },
+  {
+    name: 'categorical NO position trades the NO token of the child market',
+    run: async () => {
+      const yes = resolveOutcomeToken(categorical, { outcome: 'Bob' });
+      const no = resolveOutcomeToken(categorical, { outcome: 'Bob', position: 'NO' });
+      return yes.tokenId === '221' && yes.topicId === 22 && no.tokenId === '222' && no.position === 'NO';
+    }
+  },
+  {
+    name: 'categorical selections need a known outcome',
+    run: async () => throwsValidation(() => resolveOutcomeToken(categorical, { position: 'YES' }), /several outcomes/)
+      && throwsValidation(() => resolveOutcomeToken(categorical, { outcome: 'Carol' }), /Unknown outcome/)
+  },
+  {
+    name: 'every YES and NO token of a categorical topic is listed',
+    run: async () => listOutcomeTokens(categorical).map(item => item.tokenId).join() === '211,212,221,222,231,232'
+  },
+  {
+    name: 'a missing NO token is derived from the conditionId',
+    run: async () => {
+      const conditionId = ethers.keccak256(ethers.toUtf8Bytes('condition'));
+      const yesPos = getPositionId(COLLATERAL, getCollectionId(conditionId, 1));
+      const noPos = getPositionId(COLLATERAL, getCollectionId(conditionId, 2));
+      const topic = topicAPI.normalizeTopic({ topicId: 5, yesPos, conditionId });
+      return topic.noToken === noPos;
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,180 @@
+/**
+ * Test script for paginated listings and client-side order filters
+ * Listings are served from memory; items can be removed between pages to
+ * simulate orders filling while they are being listed
+ */
+
+import { paginate } from './src/sdk/utils.js';
+import { createOrderFilter } from './src/sdk/orderFilters.js';
+import { Side, OrderStatus } from './src/sdk/constants.js';
+import { ValidationError } from './src/sdk/errors.js';
+
+/**
+ * Listing stub over a list of ids, `onFetch` may change the list after each page
+ */
+function createListing(ids, { limit, onFetch = () => {} }) {
+  const items = ids.map(id => ({ id }));
+  const pages = [];
+  const fetchPage = async (page) => {
+    pages.push(page);
+    const list = items.slice((page - 1) * limit, page * limit);
+    const response = { list, total: items.length };
+    onFetch(items, page);
+    return response;
+  };
+  return { items, pages, fetchPage };
+}
+
+async function collect(iterator) {
+  const ids = [];
+  for await (const item of iterator) {
+    ids.push(item.id);
+  }
+  return ids;
+}
+
+const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+const tests = [
+  {
+    name: 'every item is yielded once across full and short pages',
+    run: async () => {
+      const listing = createListing(range(7), { limit: 3 });
+      const ids = await collect(paginate(listing.fetchPage, { limit: 3, key: item => item.id }));
+      return ids.join() === '1,2,3,4,5,6,7' && listing.pages.join() === '1,2,3';
+    }
+  },
+  {
+    name: 'a shrinking total re-reads earlier pages so slid items are not skipped',
+    run: async () => {
+      // Item 2 fills after page 1 is read, so item 4 slides onto page 1
+      const listing = createListing(range(10), {
+        limit: 3,
+        onFetch: (items, page) => {
+          if (page === 1 && items[1].id === 2) items.splice(1, 1);
+        }
+      });
+      const ids = await collect(paginate(listing.fetchPage, { limit: 3, key: item => item.id }));
+      return [...ids].sort((a, b) => a - b).join() === '1,2,3,4,5,6,7,8,9,10'
+        && new Set(ids).size === ids.length
+        && listing.pages.join() === '1,2,1,2,3';
+    }
+  },
+  {
+    name: 're-read pages do not yield items twice',
+    run: async () => {
+      // Two items fill after page 2, so the next read goes back a page
+      const listing = createListing(range(9), {
+        limit: 2,
+        onFetch: (items, page) => {
+          if (page === 2 && items.length === 9) items.splice(0, 2);
+        }
+      });
+      const ids = await collect(paginate(listing.fetchPage, { limit: 2, key: item => item.id }));
+      return ids.join() === '1,2,3,4,7,8,5,6,9';
+    }
+  },
+  {
+    name: 'without a total, iteration stops at a page with nothing new',
+    run: async () => {
+      // The listing ignores the page number and always returns the first page
+      const pages = [];
+      const fetchPage = async (page) => {
+        pages.push(page);
+        return { list: [{ id: 1 }, { id: 2 }] };
+      };
+      const ids = await collect(paginate(fetchPage, { limit: 2, key: item => item.id }));
+      return ids.join() === '1,2' && pages.join() === '1,2';
+    }
+  },
+  {
+    name: 'a page filtered below the limit continues when its size is full',
+    run: async () => {
+      const pages = [];
+      const fetchPage = async (page) => {
+        pages.push(page);
+        return page === 1 ? { list: [{ id: 1 }], size: 2, total: 3 } : { list: [{ id: 3 }], total: 3 };
+      };
+      const ids = await collect(paginate(fetchPage, { limit: 2, key: item => item.id }));
+      return ids.join() === '1,3' && pages.join() === '1,2';
+    }
+  },
+  {
+    name: 'order filter matches numeric and labelled sides',
+    run: async () => {
+      const sells = createOrderFilter({ side: 'SELL' });
+      const buys = createOrderFilter({ side: [Side.BUY] });
+      return sells({ side: 1 }) && sells({ side: '1' }) && sells({ side: 'sell' }) && !sells({ side: 'BUY' })
+        && buys({ side: 'Buy' }) && buys({ side: 0 }) && !buys({ side: 'SELL' });
+    }
+  },
+  {
+    name: 'order filter skips orders with an unreadable side',
+    run: async () => {
+      const buys = createOrderFilter({ side: Side.BUY });
+      return !buys({ side: 'unknown' }) && !buys({}) && !buys({ side: null }) && createOrderFilter()({ side: 'unknown' });
+    }
+  },
+  {
+    name: 'order filter rejects an invalid side option',
+    run: async () => {
+      try {
+        createOrderFilter({ side: 'HOLD' });
+        return false;
+      } catch (error) {
+        return error instanceof ValidationError;
+      }
+    }
+  },
+  {
+    name: 'order filter combines outcome, status and inclusive price bounds',
+    run: async () => {
+      const match = createOrderFilter({ outcome: 'yes', status: [OrderStatus.OPEN], minPrice: '0.4', maxPrice: 0.6 });
+      const order = { outcome: ' YES ', status: OrderStatus.OPEN, price: '0.4' };
+      return match(order) && match({ ...order, price: '0.6' })
+        && !match({ ...order, price: '0.61' }) && !match({ ...order, outcome: 'NO' })
+        && !match({ ...order, status: OrderStatus.FILLED }) && !match({ ...order, price: undefined });
+    }
+  },
+  {
+    name: 'order filter date range accepts seconds, milliseconds and Dates',
+    run: async () => {
+      const match = createOrderFilter({ since: 1_700_000_000, until: new Date(1_700_000_100_000) });
+      return match({ createdAt: 1_700_000_000 }) && match({ createTime: 1_700_000_100_000 })
+        && !match({ createdAt: 1_700_000_101 }) && !match({});
+    }
+  },
+  {
+    name: 'order filter rejects inverted price bounds and invalid dates',
+    run: async () => {
+      const rejects = (filter) => {
+        try {
+          createOrderFilter(filter);
+          return false;
+        } catch (error) {
+          return error instanceof ValidationError;
+        }
+      };
+      return rejects({ minPrice: 0.6, maxPrice: 0.4 }) && rejects({ since: 'not a date' }) && rejects({ maxPrice: 'high' });
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,143 @@
+/**
+ * Test script for the order payload consistency check
+ * Payloads are built and signed the way the SDK submits them, then checked
+ * as-is and after tampering with single fields
+ */
+
+import { ethers } from 'ethers';
+import { buildOrderParams, buildApiPayload, checkPayloadConsistency, assertPayloadConsistency } from './src/sdk/orderBuilder.js';
+import { buildSignedOrder } from './src/sdk/signer.js';
+import { Side, VolumeType } from './src/sdk/constants.js';
+import { ValidationError } from './src/sdk/errors.js';
+
+const MAKER = '0x2222222222222222222222222222222222222222';
+const COLLATERAL = '0x55d398326f99059fF775485246999027B3197955';
+const wallet = ethers.Wallet.createRandom();
+
+async function buildPayload(fields) {
+  const orderParams = buildOrderParams({
+    maker: MAKER,
+    signer: wallet.address,
+    tokenId: '1001',
+    side: Side.BUY,
+    salt: '12345',
+    ...fields
+  });
+  const signedOrder = await buildSignedOrder(wallet, orderParams);
+  return buildApiPayload({
+    signedOrder,
+    topicId: '7',
+    limitPrice: fields.limitPrice,
+    collateralTokenAddr: COLLATERAL,
+    chainId: 56
+  });
+}
+
+const tests = [
+  {
+    name: 'a signed BUY and SELL payload are consistent',
+    run: async () => {
+      const buy = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const sell = await buildPayload({ limitPrice: '45.5', shares: '10', side: Side.SELL });
+      return checkPayloadConsistency(buy).length === 0 && checkPayloadConsistency(sell).length === 0;
+    }
+  },
+  {
+    name: 'a price outside the amounts window is reported',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const within = checkPayloadConsistency({ ...payload, price: '0.456' }, { verifySignature: false });
+      const outside = checkPayloadConsistency({ ...payload, price: '0.457' }, { verifySignature: false });
+      return within.length === 0 && outside.length === 1 && /price 0.457 does not match/.test(outside[0]);
+    }
+  },
+  {
+    name: 'a price that is not a decimal is reported',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const problems = checkPayloadConsistency({ ...payload, price: 'abc' }, { verifySignature: false });
+      return problems.length === 1 && /price is not a decimal/.test(problems[0]);
+    }
+  },
+  {
+    name: 'amount-based shares may be off by one step of their precision',
+    run: async () => {
+      // 1 at 30 buys 3.333..., the user entered 3.3 shares (implied price 0.303)
+      const payload = await buildPayload({ limitPrice: '30', shares: '3.3', volumeType: VolumeType.AMOUNT, buyInputVal: '1' });
+      return checkPayloadConsistency(payload, { volumeType: VolumeType.AMOUNT }).length === 0
+        && checkPayloadConsistency(payload).some(problem => /does not match/.test(problem));
+    }
+  },
+  {
+    name: 'amount-based shares beyond one step are reported',
+    run: async () => {
+      // 1 at 30 does not buy 2.5 shares (implied price 0.4)
+      const payload = await buildPayload({ limitPrice: '30', shares: '2.5', volumeType: VolumeType.AMOUNT, buyInputVal: '1' });
+      const problems = checkPayloadConsistency(payload, { volumeType: VolumeType.AMOUNT });
+      return problems.length === 1 && /does not match/.test(problems[0]);
+    }
+  },
+  {
+    name: 'a signed field changed after signing is reported',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const problems = checkPayloadConsistency({ ...payload, salt: '54321' });
+      return problems.length === 1 && problems[0] === 'signature was not produced by signer';
+    }
+  },
+  {
+    name: 'a signature by another key is reported',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const problems = checkPayloadConsistency({ ...payload, signer: ethers.Wallet.createRandom().address });
+      return problems.length === 1 && problems[0] === 'signature was not produced by signer';
+    }
+  },
+  {
+    name: 'signature recovery can be skipped',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      return checkPayloadConsistency({ ...payload, salt: '54321' }, { verifySignature: false }).length === 0;
+    }
+  },
+  {
+    name: 'malformed fields are all reported',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      const problems = checkPayloadConsistency({ ...payload, sign: '0x', side: '2', makerAmount: '0', orderExpTime: '1' });
+      return problems.length === 4 && !problems.includes('signature was not produced by signer');
+    }
+  },
+  {
+    name: 'assertPayloadConsistency throws a ValidationError with every problem',
+    run: async () => {
+      const payload = await buildPayload({ limitPrice: '45.5', shares: '10' });
+      assertPayloadConsistency(payload);
+      try {
+        assertPayloadConsistency({ ...payload, side: '2', sign: '0x' });
+        return false;
+      } catch (error) {
+        return error instanceof ValidationError && error.message.split('; ').length === 2;
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
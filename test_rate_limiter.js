@@ -0,0 +1,162 @@
+/**
+ * Test script for the token bucket and the priority queue of RateLimiter
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { TokenBucket, RateLimiter, RateLimitBudget, RequestPriority } from './src/sdk/rateLimiter.js';
+
+/**
+ * Rate limiter that records the budget and priority of every scheduled request
+ */
+class RecordingRateLimiter extends RateLimiter {
+  constructor(options) {
+    super(options);
+    this.scheduled = [];
+  }
+
+  schedule(fn, options = {}) {
+    this.scheduled.push({ budget: options.budget, priority: options.priority });
+    return super.schedule(fn, options);
+  }
+}
+
+/**
+ * API stub: one expired open order, cancels and topics succeed
+ */
+const stubTransport = {
+  async request({ method }) {
+    if (method === 'POST') {
+      return { status: 200, headers: {}, data: { errno: 0, result: {} } };
+    }
+    const list = [{ orderId: 'o-1', salt: '1', expiration: 1, status: 1 }];
+    return { status: 200, headers: {}, data: { errno: 0, result: { list, total: list.length } } };
+  },
+  async get() {
+    return { errno: 0, result: { data: { topicId: 7, title: 'Rain?', yesPos: '11', noPos: '12' } } };
+  }
+};
+
+function createSdk(rateLimit) {
+  return new OpinionTradeSDK({
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    makerAddress: '0x2222222222222222222222222222222222222222',
+    authorizationToken: 'test',
+    transport: stubTransport,
+    topicCache: 'memory',
+    retry: false,
+    rateLimit
+  });
+}
+
+const tests = [
+  {
+    name: 'token bucket allows a burst up to capacity, then refills over time',
+    run: async () => {
+      let now = 0;
+      const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 4, now: () => now });
+      const burst = [bucket.tryTake(), bucket.tryTake(), bucket.tryTake()];
+      const wait = bucket.timeUntilAvailable();
+      now += 250;
+      return burst.join() === 'true,true,false' && wait === 250 && bucket.tryTake();
+    }
+  },
+  {
+    name: 'queued requests run by priority, FIFO within a priority',
+    run: async () => {
+      const limiter = new RateLimiter({ read: { capacity: 1, refillPerSecond: 200 } });
+      const order = [];
+      const job = name => () => { order.push(name); };
+      await Promise.all([
+        limiter.schedule(job('first'), { priority: RequestPriority.NORMAL }),
+        limiter.schedule(job('low'), { priority: RequestPriority.LOW }),
+        limiter.schedule(job('normal-1'), { priority: RequestPriority.NORMAL }),
+        limiter.schedule(job('high'), { priority: RequestPriority.HIGH }),
+        limiter.schedule(job('normal-2'), { priority: RequestPriority.NORMAL })
+      ]);
+      return order.join() === 'first,high,normal-1,normal-2,low';
+    }
+  },
+  {
+    name: 'read and write budgets are independent',
+    run: async () => {
+      const limiter = new RateLimiter({
+        read: { capacity: 1, refillPerSecond: 0.001 },
+        write: { capacity: 1, refillPerSecond: 200 }
+      });
+      await limiter.schedule(() => 'read');
+      const readExhausted = limiter.buckets[RateLimitBudget.READ].timeUntilAvailable() > 0;
+      const write = await limiter.schedule(() => 'write', { budget: RateLimitBudget.WRITE });
+      return readExhausted && write === 'write' && limiter.getMetrics().write.processed === 1;
+    }
+  },
+  {
+    name: 'errors of a request reject only its own promise',
+    run: async () => {
+      const limiter = new RateLimiter();
+      const results = await Promise.allSettled([
+        limiter.schedule(() => { throw new Error('boom'); }),
+        limiter.schedule(() => 'ok')
+      ]);
+      return results[0].status === 'rejected' && results[1].value === 'ok';
+    }
+  },
+  {
+    name: 'expiry sweeps list and cancel at low priority',
+    run: async () => {
+      const limiter = new RecordingRateLimiter();
+      const results = await createSdk(limiter).sweepExpiredOrders();
+      return results.length === 1 && results[0].success
+        && limiter.scheduled.map(item => `${item.budget}:${item.priority}`).join()
+          === `read:${RequestPriority.LOW},write:${RequestPriority.LOW}`;
+    }
+  },
+  {
+    name: 'direct cancels keep high priority',
+    run: async () => {
+      const limiter = new RecordingRateLimiter();
+      await createSdk(limiter).cancelOrder('o-1');
+      return limiter.scheduled.length === 1 && limiter.scheduled[0].priority === RequestPriority.HIGH;
+    }
+  },
+  {
+    name: 'topic reads go through the shared read budget',
+    run: async () => {
+      const limiter = new RecordingRateLimiter();
+      const topic = await createSdk(limiter).topicAPI.getTopicInfo(7);
+      return topic.title === 'Rain?' && limiter.scheduled.length === 1
+        && limiter.scheduled[0].budget === RateLimitBudget.READ
+        && limiter.getMetrics().read.processed === 1;
+    }
+  },
+  {
+    name: 'unknown budget is rejected',
+    run: async () => {
+      try {
+        new RateLimiter().schedule(() => {}, { budget: 'admin' });
+        return false;
+      } catch (error) {
+        return /Unknown rate limit budget/.test(error.message);
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
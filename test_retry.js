@@ -0,0 +1,150 @@
+/**
+ * Test script for the retry policy and ambiguous order submissions
+ * The SDK runs against a stub transport that fails submits with a 502 and
+ * lists orders from memory.
+ */
+
+import { ethers } from 'ethers';
+import { OpinionTradeSDK } from './src/sdk/OpinionTradeSDK.js';
+import { withRetry, isRetryableError, isAmbiguousError } from './src/sdk/retry.js';
+import { ApiError, RateLimitError, ValidationError } from './src/sdk/errors.js';
+
+const NO_DELAY = { retries: 3, minDelay: 1, maxDelay: 1, factor: 1, jitter: false };
+const PAYLOAD = { topicId: 7, tokenId: '1', salt: '12345', signature: '0xabc' };
+
+/**
+ * Order API stub: submits fail with a 502 `failures` times, orders are listed from memory
+ */
+class StubTransport {
+  constructor(options = {}) {
+    this.failures = options.failures ?? 1;
+    this.landOnFailure = options.landOnFailure ?? false;
+    this.listed = options.listed || [];
+    this.submits = 0;
+  }
+
+  async request({ method, params }) {
+    if (method === 'POST') {
+      this.submits++;
+      if (this.submits <= this.failures) {
+        if (this.landOnFailure) {
+          this.listed.push({ orderId: 'o-1', salt: PAYLOAD.salt, status: 1 });
+        }
+        const error = new Error('Request failed with status code 502');
+        error.status = 502;
+        error.response = { status: 502, headers: {}, data: null, text: 'Bad Gateway' };
+        throw error;
+      }
+      return { status: 200, headers: {}, data: { errno: 0, errmsg: '', result: { orderId: `o-${this.submits}` } } };
+    }
+
+    const list = params.queryType === 1 ? this.listed : [];
+    return { status: 200, headers: {}, data: { errno: 0, result: { list, total: list.length } } };
+  }
+}
+
+function createSdk(transport) {
+  return new OpinionTradeSDK({
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    makerAddress: '0x2222222222222222222222222222222222222222',
+    authorizationToken: 'test',
+    transport,
+    rateLimit: false,
+    retry: NO_DELAY
+  });
+}
+
+async function capture(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const tests = [
+  {
+    name: 'withRetry retries transient errors until success',
+    run: async () => {
+      let calls = 0;
+      const result = await withRetry(async () => {
+        if (++calls < 3) throw new RateLimitError('slow down');
+        return 'ok';
+      }, { policy: NO_DELAY });
+      return result === 'ok' && calls === 3;
+    }
+  },
+  {
+    name: 'withRetry does not retry validation errors',
+    run: async () => {
+      let calls = 0;
+      const error = await capture(withRetry(async () => {
+        calls++;
+        throw new ValidationError('bad input');
+      }, { policy: NO_DELAY }));
+      return error instanceof ValidationError && calls === 1;
+    }
+  },
+  {
+    name: '5xx is retryable and ambiguous, 429 is retryable but not ambiguous',
+    run: async () => {
+      const serverError = new ApiError('bad gateway', { status: 502 });
+      const rateLimited = new RateLimitError('slow down', { status: 429 });
+      return isRetryableError(serverError) && isAmbiguousError(serverError)
+        && isRetryableError(rateLimited) && !isAmbiguousError(rateLimited);
+    }
+  },
+  {
+    name: 'ambiguous submit that did not land is resubmitted',
+    run: async () => {
+      const transport = new StubTransport({ failures: 1 });
+      const response = await createSdk(transport).submitOrder(PAYLOAD);
+      return transport.submits === 2 && response.result.orderId === 'o-2' && !response.recovered;
+    }
+  },
+  {
+    name: 'ambiguous submit that landed is recovered, not resubmitted',
+    run: async () => {
+      const transport = new StubTransport({ failures: 1, landOnFailure: true });
+      const response = await createSdk(transport).submitOrder(PAYLOAD);
+      return transport.submits === 1 && response.recovered === true && response.result.orderId === 'o-1';
+    }
+  },
+  {
+    name: 'ambiguous submit is not resubmitted when listed orders cannot be matched',
+    run: async () => {
+      const transport = new StubTransport({ failures: 1, listed: [{ orderId: 'x', status: 1 }] });
+      const error = await capture(createSdk(transport).submitOrder(PAYLOAD));
+      return error instanceof ApiError && error.status === 502 && transport.submits === 1;
+    }
+  },
+  {
+    name: 'submit without a confirmed order throws',
+    run: async () => {
+      const transport = new StubTransport({ failures: 0 });
+      transport.request = async () => ({ status: 200, headers: {}, data: { errno: 0, result: null } });
+      const error = await capture(createSdk(transport).submitOrder(PAYLOAD));
+      return error instanceof ApiError && /does not confirm the order/.test(error.message);
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,176 @@
+/**
+ * Test script for the Safe helpers against a JSON-RPC stub transport
+ * Covers owners, threshold, the EIP-1271 check, account validation and RPC errors
+ */
+
+import { ethers } from 'ethers';
+import { JsonRpcClient } from './src/sdk/rpc.js';
+import { getSafeOwners, getSafeThreshold, checkSafeSignature, validateSafeAccount } from './src/sdk/safe.js';
+import { SAFE_ABI, EIP1271_MAGIC_VALUE } from './src/sdk/constants.js';
+
+const CHAIN_ID = 56;
+const SAFE_ADDRESS = '0x1111111111111111111111111111111111111111';
+const safeInterface = new ethers.Interface(SAFE_ABI);
+const owner = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+/**
+ * In-memory Safe behind the HttpTransport.post interface
+ */
+class StubTransport {
+  constructor(options = {}) {
+    this.owners = options.owners || [owner.address];
+    this.threshold = options.threshold ?? 1;
+    this.code = options.code ?? '0x6080';
+    this.failMethod = options.failMethod;
+    this.requests = [];
+  }
+
+  async post(url, body) {
+    this.requests.push(body);
+    const reply = result => ({ jsonrpc: '2.0', id: body.id, result });
+
+    switch (body.method) {
+      case 'eth_chainId':
+        return reply(ethers.toQuantity(CHAIN_ID));
+      case 'eth_getCode':
+        return reply(this.code);
+      case 'eth_call':
+        return this.call(body.params[0].data, body.id);
+      default:
+        return { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: 'method not found' } };
+    }
+  }
+
+  call(data, id) {
+    const fn = safeInterface.parseTransaction({ data });
+    if (fn.name === this.failMethod) {
+      return { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted' } };
+    }
+
+    let values;
+    if (fn.name === 'getOwners') {
+      values = [this.owners];
+    } else if (fn.name === 'getThreshold') {
+      values = [this.threshold];
+    } else if (fn.name === 'isValidSignature') {
+      const [dataHash, signature] = fn.args;
+      const message = ethers.AbiCoder.defaultAbiCoder().encode(['bytes32'], [dataHash]);
+      const recovered = ethers.verifyTypedData(
+        { chainId: CHAIN_ID, verifyingContract: SAFE_ADDRESS },
+        { SafeMessage: [{ name: 'message', type: 'bytes' }] },
+        { message },
+        signature
+      );
+      if (!this.owners.includes(recovered)) {
+        return { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted: GS026' } };
+      }
+      values = [EIP1271_MAGIC_VALUE];
+    }
+    return { jsonrpc: '2.0', id, result: safeInterface.encodeFunctionResult(fn.name, values) };
+  }
+}
+
+function createRpc(options) {
+  return new JsonRpcClient({ url: 'http://rpc.test', transport: new StubTransport(options) });
+}
+
+async function capture(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const tests = [
+  {
+    name: 'getSafeOwners returns lowercase owners',
+    run: async () => {
+      const owners = await getSafeOwners(createRpc(), SAFE_ADDRESS);
+      return owners.length === 1 && owners[0] === owner.address.toLowerCase();
+    }
+  },
+  {
+    name: 'getSafeThreshold returns a number',
+    run: async () => (await getSafeThreshold(createRpc({ threshold: 2 }), SAFE_ADDRESS)) === 2
+  },
+  {
+    name: 'checkSafeSignature accepts an owner signature',
+    run: async () => checkSafeSignature({ rpc: createRpc(), safeAddress: SAFE_ADDRESS, signer: owner, chainId: CHAIN_ID })
+  },
+  {
+    name: 'checkSafeSignature rejects a non-owner signature',
+    run: async () => {
+      const valid = await checkSafeSignature({ rpc: createRpc(), safeAddress: SAFE_ADDRESS, signer: stranger, chainId: CHAIN_ID });
+      return valid === false;
+    }
+  },
+  {
+    name: 'JSON-RPC error is thrown with the method and message',
+    run: async () => {
+      const error = await capture(getSafeOwners(createRpc({ failMethod: 'getOwners' }), SAFE_ADDRESS));
+      return error && /RPC eth_call error: execution reverted/.test(error.message);
+    }
+  },
+  {
+    name: 'validateSafeAccount passes for an owner of a threshold-1 Safe',
+    run: async () => {
+      const report = await validateSafeAccount({
+        rpc: createRpc(),
+        safeAddress: SAFE_ADDRESS,
+        signerAddress: owner.address,
+        chainId: CHAIN_ID,
+        signer: owner,
+        checkSignature: true
+      });
+      return report.valid && report.isOwner && report.threshold === 1 && report.signatureValid === true;
+    }
+  },
+  {
+    name: 'validateSafeAccount reports non-owner, threshold and chain problems',
+    run: async () => {
+      const report = await validateSafeAccount({
+        rpc: createRpc({ threshold: 2 }),
+        safeAddress: SAFE_ADDRESS,
+        signerAddress: stranger.address,
+        chainId: 97
+      });
+      return !report.valid && report.problems.length === 3 && report.isOwner === false;
+    }
+  },
+  {
+    name: 'validateSafeAccount stops when no contract is deployed',
+    run: async () => {
+      const rpc = createRpc({ code: '0x' });
+      const report = await validateSafeAccount({
+        rpc,
+        safeAddress: SAFE_ADDRESS,
+        signerAddress: owner.address,
+        chainId: CHAIN_ID
+      });
+      const called = rpc.transport.requests.some(request => request.method === 'eth_call');
+      return !report.valid && /No contract deployed/.test(report.problems[0]) && !called;
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,176 @@
+/**
+ * Test script for OpinionStream with an in-memory WebSocket stand-in
+ * Covers first-connect failures, reconnects, replaced sockets and resubscribe
+ */
+
+import { OpinionStream } from './src/sdk/stream.js';
+
+class FakeWebSocket {
+  static instances = [];
+  static failNext = false;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+
+    const fail = FakeWebSocket.failNext;
+    FakeWebSocket.failNext = false;
+    setTimeout(() => (fail ? this.drop() : this.open()), 0);
+  }
+
+  open() {
+    if (this.readyState !== 0) return;
+    this.readyState = 1;
+    this.onopen && this.onopen();
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(message) {
+    this.onmessage && this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  drop(code = 1006) {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    this.onclose && this.onclose({ code, reason: '' });
+  }
+
+  close() {
+    setTimeout(() => this.drop(1000), 0);
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createStream() {
+  FakeWebSocket.instances = [];
+  return new OpinionStream({ url: 'ws://test', WebSocket: FakeWebSocket, reconnectDelay: 5, maxReconnectDelay: 10 });
+}
+
+const tests = [
+  {
+    name: 'first connect failure rejects without reconnecting',
+    run: async () => {
+      const stream = createStream();
+      FakeWebSocket.failNext = true;
+      const error = await stream.connect().then(() => null, err => err);
+      await wait(30);
+      return error instanceof Error && FakeWebSocket.instances.length === 1 && !stream.reconnectTimer;
+    }
+  },
+  {
+    name: 'dropped socket reconnects and resubscribes after a successful open',
+    run: async () => {
+      const stream = createStream();
+      stream.subscribeTrades({ topicId: 1 });
+      await stream.connect();
+      let reconnected = null;
+      stream.on('reconnect', info => { reconnected = info; });
+      FakeWebSocket.instances[0].drop();
+      await wait(40);
+      const current = FakeWebSocket.instances[1];
+      const resent = current && current.sent.some(m => m.action === 'SUBSCRIBE' && m.topicId === 1);
+      stream.close();
+      await wait(10);
+      return stream.isConnected() === false && reconnected && reconnected.attempt === 1 && resent;
+    }
+  },
+  {
+    name: 'connect() closes the previous socket and keeps the new one',
+    run: async () => {
+      const stream = createStream();
+      await stream.connect();
+      const first = FakeWebSocket.instances[0];
+      await stream.connect();
+      await wait(10);
+      const connected = stream.isConnected() && stream.socket === FakeWebSocket.instances[1];
+      stream.close();
+      await wait(10);
+      return first.readyState === 3 && connected && FakeWebSocket.instances.length === 2;
+    }
+  },
+  {
+    name: 'messages of a replaced socket are ignored',
+    run: async () => {
+      const stream = createStream();
+      await stream.connect();
+      const first = FakeWebSocket.instances[0];
+      await stream.connect();
+      let trades = 0;
+      stream.on('trade', () => { trades++; });
+      first.receive({ channel: 'trades', data: {} });
+      FakeWebSocket.instances[1].receive({ channel: 'trades', data: {} });
+      stream.close();
+      await wait(10);
+      return trades === 1;
+    }
+  },
+  {
+    name: 'close() stops reconnecting',
+    run: async () => {
+      const stream = createStream();
+      await stream.connect();
+      stream.close();
+      await wait(40);
+      return FakeWebSocket.instances.length === 1 && !stream.reconnectTimer;
+    }
+  },
+  {
+    name: 'order subscriptions read the token from a provider on every subscribe',
+    run: async () => {
+      FakeWebSocket.instances = [];
+      let token = 'first';
+      const stream = new OpinionStream({
+        url: 'ws://test',
+        WebSocket: FakeWebSocket,
+        reconnectDelay: 5,
+        authorizationToken: async () => token
+      });
+      stream.subscribeOrders({ walletAddress: '0xabc' });
+      await stream.connect();
+      await wait(5);
+      token = 'second';
+      FakeWebSocket.instances[0].drop();
+      await wait(40);
+      const [first, second] = FakeWebSocket.instances.map(socket => socket.sent.find(m => m.channel === 'orders'));
+      stream.close();
+      await wait(10);
+      return first && first.token === 'first' && second && second.token === 'second';
+    }
+  },
+  {
+    name: 'missing WebSocket implementation fails with a clear error',
+    run: async () => {
+      try {
+        new OpinionStream({ url: 'ws://test', WebSocket: null });
+        return false;
+      } catch (error) {
+        return /WebSocket implementation is not available/.test(error.message);
+      }
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,196 @@
+/**
+ * Test script for the topic cache stores and the immutable/volatile TTL split
+ * The file store writes to a temporary directory that is removed afterwards
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TopicAPI } from './src/sdk/TopicAPI.js';
+import { FileCacheStore, MemoryCacheStore } from './src/sdk/topicCache.js';
+
+const TOPIC = { topicId: 7, title: 'Rain?', yesPos: '11', noPos: '12', yesMarketPrice: '0.4' };
+
+/**
+ * Topic API stub: counts requests, the price moves with every request
+ */
+class StubTransport {
+  constructor() {
+    this.gets = 0;
+  }
+
+  async get() {
+    this.gets++;
+    return { errno: 0, result: { data: { ...TOPIC, yesMarketPrice: `0.4${this.gets}` } } };
+  }
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'topic-cache-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function createTopicAPI(options = {}) {
+  const transport = new StubTransport();
+  const topicAPI = new TopicAPI(undefined, { cache: 'memory', transport, ...options });
+  return { topicAPI, transport };
+}
+
+/**
+ * Cache entry whose parts were written `immutableAge` and `volatileAge` ms ago
+ */
+function agedEntry(topicAPI, { immutableAge, volatileAge }) {
+  const topic = topicAPI.normalizeTopic(TOPIC);
+  const now = Date.now();
+  return {
+    topicId: 7,
+    immutable: { data: { topicId: topic.topicId, title: topic.title, yesToken: topic.yesToken }, timestamp: now - immutableAge },
+    volatile: { data: { yesPrice: '0.1' }, timestamp: now - volatileAge }
+  };
+}
+
+const tests = [
+  {
+    name: 'concurrent writes to one key leave the last entry and no temporary files',
+    run: async () => withTempDir(async (dir) => {
+      const store = new FileCacheStore({ dir });
+      await Promise.all(Array.from({ length: 20 }, (_, index) => store.set('7', { index, padding: 'x'.repeat(10000) })));
+      const files = await fs.readdir(dir);
+      const entry = await store.get('7');
+      return entry.index === 19 && files.join() === 'topic_7.json' && store.pending.size === 0;
+    })
+  },
+  {
+    name: 'reads during writes see a whole entry or none',
+    run: async () => withTempDir(async (dir) => {
+      const store = new FileCacheStore({ dir });
+      const reads = [];
+      const writes = [];
+      for (let index = 0; index < 10; index++) {
+        writes.push(store.set('7', { index, padding: 'x'.repeat(10000) }));
+        reads.push(store.get('7'));
+      }
+      await Promise.all(writes);
+      const entries = await Promise.all(reads);
+      return entries.every(entry => entry === null || (Number.isInteger(entry.index) && entry.padding.length === 10000));
+    })
+  },
+  {
+    name: 'operations on one key run in call order',
+    run: async () => withTempDir(async (dir) => {
+      const store = new FileCacheStore({ dir });
+      await Promise.all([store.set('7', { step: 1 }), store.delete('7'), store.set('7', { step: 3 }), store.set('8', { step: 1 })]);
+      const keys = (await store.keys()).sort();
+      return (await store.get('7')).step === 3 && keys.join() === '7,8';
+    })
+  },
+  {
+    name: 'a failed write does not block later writes to the key',
+    run: async () => withTempDir(async (dir) => {
+      const store = new FileCacheStore({ dir });
+      const circular = {};
+      circular.self = circular;
+      const results = await Promise.allSettled([store.set('7', circular), store.set('7', { ok: true })]);
+      const files = await fs.readdir(dir);
+      return results[0].status === 'rejected' && (await store.get('7')).ok === true && files.length === 1;
+    })
+  },
+  {
+    name: 'clear removes every key, missing files are cache misses',
+    run: async () => withTempDir(async (dir) => {
+      const store = new FileCacheStore({ dir: path.join(dir, 'nested') });
+      const before = await store.keys();
+      await store.set('a', { v: 1 });
+      await store.set('b', { v: 2 });
+      await store.clear();
+      return before.length === 0 && (await store.keys()).length === 0 && (await store.get('a')) === null;
+    })
+  },
+  {
+    name: 'memory store hands out copies',
+    run: async () => {
+      const store = new MemoryCacheStore();
+      const entry = { nested: { value: 1 } };
+      await store.set('7', entry);
+      entry.nested.value = 2;
+      const copy = await store.get('7');
+      copy.nested.value = 3;
+      return (await store.get('7')).nested.value === 1;
+    }
+  },
+  {
+    name: 'a fresh topic is served from the cache without a request',
+    run: async () => {
+      const { topicAPI, transport } = createTopicAPI();
+      const first = await topicAPI.getTopicInfo(7);
+      const second = await topicAPI.getTopicInfo(7);
+      return transport.gets === 1 && first.yesPrice === '0.41' && second.yesPrice === '0.41' && second.title === 'Rain?';
+    }
+  },
+  {
+    name: 'stale prices with fresh metadata: metadata is cached, topic info is refetched',
+    run: async () => {
+      const { topicAPI, transport } = createTopicAPI();
+      await topicAPI.cache.set('7', agedEntry(topicAPI, { immutableAge: 0, volatileAge: 60 * 1000 }));
+      const cached = await topicAPI.loadFromCache(7);
+      const metadata = await topicAPI.getTopicMetadata(7);
+      const requestsForMetadata = transport.gets;
+      const topic = await topicAPI.getTopicInfo(7);
+      return cached === null && metadata.title === 'Rain?' && metadata.yesPrice === undefined
+        && requestsForMetadata === 0 && transport.gets === 1 && topic.yesPrice === '0.41';
+    }
+  },
+  {
+    name: 'stale metadata is refetched even for metadata reads',
+    run: async () => {
+      const { topicAPI, transport } = createTopicAPI();
+      await topicAPI.cache.set('7', agedEntry(topicAPI, { immutableAge: 8 * 24 * 60 * 60 * 1000, volatileAge: 0 }));
+      const metadata = await topicAPI.getTopicMetadata(7);
+      const entry = await topicAPI.cache.get('7');
+      return transport.gets === 1 && metadata.title === 'Rain?' && entry.volatile.data.yesPrice === '0.41';
+    }
+  },
+  {
+    name: 'TTLs can be overridden per part',
+    run: async () => {
+      const { topicAPI, transport } = createTopicAPI({ cacheTtl: { volatile: 5 * 60 * 1000 } });
+      await topicAPI.cache.set('7', agedEntry(topicAPI, { immutableAge: 0, volatileAge: 60 * 1000 }));
+      const topic = await topicAPI.getTopicInfo(7);
+      return transport.gets === 0 && topic.yesPrice === '0.1' && topicAPI.cacheTtl.immutable === 7 * 24 * 60 * 60 * 1000;
+    }
+  },
+  {
+    name: 'shared stores keep networks apart by key prefix',
+    run: async () => {
+      const store = new MemoryCacheStore();
+      const mainnet = createTopicAPI({ cache: store }).topicAPI;
+      const fork = createTopicAPI({ cache: store, cacheNamespace: 'fork' }).topicAPI;
+      await mainnet.getTopicInfo(7);
+      await fork.getTopicInfo(7);
+      return (await store.keys()).sort().join() === '7,fork:7';
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const test of tests) {
+    let passed = false;
+    try {
+      passed = Boolean(await test.run());
+    } catch (error) {
+      console.error(error);
+    }
+    console.log(`${passed ? '✓' : '✗'} ${test.name}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
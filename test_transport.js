@@ -0,0 +1,96 @@
+/**
+ * Test script for HttpTransport against a local mock server
+ * Covers JSON, plain-text and HTML responses with success and error statuses
+ */
+
+import http from 'node:http';
+import { HttpTransport } from './src/sdk/transport.js';
+import { fromTransportError, ApiError, RateLimitError } from './src/sdk/errors.js';
+import { isAmbiguousError, isRetryableError } from './src/sdk/retry.js';
+
+const ROUTES = {
+  '/ok': { status: 200, type: 'application/json', body: '{"errno":0,"result":{"echo":true}}' },
+  '/empty': { status: 200, type: 'application/json', body: '' },
+  '/not-json': { status: 200, type: 'text/html', body: '<html>maintenance</html>' },
+  '/rate-limited': { status: 429, type: 'text/plain', body: 'Too Many Requests', headers: { 'Retry-After': '2' } },
+  '/bad-gateway': { status: 502, type: 'text/html', body: '<html><body>502 Bad Gateway</body></html>' },
+  '/api-error': { status: 400, type: 'application/json', body: '{"errno":10001,"errmsg":"bad param"}' }
+};
+
+const server = http.createServer((req, res) => {
+  const route = ROUTES[new URL(req.url, 'http://localhost').pathname];
+  if (!route) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+  res.writeHead(route.status, { 'Content-Type': route.type, ...(route.headers || {}) });
+  res.end(route.body);
+});
+
+async function capture(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function run(name, transport, base) {
+  const results = [];
+  const check = (label, passed) => results.push({ label: `${name}: ${label}`, passed: Boolean(passed) });
+
+  const ok = await transport.get(`${base}/ok`);
+  check('2xx JSON body is parsed', ok.result.echo === true);
+
+  check('2xx empty body is null', (await transport.get(`${base}/empty`)) === null);
+
+  const notJson = await capture(transport.get(`${base}/not-json`));
+  check('2xx non-JSON body throws with status', notJson && notJson.status === 200);
+  check('2xx non-JSON body converts to ApiError', fromTransportError(notJson) instanceof ApiError);
+
+  const rateLimited = await capture(transport.get(`${base}/rate-limited`));
+  check('429 text body keeps status and raw text',
+    rateLimited.status === 429 && rateLimited.response.text === 'Too Many Requests');
+  const typedRateLimit = fromTransportError(rateLimited);
+  check('429 text body converts to RateLimitError', typedRateLimit instanceof RateLimitError);
+  check('429 Retry-After is read', typedRateLimit.retryAfter === 2000);
+
+  const badGateway = fromTransportError(await capture(transport.post(`${base}/bad-gateway`, { a: 1 })));
+  check('502 HTML body converts to ApiError with status', badGateway instanceof ApiError && badGateway.status === 502);
+  check('502 is retryable and ambiguous', isRetryableError(badGateway) && isAmbiguousError(badGateway));
+
+  const apiError = fromTransportError(await capture(transport.get(`${base}/api-error`)));
+  check('400 JSON body keeps errno', apiError.errno === 10001 && apiError.status === 400);
+
+  return results;
+}
+
+async function main() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  let results = [];
+  try {
+    results = results.concat(await run('axios', new HttpTransport({ timeout: 5000 }), base));
+    results = results.concat(await run('fetch', new HttpTransport({ fetch: globalThis.fetch, timeout: 5000 }), base));
+  } finally {
+    server.close();
+  }
+
+  let failed = 0;
+  for (const { label, passed } of results) {
+    console.log(`${passed ? '✓' : '✗'} ${label}`);
+    if (!passed) failed++;
+  }
+
+  console.log(`\n${failed === 0 ? 'All tests passed!' : `${failed} test(s) failed`}`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  server.close();
+  console.error(error);
+  process.exitCode = 1;
+});